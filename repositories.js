@@ -0,0 +1,416 @@
+// ---------------------------------------------------------
+// DATA REPOSITORIES
+// One repository per Mongoose model. Both backends take the same
+// Mongo-style filters and updates, and return plain objects:
+//   MongoRepository - MongoDB through the model
+//   FileRepository  - the model's documents in one JSON file
+// Updates return the document after the change, or null if none matched.
+// ---------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id || ''));
+
+class MongoRepository {
+    constructor(model) {
+        this.model = model;
+    }
+    
+    find(filter = {}, { sort, limit, select } = {}) {
+        let query = this.model.find(filter);
+        if (select) query = query.select(select);
+        if (sort) query = query.sort(sort);
+        if (limit) query = query.limit(limit);
+        return query.lean();
+    }
+    
+    findOne(filter, { sort, select } = {}) {
+        let query = this.model.findOne(filter);
+        if (select) query = query.select(select);
+        if (sort) query = query.sort(sort);
+        return query.lean();
+    }
+    
+    async findById(id, options) {
+        return isValidId(id) ? this.findOne({ _id: id }, options) : null;
+    }
+    
+    countDocuments(filter = {}) {
+        return this.model.countDocuments(filter);
+    }
+    
+    async sum(field, filter = {}) {
+        const [result] = await this.model.aggregate([
+            { $match: filter },
+            { $group: { _id: null, total: { $sum: `$${field}` } } }
+        ]);
+        return result ? result.total : 0;
+    }
+    
+    async create(data) {
+        return (await this.model.create(data)).toObject();
+    }
+    
+    findOneAndUpdate(filter, update, { upsert = false, sort, select } = {}) {
+        let query = this.model.findOneAndUpdate(filter, update, { new: true, upsert, sort, setDefaultsOnInsert: true });
+        if (select) query = query.select(select);
+        return query.lean();
+    }
+    
+    async findByIdAndUpdate(id, update, options) {
+        return isValidId(id) ? this.findOneAndUpdate({ _id: id }, update, options) : null;
+    }
+    
+    async updateOne(filter, update, { upsert = false } = {}) {
+        const result = await this.model.updateOne(filter, update, { upsert });
+        return result.matchedCount + (result.upsertedCount || 0);
+    }
+    
+    async updateMany(filter, update) {
+        return (await this.model.updateMany(filter, update)).matchedCount;
+    }
+    
+    async findByIdAndDelete(id) {
+        return isValidId(id) ? this.model.findByIdAndDelete(id).lean() : null;
+    }
+    
+    async deleteOne(filter) {
+        return (await this.model.deleteOne(filter)).deletedCount;
+    }
+    
+    async deleteMany(filter) {
+        return (await this.model.deleteMany(filter)).deletedCount;
+    }
+}
+
+// --- Mongo query/update semantics for the file store ---
+
+// Deep copy that keeps Dates and Buffers and turns ObjectIds into strings
+function plainValue(value) {
+    if (value instanceof Date) return new Date(value);
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (value instanceof mongoose.mongo.Binary) return Buffer.from(value.buffer.subarray(0, value.position));
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (Array.isArray(value)) return value.map(plainValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, plainValue(v)]));
+    }
+    return value;
+}
+
+// Dates compare by time, ids by their string
+function comparableValue(value) {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value;
+}
+
+function valuesEqual(a, b) {
+    a = comparableValue(a);
+    b = comparableValue(b);
+    if (a === undefined || a === null) return b === undefined || b === null;
+    if (a && typeof a === 'object' && b && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+function compareValues(a, b) {
+    a = comparableValue(a);
+    b = comparableValue(b);
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1; // Missing sorts first, like Mongo
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, doc);
+    parent[last] = value;
+}
+
+// Every value a dotted path reaches - paths run through arrays (participants.studentId)
+function pathValues(value, keys) {
+    if (!keys.length) return [value];
+    if (Array.isArray(value)) return value.flatMap(item => pathValues(item, keys));
+    if (value === null || typeof value !== 'object') return [undefined];
+    return pathValues(value[keys[0]], keys.slice(1));
+}
+
+function isOperatorObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+        && !(value instanceof RegExp) && !(value instanceof mongoose.Types.ObjectId)
+        && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function matchesCondition(values, condition) {
+    // An array field matches as a whole or by any of its elements
+    const candidates = values.flatMap(v => (Array.isArray(v) ? [v, ...v] : [v]));
+    if (condition instanceof RegExp) {
+        return candidates.some(v => typeof v === 'string' && condition.test(v));
+    }
+    if (!isOperatorObject(condition)) {
+        return candidates.some(v => valuesEqual(v, condition));
+    }
+    return Object.entries(condition).every(([operator, arg]) => {
+        switch (operator) {
+            case '$in': return arg.some(option => matchesCondition(values, option));
+            case '$nin': return !arg.some(option => matchesCondition(values, option));
+            case '$ne': return !matchesCondition(values, arg);
+            case '$gt': return candidates.some(v => v !== undefined && v !== null && compareValues(v, arg) > 0);
+            case '$gte': return candidates.some(v => v !== undefined && v !== null && compareValues(v, arg) >= 0);
+            case '$lt': return candidates.some(v => v !== undefined && v !== null && compareValues(v, arg) < 0);
+            case '$lte': return candidates.some(v => v !== undefined && v !== null && compareValues(v, arg) <= 0);
+            case '$exists': return candidates.some(v => v !== undefined) === !!arg;
+            case '$regex': return matchesCondition(values, new RegExp(arg, condition.$options));
+            case '$options': return true;
+            default: throw new Error(`File store does not support query operator ${operator}`);
+        }
+    });
+}
+
+function matchesFilter(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+        if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+        return matchesCondition(pathValues(doc, key.split('.')), condition);
+    });
+}
+
+// 'participants.$.leftAt' → 'participants.2.leftAt', using the element the filter matched
+function resolvePositional(doc, path, filter) {
+    const marker = path.indexOf('.$');
+    if (marker < 0) return path;
+    const arrayPath = path.slice(0, marker);
+    const filterKey = Object.keys(filter).find(key => key.startsWith(`${arrayPath}.`));
+    const elementKeys = filterKey ? filterKey.slice(arrayPath.length + 1).split('.') : [];
+    const index = (getPath(doc, arrayPath) || [])
+        .findIndex(element => filterKey && matchesCondition(pathValues(element, elementKeys), filter[filterKey]));
+    if (index < 0) throw new Error(`No array element matched for positional update of ${path}`);
+    return `${arrayPath}.${index}${path.slice(marker + 2)}`;
+}
+
+// Plain fields are a $set, like Mongoose; undefined values are dropped, like Mongoose
+function applyUpdate(doc, update, filter, inserting) {
+    const operations = {};
+    Object.entries(update).forEach(([key, value]) => {
+        if (key.startsWith('$')) operations[key] = { ...operations[key], ...value };
+        else operations.$set = { ...operations.$set, [key]: value };
+    });
+    
+    Object.entries(operations).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([rawPath, value]) => {
+            if (value === undefined) return;
+            const path = resolvePositional(doc, rawPath, filter);
+            switch (operator) {
+                case '$set': setPath(doc, path, plainValue(value)); break;
+                case '$setOnInsert': if (inserting) setPath(doc, path, plainValue(value)); break;
+                case '$unset': setPath(doc, path, undefined); break;
+                case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+                case '$push': setPath(doc, path, [...(getPath(doc, path) || []), ...plainValue(value.$each || [value])]); break;
+                default: throw new Error(`File store does not support update operator ${operator}`);
+            }
+        });
+    });
+}
+
+function sortDocuments(docs, sort) {
+    const keys = Object.entries(sort);
+    return docs.sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const order = compareValues(getPath(a, path), getPath(b, path));
+            if (order) return direction < 0 ? -order : order;
+        }
+        return 0;
+    });
+}
+
+// select: '-password', 'studentIds' or { roomName: 1 } (top-level fields)
+function projectDocument(doc, select) {
+    if (!doc || !select) return doc;
+    const spec = typeof select === 'string'
+        ? Object.fromEntries(select.split(/\s+/).filter(Boolean).map(f => (f.startsWith('-') ? [f.slice(1), 0] : [f, 1])))
+        : select;
+    const included = Object.keys(spec).filter(field => spec[field] && field !== '_id');
+    if (!included.length) {
+        const projected = { ...doc };
+        Object.keys(spec).forEach(field => delete projected[field]);
+        return projected;
+    }
+    const projected = spec._id === 0 ? {} : { _id: doc._id };
+    included.forEach(field => { if (doc[field] !== undefined) projected[field] = doc[field]; });
+    return projected;
+}
+
+// JSON keeps Dates and Buffers as { $date } / { $binary } so they load back as the same types
+function storeReplacer(key, value) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: isNaN(raw) ? null : raw.toISOString() };
+    if (Buffer.isBuffer(raw)) return { $binary: raw.toString('base64') };
+    return value;
+}
+
+function storeReviver(key, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1) {
+        if ('$date' in value) return value.$date ? new Date(value.$date) : null;
+        if ('$binary' in value) return Buffer.from(value.$binary, 'base64');
+    }
+    return value;
+}
+
+const FILE_STORE_WRITE_DELAY_MS = 200; // Batch bursts of writes into one file save
+
+class FileRepository {
+    constructor(model, dir) {
+        this.model = model;
+        this.name = model.collection.collectionName;
+        this.file = path.join(dir, `${this.name}.json`);
+        this.writeTimer = null;
+        this.uniqueIndexes = model.schema.indexes()
+            .filter(([, options]) => options.unique)
+            .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: !!options.sparse }));
+        this.docs = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8'), storeReviver) : [];
+        FileRepository.all.push(this);
+    }
+    
+    // Cast through the schema like Mongoose would: defaults, types, unknown fields dropped
+    castDocument(data) {
+        return plainValue(new this.model(data).toObject());
+    }
+    
+    matching(filter, sort) {
+        const docs = this.docs.filter(doc => matchesFilter(doc, filter));
+        return sort ? sortDocuments(docs, sort) : docs;
+    }
+    
+    checkUnique(doc, replacing) {
+        this.uniqueIndexes.forEach(({ fields, sparse }) => {
+            const values = fields.map(field => getPath(doc, field));
+            if (sparse && values.every(v => v === undefined || v === null)) return;
+            const clash = this.docs.some(other => other !== replacing
+                && fields.every((field, i) => valuesEqual(getPath(other, field), values[i])));
+            if (clash) {
+                throw Object.assign(new Error(`E11000 duplicate key error collection: ${this.name} index: ${fields.join('_')}`), { code: 11000 });
+            }
+        });
+    }
+    
+    // Write the updated copy in place of doc (or add it) and schedule a save
+    store(next, replacing) {
+        this.checkUnique(next, replacing);
+        if (replacing) this.docs[this.docs.indexOf(replacing)] = next;
+        else this.docs.push(next);
+        this.persist();
+        return next;
+    }
+    
+    async find(filter = {}, { sort, limit, select } = {}) {
+        const docs = this.matching(filter, sort);
+        return (limit ? docs.slice(0, limit) : docs).map(doc => projectDocument(plainValue(doc), select));
+    }
+    
+    async findOne(filter, { sort, select } = {}) {
+        const [doc] = this.matching(filter, sort);
+        return doc ? projectDocument(plainValue(doc), select) : null;
+    }
+    
+    async findById(id, options) {
+        return this.findOne({ _id: String(id) }, options);
+    }
+    
+    async countDocuments(filter = {}) {
+        return this.matching(filter).length;
+    }
+    
+    async sum(field, filter = {}) {
+        return this.matching(filter).reduce((total, doc) => total + (Number(getPath(doc, field)) || 0), 0);
+    }
+    
+    async create(data) {
+        const doc = new this.model(data);
+        await doc.validate();
+        return plainValue(this.store(plainValue(doc.toObject())));
+    }
+    
+    async findOneAndUpdate(filter, update, { upsert = false, sort, select } = {}) {
+        const [doc] = this.matching(filter, sort);
+        if (!doc && !upsert) return null;
+        
+        // An upsert starts from the filter's equality fields
+        const draft = doc ? plainValue(doc) : Object.fromEntries(Object.entries(filter)
+            .filter(([key, value]) => !key.startsWith('$') && !key.includes('.') && !isOperatorObject(value) && !(value instanceof RegExp)));
+        applyUpdate(draft, update, filter, !doc);
+        return projectDocument(plainValue(this.store(this.castDocument(draft), doc)), select);
+    }
+    
+    async findByIdAndUpdate(id, update, options) {
+        return this.findOneAndUpdate({ _id: String(id) }, update, options);
+    }
+    
+    async updateOne(filter, update, options) {
+        return (await this.findOneAndUpdate(filter, update, options)) ? 1 : 0;
+    }
+    
+    async updateMany(filter, update) {
+        const docs = this.matching(filter);
+        docs.forEach(doc => {
+            const draft = plainValue(doc);
+            applyUpdate(draft, update, filter, false);
+            this.store(this.castDocument(draft), doc);
+        });
+        return docs.length;
+    }
+    
+    async findByIdAndDelete(id) {
+        const doc = this.docs.find(d => d._id === String(id));
+        if (!doc) return null;
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        this.persist();
+        return plainValue(doc);
+    }
+    
+    async deleteOne(filter) {
+        const [doc] = this.matching(filter);
+        return doc ? (await this.findByIdAndDelete(doc._id) ? 1 : 0) : 0;
+    }
+    
+    async deleteMany(filter) {
+        const before = this.docs.length;
+        this.docs = this.docs.filter(doc => !matchesFilter(doc, filter));
+        if (this.docs.length !== before) this.persist();
+        return before - this.docs.length;
+    }
+    
+    persist() {
+        if (!this.writeTimer) this.writeTimer = setTimeout(() => this.flush(), FILE_STORE_WRITE_DELAY_MS);
+    }
+    
+    // Write to a temp file and rename, so a crash mid-write never leaves half a file.
+    // Owner-only: the files hold password hashes, student details and queued messages.
+    flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        try {
+            fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.docs, storeReplacer), { mode: 0o600 });
+            fs.renameSync(`${this.file}.tmp`, this.file);
+        } catch (err) {
+            console.error(`❌ File store save failed (${this.name}):`, err.message);
+        }
+    }
+}
+FileRepository.all = [];
+
+module.exports = {
+    isValidId,
+    plainValue,
+    MongoRepository,
+    FileRepository
+};
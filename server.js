@@ -14,6 +14,11 @@ const WebSocket = require('ws');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const compression = require('compression');
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { INSTANCE_ID, InProcessSharedState, RedisSharedState, SharedMap, replicateSharedMaps } = require('./shared-state');
+const { isValidId, plainValue, MongoRepository, FileRepository } = require('./repositories');
 require('dotenv').config();
 
 const app = express();
@@ -44,45 +49,30 @@ app.use(cors({
     maxAge: 86400 // Cache preflight for 24 hours
 }));
 
-// Static file caching (reduces server load significantly)
-app.use(express.static(path.join(__dirname), {
-    maxAge: '1h', // Cache static files for 1 hour
-    etag: true,
-    lastModified: true
-}));
+// No static folder: the app directory also holds server code, .env and the
+// file store (DATA_DIR), so only the two pages below are ever sent
+// (their scripts and styles come from CDNs).
 
 // =========================================
-// SIMPLE IN-MEMORY RATE LIMITING
-// Prevents server overload from too many requests
+// SIMPLE RATE LIMITING
+// Prevents server overload from too many requests.
+// Counters live in the shared state so every instance counts together.
 // =========================================
-const requestCounts = new Map();
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const RATE_LIMIT_MAX = 1000; // Max 1000 requests per minute per IP (handles 200+ teachers behind same proxy)
 
-// Clean up old entries every minute
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, data] of requestCounts.entries()) {
-        if (now - data.startTime > RATE_LIMIT_WINDOW) {
-            requestCounts.delete(key);
-        }
-    }
-}, 60000);
-
 // Rate limiting middleware
-const rateLimiter = (req, res, next) => {
+const rateLimiter = async (req, res, next) => {
     const ip = req.ip || req.connection.remoteAddress || 'unknown';
-    const now = Date.now();
     
-    let data = requestCounts.get(ip);
-    if (!data || now - data.startTime > RATE_LIMIT_WINDOW) {
-        data = { count: 1, startTime: now };
-        requestCounts.set(ip, data);
-    } else {
-        data.count++;
+    let count;
+    try {
+        count = await sharedState.increment(`rate:${ip}`, RATE_LIMIT_WINDOW);
+    } catch (err) {
+        return next(); // Shared state unreachable - don't lock everyone out
     }
     
-    if (data.count > RATE_LIMIT_MAX) {
+    if (count > RATE_LIMIT_MAX) {
         return res.status(429).json({ 
             success: false, 
             error: 'Too many requests. Please wait a moment.' 
@@ -96,7 +86,7 @@ const rateLimiter = (req, res, next) => {
 app.use('/api', rateLimiter);
 
 // Serve index.html on root
-app.get('/', (req, res) => {
+app.get(['/', '/index.html'], (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
@@ -147,11 +137,55 @@ const config = {
         accountSid: (process.env.TWILIO_ACCOUNT_SID || '').trim(),
         authToken: (process.env.TWILIO_AUTH_TOKEN || '').trim(),
         phoneNumber: (process.env.TWILIO_PHONE_NUMBER || '').trim(),
+        validateWebhooks: process.env.TWILIO_VALIDATE_WEBHOOKS !== 'false',
     },
     publicUrl: (process.env.PUBLIC_URL || 'http://localhost:3000').trim(),
     mongoUri: process.env.MONGODB_URI || '',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'), // File store when there is no MongoDB, else the offline write queue
+    auth: {
+        jwtSecret: (process.env.JWT_SECRET || '').trim(),
+        accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '1h',
+        refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || '7d',
+    },
+    video: {
+        inviteTtl: process.env.VIDEO_INVITE_TTL || '4h', // How long a student's join link stays valid
+        waitingRoom: process.env.VIDEO_WAITING_ROOM === 'true', // Default for new rooms - teacher admits each student
+        recording: process.env.VIDEO_RECORDING !== 'false', // Teachers may record classes (each student still has to consent)
+        // Mushaf text for the shared Quran viewer - Tanzil "sura|aya|text" format, served locally
+        // (the Tanzil Uthmani text ships with the server; point this elsewhere for another edition)
+        quranTextPath: process.env.QURAN_TEXT_PATH || path.join(__dirname, 'quran-uthmani.txt'),
+    },
+    reminders: {
+        enabled: process.env.REMINDER_SCHEDULER !== 'false',
+        minutesBefore: parseInt(process.env.REMINDER_MINUTES_BEFORE) || 60, // Default lead time before class
+        quietHoursStart: process.env.REMINDER_QUIET_START || '21:00', // Student-local, no calls/SMS from...
+        quietHoursEnd: process.env.REMINDER_QUIET_END || '08:00',     // ...until
+        maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 3,
+        retryDelayMinutes: parseInt(process.env.REMINDER_RETRY_MINUTES) || 10,
+    },
+    callRouting: {
+        tiers: (process.env.CALL_ROUTING_TIERS || 'teacher,teamlead,admin').split(',').map(t => t.trim()).filter(Boolean), // Who rings, in order
+        distribution: process.env.CALL_DISTRIBUTION || 'ring-all', // ring-all | round-robin | longest-idle - among a tier's available agents
+        ringSeconds: parseInt(process.env.CALL_RING_SECONDS) || 20, // Each offer rings this long before the call moves on
+        queueTimeoutSeconds: parseInt(process.env.CALL_QUEUE_TIMEOUT_SECONDS) || 180, // Longest a caller waits before hearing 'no one is available'
+        openTime: process.env.BUSINESS_HOURS_OPEN || '',   // 'HH:mm' - both empty = open around the clock
+        closeTime: process.env.BUSINESS_HOURS_CLOSE || '',
+        openDays: (process.env.BUSINESS_DAYS || '0,1,2,3,4,5,6').split(',').map(Number), // 0 = Sunday
+        timezone: process.env.BUSINESS_TIMEZONE || 'UTC',
+    },
+    sharedState: {
+        redisUrl: (process.env.REDIS_URL || '').trim(), // Empty = single instance, state kept in this process
+        keyPrefix: process.env.REDIS_KEY_PREFIX || 'quran-academy:',
+    },
 };
 
+// Without a configured secret, sessions still work but are signed with a
+// random per-process key - every restart logs everyone out.
+if (!config.auth.jwtSecret) {
+    config.auth.jwtSecret = crypto.randomBytes(48).toString('hex');
+    console.warn('⚠️ JWT_SECRET not configured - using a temporary secret (sessions end on restart)');
+}
+
 // ---------------------------------------------------------
 // MONGODB CONNECTION WITH OPTIMIZED POOLING
 // Critical for handling 400+ concurrent connections
@@ -344,8 +378,8 @@ if (config.mongoUri) {
         }
     }, 60 * 1000); // Check every minute
 } else {
-    console.log('⚠️ MongoDB URI not configured - using in-memory storage');
-    console.log('   Add MONGODB_URI environment variable for permanent storage');
+    console.log(`⚠️ MongoDB URI not configured - using the file store in ${config.dataDir}`);
+    console.log('   Add MONGODB_URI environment variable to run several instances');
 }
 
 // ---------------------------------------------------------
@@ -357,8 +391,10 @@ const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true, lowercase: true },
     password: { type: String, required: true },
-    type: { type: String, enum: ['admin', 'teacher', 'teamlead'], default: 'teacher', index: true },
+    type: { type: String, enum: ['admin', 'teacher', 'teamlead', 'guardian'], default: 'teacher', index: true },
     phone: { type: String },
+    studentIds: [{ type: String }], // Guardians only: students they can see in the portal
+    teamLeadId: { type: String }, // Teachers only: team lead who gets their students' calls next
     isActive: { type: Boolean, default: true, index: true },
     createdAt: { type: Date, default: Date.now },
     lastLogin: { type: Date }
@@ -373,6 +409,21 @@ const studentSchema = new mongoose.Schema({
     email: { type: String },
     notes: { type: String },
     course: { type: String },
+    timezone: { type: String }, // IANA name - class times and reminders use the student's local time
+    reminder: {
+        enabled: { type: Boolean, default: true },
+        channel: { type: String, enum: ['call', 'sms', 'both'], default: 'call' },
+        minutesBefore: { type: Number } // Falls back to REMINDER_MINUTES_BEFORE
+    },
+    preferredLanguage: { type: String, default: 'en' }, // Reminder language - see REMINDER_LANGUAGES
+    shareRecordingsWithGuardians: { type: Boolean, default: false }, // Guardians can play this student's call recordings
+    classLinkVersion: { type: Number, default: 1 }, // Bumped to revoke the student's class link
+    lastReminderResponse: {
+        response: { type: String, enum: ['confirmed', 'reschedule'] },
+        respondedAt: { type: Date },
+        callSid: { type: String },
+        classAt: { type: Date }
+    },
     status: { type: String, enum: ['active', 'inactive', 'completed', 'deleted'], default: 'active', index: true },
     addedBy: { type: String },
     createdAt: { type: Date, default: Date.now },
@@ -388,13 +439,22 @@ const callHistorySchema = new mongoose.Schema({
     teacherName: { type: String, required: true },
     teacherId: { type: String, index: true },
     status: { type: String, required: true },
-    duration: { type: Number, default: 0 },
+    duration: { type: Number, default: 0 }, // Whole call, including any time on hold
+    holdDuration: { type: Number, default: 0 }, // Seconds the student spent on hold (talk time = duration - holdDuration)
     callSid: { type: String, unique: true, sparse: true, index: true },
     recordingUrl: { type: String },
     notes: { type: String },
     direction: { type: String, enum: ['inbound', 'outbound'], default: 'outbound' },
     callType: { type: String, enum: ['voice', 'video'], default: 'voice' }, // voice or video call
     roomName: { type: String }, // For video calls - the room name
+    videoRecordingStatus: { type: String, enum: ['recording', 'processing', 'available', 'failed'] }, // Recorded video classes - played via /video-recording/:roomName
+    videoChatCount: { type: Number }, // In-class chat messages - transcript from /api/video-chat/:roomName
+    // Transferred calls are stored as one row per staff leg, linked by the student's CallSid
+    parentCallSid: { type: String, index: true },
+    transferId: { type: String },
+    transferType: { type: String, enum: ['warm', 'cold'] },
+    transferredFrom: { type: String },
+    transferredTo: { type: String },
     timestamp: { type: Date, default: Date.now, index: true }
 });
 // Compound indexes for common queries
@@ -410,7 +470,7 @@ const messageSchema = new mongoose.Schema({
     body: { type: String, required: true },
     senderName: { type: String }, // Teacher name for outbound
     senderId: { type: String }, // Teacher ID for outbound
-    messageSid: { type: String }, // Twilio message SID
+    messageSid: { type: String, unique: true, sparse: true }, // Twilio message SID - one row per message, even when Twilio retries
     status: { type: String, default: 'sent' }, // sent, delivered, failed
     read: { type: Boolean, default: false },
     timestamp: { type: Date, default: Date.now, index: true }
@@ -426,6 +486,7 @@ const conversationSchema = new mongoose.Schema({
     lastMessage: { type: String },
     lastMessageTime: { type: Date, default: Date.now, index: true },
     lastMessageDirection: { type: String, enum: ['inbound', 'outbound'] },
+    lastMessageSid: { type: String }, // Last inbound SMS counted in unreadCount (keeps a replayed save from counting twice)
     unreadCount: { type: Number, default: 0 },
     updatedAt: { type: Date, default: Date.now }
 });
@@ -436,20 +497,232 @@ conversationSchema.index({ lastMessageTime: -1 });
 const videoRoomSchema = new mongoose.Schema({
     roomName: { type: String, required: true, unique: true },
     roomSid: { type: String },
-    studentId: { type: String, required: true },
-    studentName: { type: String, required: true },
-    studentPhone: { type: String, required: true },
+    isGroup: { type: Boolean, default: false },
+    studentId: { type: String },   // 1:1 rooms only
+    studentName: { type: String, required: true }, // Student, or the class title for group rooms
+    studentPhone: { type: String }, // 1:1 rooms only
     teacherId: { type: String, required: true, index: true },
     teacherName: { type: String, required: true },
     status: { type: String, enum: ['waiting', 'active', 'completed'], default: 'waiting', index: true },
     joinUrl: { type: String },
+    participants: [{ // Roster - one entry per invited student (a 1:1 room has one)
+        _id: false,
+        studentId: { type: String, required: true },
+        studentName: { type: String },
+        studentPhone: { type: String },
+        identity: { type: String }, // Twilio identity - unique within the room
+        inviteId: { type: String }, // Current invite token id - cleared or rotated to revoke the join link
+        joinUrl: { type: String },
+        joinedAt: { type: Date },   // First join
+        leftAt: { type: Date },     // Last leave (null while connected)
+        joinCount: { type: Number, default: 0 },
+        recordingConsent: { type: Boolean }, // Unset until the student answers; only consenting students are recorded
+        disconnectCount: { type: Number, default: 0 }, // Connection lost mid-class (not the student pressing leave)
+        reconnectCount: { type: Number, default: 0 },  // Came back after a drop, by the SDK or a fresh join
+        networkQuality: { type: Number },       // Last Twilio network quality level (0-5) the student reported
+        lowestNetworkQuality: { type: Number }
+    }],
+    waitingRoom: { type: Boolean, default: false }, // Students wait until the teacher admits them
+    recording: { type: Boolean, default: false }, // Teacher chose to record this class
+    recordingStatus: { type: String, enum: ['recording', 'processing', 'available', 'failed'] },
+    compositionSid: { type: String }, // Twilio composition (the playable mp4) once the room ends
+    recordingDuration: { type: Number },
+    chat: [{ // In-class text chat, in order
+        _id: false,
+        id: { type: String },
+        from: { type: String },
+        fromType: { type: String, enum: ['teacher', 'student'] },
+        text: { type: String },
+        sentAt: { type: Date }
+    }],
     startedAt: { type: Date, default: Date.now },
     endedAt: { type: Date },
-    duration: { type: Number, default: 0 }
+    duration: { type: Number, default: 0 },
+    studentJoinedAt: { type: Date }, // First time the student got a join token
+    studentLeftAt: { type: Date }
 });
 // Index for finding active rooms by teacher
 videoRoomSchema.index({ teacherId: 1, status: 1 });
 
+// Whiteboard Schema - the final board of a video class, shown with the lesson log for that room
+const whiteboardSchema = new mongoose.Schema({
+    roomName: { type: String, required: true, unique: true },
+    teacherId: { type: String, index: true },
+    studentIds: [{ type: String }],
+    image: { type: Buffer, required: true },
+    contentType: { type: String, default: 'image/png' },
+    savedAt: { type: Date, default: Date.now }
+});
+
+// Class Session Schema - a recurring (or one-off) lesson slot.
+// Dates and times are wall-clock values in the student's timezone.
+const classSessionSchema = new mongoose.Schema({
+    studentId: { type: String, required: true, index: true },
+    studentName: { type: String, required: true },
+    teacherId: { type: String, required: true, index: true },
+    teacherName: { type: String, required: true },
+    course: { type: String }, // Defaults to the student's course
+    groupName: { type: String }, // Halaqah label - same-group sessions of one teacher may overlap
+    timezone: { type: String, required: true, default: 'UTC' }, // IANA name, e.g. 'America/Toronto'
+    startTime: { type: String, required: true }, // 'HH:mm'
+    durationMinutes: { type: Number, default: 30 },
+    recurrence: {
+        frequency: { type: String, enum: ['once', 'weekly'], default: 'weekly' },
+        daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+        interval: { type: Number, default: 1 } // Every N weeks
+    },
+    startDate: { type: String, required: true }, // 'YYYY-MM-DD' - first possible class
+    endDate: { type: String }, // 'YYYY-MM-DD' - last possible class (optional)
+    status: { type: String, enum: ['active', 'paused'], default: 'active', index: true },
+    notes: { type: String },
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+// Index for a teacher's timetable (conflict checks)
+classSessionSchema.index({ teacherId: 1, status: 1 });
+
+// Reminder Job Schema - one reminder (call or SMS) for one class occurrence.
+// jobKey is unique so every instance can plan jobs without creating duplicates.
+const reminderJobSchema = new mongoose.Schema({
+    jobKey: { type: String, required: true, unique: true }, // sessionId|classStart|channel
+    sessionId: { type: String, required: true, index: true },
+    studentId: { type: String, required: true, index: true },
+    studentName: { type: String },
+    studentPhone: { type: String },
+    teacherId: { type: String },
+    teacherName: { type: String },
+    course: { type: String },
+    timezone: { type: String },
+    channel: { type: String, enum: ['call', 'sms'], required: true },
+    classStart: { type: Date, required: true },
+    runAt: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'waiting', 'completed', 'failed', 'skipped', 'cancelled'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    lockedBy: { type: String }, // Instance currently working the job
+    lockedUntil: { type: Date }, // Lease - another instance may take over once it passes
+    callSid: { type: String, index: true },
+    messageSid: { type: String },
+    lastError: { type: String },
+    log: [{
+        at: { type: Date, default: Date.now },
+        attempt: Number,
+        result: String,
+        detail: String
+    }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+// Index for claiming due jobs
+reminderJobSchema.index({ status: 1, runAt: 1 });
+
+// Attendance Schema - one record per class occurrence
+const attendanceSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true },
+    classStart: { type: Date, required: true },
+    classEnd: { type: Date, required: true },
+    classDate: { type: String }, // 'YYYY-MM-DD' in the student's timezone
+    studentId: { type: String, required: true, index: true },
+    studentName: { type: String },
+    teacherId: { type: String },
+    teacherName: { type: String },
+    course: { type: String },
+    status: { type: String, enum: ['present', 'late', 'absent', 'excused'], required: true },
+    source: { type: String, enum: ['video', 'call', 'auto', 'manual'] }, // What last set the status
+    joinedAt: { type: Date },
+    leftAt: { type: Date },
+    minutesAttended: { type: Number, default: 0 },
+    roomName: { type: String },
+    callSid: { type: String },
+    overriddenBy: { type: String }, // Set on manual changes - automatic updates skip the record
+    overrideNote: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+attendanceSchema.index({ sessionId: 1, classStart: 1 }, { unique: true });
+attendanceSchema.index({ teacherId: 1, classStart: -1 });
+
+// Lesson Log Schema - what a student covered in one lesson
+const lessonLogSchema = new mongoose.Schema({
+    studentId: { type: String, required: true },
+    studentName: { type: String },
+    teacherId: { type: String, index: true },
+    teacherName: { type: String },
+    lessonDate: { type: Date, required: true },
+    portions: [{
+        _id: false,
+        type: { type: String, enum: ['hifz', 'murajaah'], required: true },
+        fromSurah: Number, fromAyah: Number,
+        toSurah: Number, toAyah: Number
+    }],
+    mistakes: [{
+        _id: false,
+        category: { type: String, required: true }, // See TAJWEED_MISTAKE_CATEGORIES
+        count: { type: Number, default: 1 },
+        note: { type: String }
+    }],
+    grade: { type: String, enum: ['excellent', 'very_good', 'good', 'acceptable', 'needs_work'] },
+    notes: { type: String, default: '' },
+    homework: { type: String, default: '' }, // What to prepare for next lesson
+    // The lesson's session
+    sessionId: { type: String }, // ClassSession
+    attendanceId: { type: String },
+    callSid: { type: String }, // CallHistory
+    roomName: { type: String }, // VideoRoom
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+lessonLogSchema.index({ studentId: 1, lessonDate: -1 });
+
+// Reschedule Request Schema - a guardian asking to move one class
+const rescheduleRequestSchema = new mongoose.Schema({
+    guardianId: { type: String, required: true, index: true },
+    guardianName: { type: String },
+    studentId: { type: String, required: true },
+    studentName: { type: String },
+    teacherId: { type: String, index: true },
+    teacherName: { type: String },
+    sessionId: { type: String, required: true },
+    classStart: { type: Date, required: true },
+    reason: { type: String, required: true },
+    preferredTimes: { type: String },
+    status: { type: String, enum: ['pending', 'approved', 'declined', 'cancelled'], default: 'pending', index: true },
+    response: { type: String }, // Staff reply shown to the guardian
+    resolvedBy: { type: String },
+    resolvedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Reminder Template Schema - admin wording for one language (defaults live in code)
+const reminderTemplateSchema = new mongoose.Schema({
+    language: { type: String, required: true, unique: true },
+    body: { type: String, required: true }, // Supports {{studentName}} {{teacherName}} {{classTime}} {{course}}
+    gatherEnabled: { type: Boolean, default: false }, // Ask "press 1 to confirm, 2 to reschedule"
+    gatherPrompt: { type: String },
+    confirmedReply: { type: String },
+    rescheduleReply: { type: String },
+    voice: { type: String }, // Twilio <Say> voice, e.g. 'Polly.Zeina'
+    sayLanguage: { type: String }, // Twilio <Say> language, e.g. 'arb'
+    updatedBy: { type: String },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Outbox Entry Schema - writes that failed while MongoDB was unreachable.
+// Lives in the local file store only, never in MongoDB itself.
+const outboxEntrySchema = new mongoose.Schema({
+    label: { type: String, required: true }, // What the writes are for, e.g. 'call history CA123'
+    writes: { type: [mongoose.Schema.Types.Mixed], default: [] }, // Still to apply, in order
+    status: { type: String, enum: ['pending', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    createdAt: { type: Date, default: Date.now }
+}, { minimize: false, autoIndex: false, autoCreate: false });
+
 // Create models
 const User = mongoose.model('User', userSchema);
 const Student = mongoose.model('Student', studentSchema);
@@ -457,14 +730,69 @@ const CallHistory = mongoose.model('CallHistory', callHistorySchema);
 const Message = mongoose.model('Message', messageSchema);
 const Conversation = mongoose.model('Conversation', conversationSchema);
 const VideoRoom = mongoose.model('VideoRoom', videoRoomSchema);
+const ClassSession = mongoose.model('ClassSession', classSessionSchema);
+const ReminderJob = mongoose.model('ReminderJob', reminderJobSchema);
+const ReminderTemplate = mongoose.model('ReminderTemplate', reminderTemplateSchema);
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+const LessonLog = mongoose.model('LessonLog', lessonLogSchema);
+const RescheduleRequest = mongoose.model('RescheduleRequest', rescheduleRequestSchema);
+const Whiteboard = mongoose.model('Whiteboard', whiteboardSchema);
+const OutboxEntry = mongoose.model('OutboxEntry', outboxEntrySchema);
+
+// ---------------------------------------------------------
+// DATA REPOSITORIES
+// Routes read and write through one repository per entity (db.students,
+// db.callHistory, ...). Both backends take the same Mongo-style filters
+// and updates, and return plain objects (see repositories.js):
+//   MongoRepository - MONGODB_URI set
+//   FileRepository  - no database: one JSON file per entity in DATA_DIR,
+//                     so data survives restarts (single instance only)
+// ---------------------------------------------------------
+function createRepositories() {
+    const models = {
+        users: User,
+        students: Student,
+        callHistory: CallHistory,
+        messages: Message,
+        conversations: Conversation,
+        videoRooms: VideoRoom,
+        classSessions: ClassSession,
+        reminderJobs: ReminderJob,
+        reminderTemplates: ReminderTemplate,
+        attendance: Attendance,
+        lessonLogs: LessonLog,
+        rescheduleRequests: RescheduleRequest,
+        whiteboards: Whiteboard
+    };
+    
+    if (config.mongoUri) {
+        const repos = Object.fromEntries(Object.entries(models).map(([name, model]) => [name, new MongoRepository(model)]));
+        return { ...repos, backend: 'mongodb', isReady: isDbConnected };
+    }
+    
+    const repos = Object.fromEntries(Object.entries(models).map(([name, model]) => [name, openFileRepository(model)]));
+    return { ...repos, backend: 'file', isReady: () => true };
+}
+
+function openFileRepository(model) {
+    if (!FileRepository.all.length) {
+        fs.mkdirSync(config.dataDir, { recursive: true, mode: 0o700 });
+        // Pending saves go out before the process stops
+        process.on('exit', () => FileRepository.all.forEach(repo => repo.writeTimer && repo.flush()));
+        ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(0)));
+    }
+    return new FileRepository(model, config.dataDir);
+}
+
+const db = createRepositories();
 
 // Initialize default admin account
 async function initializeAdmin() {
     try {
-        const adminExists = await User.findOne({ type: 'admin' });
+        const adminExists = await db.users.findOne({ type: 'admin' });
         if (!adminExists) {
             const hashedPassword = await bcrypt.hash('Quran@123', 10);
-            await User.create({
+            await db.users.create({
                 name: 'Administrator',
                 email: 'admin@quranacademy.com',
                 password: hashedPassword,
@@ -479,21 +807,195 @@ async function initializeAdmin() {
     }
 }
 
+// The file store is ready at once; MongoDB runs this when it connects
+if (db.backend === 'file') initializeAdmin();
+
 // ---------------------------------------------------------
-// IN-MEMORY STORAGE (Fallback & Call Tracking)
+// OFFLINE WRITE QUEUE (OUTBOX)
+// Call history, messages, conversations and video room updates go through
+// durableWrite(). If MongoDB is unreachable the writes are queued in a local
+// file (DATA_DIR) and replayed in order once it is back; while anything is
+// queued, new writes queue behind it so the order still holds.
+// Replays are idempotent: creates carry their own _id or SID (a duplicate key
+// means it was already applied) and updates are $set-style, or guarded by their
+// filter when they count ($inc) - a guarded upsert that hits a duplicate key
+// was applied too. With the file store there is nothing to wait for.
 // ---------------------------------------------------------
-const activeCalls = new Map();
-const recordingsMap = new Map();
-const activeVideoRooms = new Map(); // For tracking active video rooms
-const inboundCalls = new Map(); // For tracking incoming calls waiting to be answered
-const conferenceCallMap = new Map(); // Map conference name → original CallSid (for linking recordings)
+const OUTBOX_DRAIN_MS = 15 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 5; // Failures other than a lost connection before an entry is parked as 'failed'
+
+const outbox = db.backend === 'mongodb' ? openFileRepository(OutboxEntry) : null;
+let outboxDraining = false;
+
+function isConnectionError(err) {
+    return !isDbConnected()
+        || /^Mongo(Network|ServerSelection|NotConnected)|^MongooseServerSelection/.test(err.name || '')
+        || /buffering timed out/.test(err.message || '');
+}
+
+// write: { entity, op: 'create', data, once } or { entity, op: 'updateOne' | 'updateMany', filter, update, upsert }
+// once: the record has a unique key of its own (a Twilio SID), so a duplicate means it was saved before
+async function applyWrite({ entity, op, data, once, filter = {}, update, upsert }, replaying = false) {
+    switch (op) {
+        case 'create':
+            try {
+                return await db[entity].create(data);
+            } catch (err) {
+                if ((replaying || once) && err.code === 11000) return null; // Applied before the connection dropped
+                throw err;
+            }
+        case 'updateOne':
+            try {
+                return await db[entity].updateOne(filter, update, { upsert });
+            } catch (err) {
+                // The filter's guard skipped the existing document (a Twilio retry or a replay) - already applied
+                if (upsert && err.code === 11000) return 0;
+                throw err;
+            }
+        case 'updateMany': return db[entity].updateMany(filter, update);
+        default: throw new Error(`Unknown outbox operation: ${op}`);
+    }
+}
+
+// Apply writes in order, queueing whatever can't reach MongoDB.
+// Resolves to { queued, result } - result is the first write's outcome, or for a
+// queued create the data it will be saved with.
+async function durableWrite(label, writes) {
+    writes.filter(w => w.op === 'create' && !w.data._id)
+        .forEach(w => { w.data._id = new mongoose.Types.ObjectId().toString(); });
+    
+    let applied = 0;
+    let result;
+    if (!outbox || (isDbConnected() && !(await outbox.countDocuments({ status: 'pending' })))) {
+        try {
+            for (; applied < writes.length; applied++) {
+                const outcome = await applyWrite(writes[applied]);
+                if (applied === 0) result = outcome;
+            }
+            return { queued: false, result };
+        } catch (err) {
+            if (!outbox || !isConnectionError(err)) throw err;
+        }
+    }
+    
+    await outbox.create({ label, writes: writes.slice(applied) });
+    console.log(`📥 Queued until MongoDB is back: ${label}`);
+    if (applied === 0 && writes[0].op === 'create') {
+        result = plainValue(new db[writes[0].entity].model(writes[0].data).toObject()); // With schema defaults
+    }
+    return { queued: true, result };
+}
+
+async function drainOutbox() {
+    if (!outbox || outboxDraining || !isDbConnected()) return;
+    outboxDraining = true;
+    let replayed = 0;
+    try {
+        let entry;
+        while ((entry = await outbox.findOne({ status: 'pending' }, { sort: { createdAt: 1 } }))) {
+            try {
+                // Drop each write once applied, so a crash mid-entry never repeats it
+                while (entry.writes.length) {
+                    await applyWrite(entry.writes[0], true);
+                    entry.writes.shift();
+                    await outbox.updateOne({ _id: entry._id }, { writes: entry.writes });
+                }
+                await outbox.deleteOne({ _id: entry._id });
+                replayed++;
+            } catch (err) {
+                if (isConnectionError(err)) break;
+                const attempts = entry.attempts + 1;
+                const status = attempts >= OUTBOX_MAX_ATTEMPTS ? 'failed' : 'pending';
+                await outbox.updateOne({ _id: entry._id }, { attempts, status, lastError: err.message });
+                console.error(`❌ Outbox replay failed (${entry.label}, attempt ${attempts}):`, err.message);
+                if (status === 'pending') break; // Try again next pass, keeping the order
+            }
+        }
+    } catch (err) {
+        console.error('❌ Outbox drain error:', err.message);
+    } finally {
+        outboxDraining = false;
+    }
+    if (replayed > 0) {
+        console.log(`📤 Replayed ${replayed} queued save(s) to MongoDB`);
+    }
+}
+
+async function outboxStatus() {
+    if (!outbox) return { pending: 0, failed: 0, oldestAgeSeconds: 0 };
+    const oldest = await outbox.findOne({ status: 'pending' }, { sort: { createdAt: 1 }, select: 'createdAt' });
+    return {
+        pending: await outbox.countDocuments({ status: 'pending' }),
+        failed: await outbox.countDocuments({ status: 'failed' }),
+        oldestAgeSeconds: oldest ? Math.round((Date.now() - oldest.createdAt.getTime()) / 1000) : 0
+    };
+}
+
+function startOutbox() {
+    if (!outbox) return;
+    setInterval(drainOutbox, OUTBOX_DRAIN_MS);
+    mongoose.connection.on('connected', drainOutbox);
+}
+
+// ==========================================================
+// SHARED STATE (multi-instance)
+// Live call/room state, rate-limit counters, cache invalidation
+// and WebSocket broadcasts go through one adapter so several
+// instances behind a load balancer see the same thing
+// (adapters and SharedMap live in shared-state.js):
+//   InProcessSharedState - default, one instance, nothing to run
+//   RedisSharedState     - REDIS_URL set (any Redis-protocol server)
+// ==========================================================
+
+const sharedState = config.sharedState.redisUrl
+    ? new RedisSharedState(config.sharedState.redisUrl, config.sharedState.keyPrefix)
+    : new InProcessSharedState();
+
+setInterval(() => sharedState.sweep(), 60000);
+
+// Run a periodic job on one instance only (the first to take the lock this round)
+async function runOnOneInstance(jobName, intervalMs, job) {
+    try {
+        if (await sharedState.acquireLock(`lock:${jobName}`, intervalMs - 1000)) job();
+    } catch (err) {
+        console.error(`❌ ${jobName} skipped:`, err.message);
+    }
+}
+
+// Connect, load shared maps and start listening to the other instances
+async function startSharedState() {
+    await sharedState.connect();
+    
+    await sharedState.subscribe('cache-invalidate', (raw) => {
+        const { origin, key } = JSON.parse(raw);
+        if (origin !== INSTANCE_ID) clearCacheEntry(key);
+    });
+    await sharedState.subscribe('ws-broadcast', (raw) => {
+        const { topics, message } = JSON.parse(raw);
+        deliverToTopics(topics, message);
+    });
+    await sharedState.subscribe('room-socket-close', (raw) => {
+        const { roomName, identity } = JSON.parse(raw);
+        closeLocalStudentRoomSockets(roomName, identity);
+    });
+    
+    const loaded = await replicateSharedMaps(sharedState);
+    console.log(`✅ Shared state: ${sharedState.name} (instance ${INSTANCE_ID}, ${loaded} live entries loaded)`);
+}
 
-// In-memory fallback if MongoDB not connected
-let inMemoryStudents = [];
-let inMemoryTeachers = [];
-let inMemoryCallHistory = [];
-let inMemoryMessages = [];
-let inMemoryConversations = [];
+// ---------------------------------------------------------
+// IN-MEMORY STORAGE (Fallback & Call Tracking)
+// Live call and room state is shared across instances (SharedMap)
+// ---------------------------------------------------------
+const activeCalls = new SharedMap(sharedState, 'active-calls');
+const recordingsMap = new SharedMap(sharedState, 'recordings');
+const videoRecordingsMap = new SharedMap(sharedState, 'video-recordings'); // Recorded video classes by room name (composition status)
+const activeVideoRooms = new SharedMap(sharedState, 'video-rooms', { flushDelayMs: 200 }); // For tracking active video rooms
+const inboundCalls = new SharedMap(sharedState, 'inbound-calls'); // For tracking incoming calls waiting to be answered
+const conferenceCallMap = new SharedMap(sharedState, 'conference-calls'); // Map conference name → original CallSid (for linking recordings)
+const callTransfers = new SharedMap(sharedState, 'call-transfers', { localFields: ['timer'] }); // Pending warm/cold transfers by transfer id
+const onlineStaff = new SharedMap(sharedState, 'online-staff'); // Instance id → staff with a dashboard socket open there
+const agentActivity = new SharedMap(sharedState, 'agent-activity'); // Staff id → { lastOfferedAt, lastCallEndedAt } for inbound call distribution
 
 // =========================================
 // HIGH-PERFORMANCE CACHING SYSTEM
@@ -521,7 +1023,14 @@ function setCache(key, data) {
     }
 }
 
+// Data changed - drop it here and on every other instance
 function invalidateCache(key) {
+    clearCacheEntry(key);
+    sharedState.publish('cache-invalidate', JSON.stringify({ origin: INSTANCE_ID, key }))
+        .catch(err => console.error('❌ Cache invalidation broadcast failed:', err.message));
+}
+
+function clearCacheEntry(key) {
     if (cache[key]) {
         cache[key].data = null;
         cache[key].timestamp = 0;
@@ -536,10 +1045,11 @@ function invalidateAllCaches() {
 // =========================================
 // MEMORY CLEANUP ROUTINES
 // Prevents memory leaks with high traffic
+// Shared maps are swept by one instance per tick (runOnOneInstance)
 // =========================================
 
 // Clean up stale active calls
-setInterval(() => {
+setInterval(() => runOnOneInstance('cleanup:calls', 2 * 60 * 1000, () => {
     const now = Date.now();
     const FIFTEEN_MIN = 15 * 60 * 1000;
     const ONE_HOUR = 60 * 60 * 1000;
@@ -560,10 +1070,10 @@ setInterval(() => {
     if (cleaned > 0) {
         console.log(`🧹 Cleaned ${cleaned} calls. Active: ${activeCalls.size}`);
     }
-}, 2 * 60 * 1000); // Every 2 minutes
+}), 2 * 60 * 1000); // Every 2 minutes
 
 // Clean up old recordings references (older than 24 hours)
-setInterval(() => {
+setInterval(() => runOnOneInstance('cleanup:recordings', 60 * 60 * 1000, () => {
     const now = Date.now();
     const ONE_DAY = 24 * 60 * 60 * 1000;
     let cleaned = 0;
@@ -575,13 +1085,20 @@ setInterval(() => {
         }
     });
     
+    videoRecordingsMap.forEach((recording, roomName) => {
+        if (now - (recording.timestamp || 0) > ONE_DAY) {
+            videoRecordingsMap.delete(roomName);
+            cleaned++;
+        }
+    });
+    
     if (cleaned > 0) {
-        console.log(`🧹 Cleaned ${cleaned} old recording references. Remaining: ${recordingsMap.size}`);
+        console.log(`🧹 Cleaned ${cleaned} old recording references. Remaining: ${recordingsMap.size + videoRecordingsMap.size}`);
     }
-}, 60 * 60 * 1000); // Every hour
+}), 60 * 60 * 1000); // Every hour
 
 // Clean up stale video rooms (older than 4 hours)
-setInterval(() => {
+setInterval(() => runOnOneInstance('cleanup:video-rooms', 10 * 60 * 1000, () => {
     const now = Date.now();
     const FOUR_HOURS = 4 * 60 * 60 * 1000;
     let cleaned = 0;
@@ -597,16 +1114,24 @@ setInterval(() => {
     if (cleaned > 0) {
         console.log(`🧹 Cleaned ${cleaned} stale video rooms. Remaining: ${activeVideoRooms.size}`);
     }
-}, 10 * 60 * 1000); // Every 10 minutes
+    
+    // Presence entries left behind by instances that stopped
+    onlineStaff.forEach((entry, instanceId) => {
+        if (now - entry.updatedAt > FOUR_HOURS) onlineStaff.delete(instanceId);
+    });
+}), 10 * 60 * 1000); // Every 10 minutes
 
-// Clean up stale inbound calls (older than 3 minutes - not handled by dial-complete)
-setInterval(() => {
+// Clean up stale inbound calls (not handled by dial-complete). Waiting calls are
+// timed out by the call queue; answered ones stay while they may still be live,
+// since they mark the agent as busy.
+setInterval(() => runOnOneInstance('cleanup:inbound-calls', 60 * 1000, () => {
     const now = Date.now();
-    const THREE_MINUTES = 3 * 60 * 1000;
+    const WAITING_MAX = (config.callRouting.queueTimeoutSeconds + 60) * 1000;
+    const ONE_HOUR = 60 * 60 * 1000;
     let cleaned = 0;
     
     inboundCalls.forEach((callData, callSid) => {
-        if (now - (callData.startTime || 0) > THREE_MINUTES) {
+        if (now - (callData.startTime || 0) > (callData.answeredBy ? ONE_HOUR : WAITING_MAX)) {
             // Save to history before deleting if it was answered
             if (callData.answeredBy) {
                 const duration = callData.answeredTime ? Math.floor((now - callData.answeredTime) / 1000) : 0;
@@ -623,7 +1148,7 @@ setInterval(() => {
     if (cleaned > 0) {
         console.log(`🧹 Cleaned ${cleaned} stale inbound calls. Remaining: ${inboundCalls.size}`);
     }
-}, 60 * 1000); // Every 60 seconds
+}), 60 * 1000); // Every 60 seconds
 
 // Log memory usage periodically (helps monitor for issues)
 setInterval(() => {
@@ -672,6 +1197,18 @@ const WS_TIMEOUT = 60000; // 60 seconds timeout for dead connections
 // WebSocket server with optimized settings
 const wss = new WebSocket.Server({ 
     server,
+    verifyClient: (info, done) => {
+        authenticateSocket(info.req)
+            .then(identity => {
+                if (!identity) return done(false, 401, 'Unauthorized');
+                info.req.socketIdentity = identity;
+                done(true);
+            })
+            .catch(err => {
+                console.error('WebSocket auth error:', err.message);
+                done(false, 500, 'Authentication failed');
+            });
+    },
     maxPayload: 1024 * 1024, // 1MB max payload
     clientTracking: true,
     perMessageDeflate: {
@@ -711,6 +1248,7 @@ const wsCleanupInterval = setInterval(() => {
     if (cleaned > 0) {
         console.log(`🧹 Cleaned ${cleaned} dead WebSocket connections. Active: ${wsClients.size}`);
     }
+    updateOnlineStaff(); // Also the heartbeat that keeps this instance's entry fresh
 }, WS_HEARTBEAT_INTERVAL);
 
 // Clean up on server shutdown
@@ -726,17 +1264,22 @@ wss.on('connection', (ws, req) => {
         return;
     }
     
-    // Initialize client data
+    // Initialize client data - identity comes from the handshake token, never from messages
+    const { userId, userName, userType, videoRoom } = req.socketIdentity;
     const clientData = {
         isAlive: true,
         lastActivity: Date.now(),
         subscribedCallSid: null,
-        userId: null,
-        userType: null, // 'admin' or 'teacher'
+        userId,
+        userName,
+        userType, // 'admin' | 'teamlead' | 'teacher' | 'guardian' | 'student'
+        videoRoom: videoRoom || null,
+        topics: initialTopics(req.socketIdentity),
         ip: req.socket.remoteAddress
     };
     
     wsClients.set(ws, clientData);
+    updateOnlineStaff();
     
     // Only log occasionally to reduce console spam
     if (wsClients.size % 10 === 0 || wsClients.size <= 5) {
@@ -764,14 +1307,27 @@ wss.on('connection', (ws, req) => {
             if (parsed.type === 'PING') {
                 ws.send(JSON.stringify({ type: 'PONG' }));
             } else if (parsed.type === 'SUBSCRIBE_CALL') {
-                if (data) data.subscribedCallSid = parsed.callSid;
-            } else if (parsed.type === 'SET_USER_ID') {
-                if (data) data.userId = parsed.userId;
-            } else if (parsed.type === 'SET_USER_TYPE') {
                 if (data) {
-                    data.userType = parsed.userType;
-                    data.userId = parsed.userId || data.userId;
+                    subscribeToCall(ws, data, parsed.callSid)
+                        .catch(err => console.error('❌ WebSocket call subscription failed:', err.message));
+                }
+            } else if (parsed.type === 'SUBSCRIBE' || parsed.type === 'UNSUBSCRIBE') {
+                if (data) {
+                    // Async (guardian topics read the database) - a failed read must not become an unhandled rejection
+                    updateSubscription(ws, data, parsed.type, String(parsed.topic || ''))
+                        .catch(err => console.error('❌ WebSocket subscription failed:', err.message));
                 }
+            } else if (parsed.type === 'WHITEBOARD_OP') {
+                // Students draw over their room socket; teachers post to /api/video/whiteboard/op
+                if (data && data.videoRoom) applyStudentWhiteboardOp(data, parsed.op);
+            } else if (parsed.type === 'VIDEO_CONNECTION') {
+                if (data && data.videoRoom) recordConnectionEvent(data, parsed.event);
+            } else if (parsed.type === 'NETWORK_QUALITY') {
+                if (data && data.videoRoom) recordNetworkQuality(data, parsed.level);
+            } else if (parsed.type === 'VIDEO_CHAT') {
+                // Students chat over their room socket; teachers post to /api/video/chat
+                const roomInfo = data && data.videoRoom && activeVideoRooms.get(data.videoRoom);
+                if (roomInfo) addVideoChatMessage(roomInfo, data.userName, 'student', parsed.text);
             }
         } catch (e) {
             // Silently ignore parse errors to prevent log spam
@@ -780,178 +1336,557 @@ wss.on('connection', (ws, req) => {
     
     ws.on('close', () => {
         wsClients.delete(ws);
+        updateOnlineStaff();
     });
     
     ws.on('error', () => {
         wsClients.delete(ws);
+        updateOnlineStaff();
     });
 });
 
-// OPTIMIZED broadcast - only send to relevant clients
-function broadcastCallStatus(callSid, status, duration, recordingUrl) {
-    const message = JSON.stringify({
-        type: 'CALL_STATUS_UPDATE',
-        callSid,
-        status,
-        duration,
-        recordingUrl,
-        timestamp: Date.now()
-    });
+// ---------------------------------------------------------
+// WEBSOCKET AUTHENTICATION & TOPICS
+// Dashboards connect with ?token=<session access token>, the student
+// video page with ?videoToken=<Twilio room token>. Each socket only
+// receives messages for the topics it holds:
+//   user:<id>      - always, the socket's own user
+//   call:<sid>     - the call's owner, or staff who see every call
+//   student:<id>   - staff who read SMS, and the student's guardians
+//   video:<room>   - the room's managers, or its admitted students
+//   plus the role topics below, granted at connect time
+// ---------------------------------------------------------
+
+// Role topic → permission a user needs to hold it
+const ROLE_TOPICS = {
+    'inbound-calls': 'calls:live',     // Status of every inbound call (the alert itself goes to the agents it rings)
+    'all-calls': 'history:readAll',    // Status and hold changes of every call
+    'all-sms': 'sms:read',             // Every SMS in or out
+    'all-classes': 'classes:readAll'   // Reminder answers and reschedule requests for every class
+};
+
+// Resolve who is connecting. Returns null to refuse the handshake.
+async function authenticateSocket(req) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
     
-    let sent = 0;
-    wsClients.forEach((clientData, ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-            // OPTIMIZED: Only send to the specific teacher subscribed to THIS call
-            // Plus admin users who may be monitoring
-            if (clientData.subscribedCallSid === callSid || clientData.userType === 'admin') {
-                try {
-                    ws.send(message);
-                    sent++;
-                } catch (e) {
-                    wsClients.delete(ws);
-                }
-            }
+    const sessionToken = searchParams.get('token');
+    if (sessionToken) {
+        try {
+            const payload = verifySessionToken(sessionToken, 'access');
+            return { userId: payload.sub, userName: payload.name || payload.email, userType: payload.type };
+        } catch (err) {
+            return null;
         }
-    });
+    }
+    
+    // Students prove they were let into the room with the Twilio token they were issued
+    const videoToken = searchParams.get('videoToken');
+    const grant = videoToken && verifyVideoToken(videoToken);
+    if (!grant) return null;
+    
+    const { room: roomInfo } = await loadVideoRoom(grant.room);
+    if (!roomInfo || !findAdmittedParticipant(roomInfo, grant)) return null;
+    return { userId: null, userName: grant.identity, userType: 'student', videoRoom: grant.room };
 }
 
-// OPTIMIZED broadcast for new SMS message
-function broadcastNewMessage(message) {
-    const payload = JSON.stringify({
-        type: 'NEW_SMS_MESSAGE',
-        message,
-        timestamp: Date.now()
+function initialTopics({ userId, userType, videoRoom }) {
+    const topics = new Set();
+    if (userType === 'student') {
+        topics.add(`video:${videoRoom}`);
+        return topics;
+    }
+    topics.add(`user:${userId}`);
+    Object.entries(ROLE_TOPICS).forEach(([topic, action]) => {
+        if (roleCan(userType, action)) topics.add(topic);
     });
+    return topics;
+}
+
+// May this socket hold the topic? Students never pick their own topics.
+async function canSubscribe(clientData, topic) {
+    if (clientData.userType === 'student') return false;
+    
+    const user = { id: clientData.userId, type: clientData.userType };
+    const [kind, id] = [topic.slice(0, topic.indexOf(':')), topic.slice(topic.indexOf(':') + 1)];
+    if (!id) return false;
+    
+    if (kind === 'call') {
+        const call = activeCalls.get(id);
+        return roleCan(user.type, 'history:readAll') || (!!call && (call.teacherId || call.callerId) === user.id);
+    }
+    if (kind === 'video') {
+        const roomInfo = activeVideoRooms.get(id);
+        return !!roomInfo && canManageRoom(user, roomInfo);
+    }
+    if (kind === 'student') {
+        if (roleCan(user.type, 'sms:read')) return true;
+        return user.type === 'guardian' && (await findGuardianStudentIds(user.id)).includes(id);
+    }
+    return false;
+}
+
+async function updateSubscription(ws, clientData, type, topic) {
+    if (type === 'UNSUBSCRIBE') {
+        if (!initialTopics(clientData).has(topic)) clientData.topics.delete(topic);
+        return;
+    }
+    if (await canSubscribe(clientData, topic)) {
+        clientData.topics.add(topic);
+        ws.send(JSON.stringify({ type: 'SUBSCRIBED', topic }));
+    } else {
+        ws.send(JSON.stringify({ type: 'SUBSCRIBE_DENIED', topic }));
+    }
+}
+
+// A dashboard follows one outbound call at a time
+async function subscribeToCall(ws, clientData, callSid) {
+    if (clientData.subscribedCallSid) clientData.topics.delete(`call:${clientData.subscribedCallSid}`);
+    clientData.subscribedCallSid = null;
+    if (!callSid) return;
     
+    const topic = `call:${callSid}`;
+    if (await canSubscribe(clientData, topic)) {
+        clientData.subscribedCallSid = callSid;
+        clientData.topics.add(topic);
+    } else {
+        ws.send(JSON.stringify({ type: 'SUBSCRIBE_DENIED', topic }));
+    }
+}
+
+// Who has a dashboard open, across instances. Each instance owns one entry;
+// entries not refreshed by a heartbeat (instance gone) are ignored.
+function updateOnlineStaff() {
+    const users = new Map();
     wsClients.forEach((clientData, ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-            try {
-                ws.send(payload);
-            } catch (e) {
-                wsClients.delete(ws);
-            }
+        if (ws.readyState === WebSocket.OPEN && clientData.userId) {
+            users.set(clientData.userId, { id: clientData.userId, name: clientData.userName, type: clientData.userType });
         }
     });
+    onlineStaff.set(INSTANCE_ID, { users: Array.from(users.values()), updatedAt: Date.now() });
 }
 
-// OPTIMIZED broadcast incoming call
-function broadcastIncomingCall(callData) {
-    const payload = JSON.stringify({
-        type: 'INCOMING_CALL',
-        call: callData,
-        timestamp: Date.now()
+function findOnlineStaff() {
+    const users = new Map();
+    onlineStaff.forEach(({ users: instanceUsers, updatedAt }) => {
+        if (Date.now() - updatedAt > WS_HEARTBEAT_INTERVAL * 2) return;
+        instanceUsers.forEach(user => users.set(user.id, user));
     });
-    
+    return Array.from(users.values());
+}
+
+// Publish to the topics on every instance - each one delivers to its own sockets
+function publishToTopics(topics, message) {
+    sharedState.publish('ws-broadcast', JSON.stringify({ topics, message: { ...message, timestamp: Date.now() } }))
+        .catch(err => console.error('❌ WebSocket broadcast failed:', err.message));
+}
+
+// Send to every local socket holding any of the topics (once per socket)
+function deliverToTopics(topics, message) {
+    const payload = JSON.stringify(message);
     let sent = 0;
+    
     wsClients.forEach((clientData, ws) => {
-        // Only send incoming calls to ADMIN clients
-        if (ws.readyState === WebSocket.OPEN && (clientData.userType === 'admin' || clientData.userType === 'teamlead')) {
-            try {
-                ws.send(payload);
-                sent++;
-            } catch (e) {
-                wsClients.delete(ws);
-            }
+        if (ws.readyState !== WebSocket.OPEN || !topics.some(topic => clientData.topics.has(topic))) return;
+        try {
+            ws.send(payload);
+            sent++;
+        } catch (e) {
+            wsClients.delete(ws);
         }
     });
-    
-    console.log(`📢 Broadcast incoming call to ${sent} admin/teamlead client(s)`);
+    if (message.type === 'INCOMING_CALL' && sent > 0) {
+        console.log(`📢 Incoming call delivered to ${sent} agent client(s) on this instance`);
+    }
+}
+
+// Call status goes to whoever follows the call plus staff watching every call
+function broadcastCallStatus(callSid, status, duration, recordingUrl) {
+    publishToTopics([`call:${callSid}`, 'all-calls'], {
+        type: 'CALL_STATUS_UPDATE',
+        callSid,
+        status,
+        duration,
+        recordingUrl
+    });
+}
+
+// New SMS - staff who read SMS, and anyone following that student
+function broadcastNewMessage(message) {
+    const topics = ['all-sms'];
+    if (message.studentId) topics.push(`student:${message.studentId}`);
+    publishToTopics(topics, { type: 'NEW_SMS_MESSAGE', message });
+}
+
+// Incoming call alert - only the agents the call is being offered to
+function broadcastIncomingCall(callData, agentIds) {
+    const { routing, ...call } = callData;
+    publishToTopics(agentIds.map(id => `user:${id}`), { type: 'INCOMING_CALL', call });
 }
 
-// Broadcast incoming call status update - ADMIN ONLY
+// Incoming call status update - staff who take live calls, plus the agents it is ringing for
 function broadcastIncomingCallStatus(callSid, status, additionalData = {}) {
-    const payload = JSON.stringify({
+    const ringing = inboundCalls.get(callSid)?.routing?.ringing || [];
+    publishToTopics(['inbound-calls', ...ringing.map(id => `user:${id}`)], {
         type: 'INCOMING_CALL_STATUS',
         callSid,
         status,
-        ...additionalData,
-        timestamp: Date.now()
-    });
-    
-    wsClients.forEach((clientData, ws) => {
-        // Only send incoming call status to ADMIN clients
-        if (ws.readyState === WebSocket.OPEN && (clientData.userType === 'admin' || clientData.userType === 'teamlead')) {
-            try {
-                ws.send(payload);
-            } catch (e) {
-                wsClients.delete(ws);
-            }
-        }
+        ...additionalData
     });
 }
 
 // ==========================================================
-// DATABASE API ENDPOINTS
+// SESSION AUTHENTICATION
+// Login issues a short-lived access token plus a longer-lived
+// refresh token. Every protected route resolves the caller from
+// the access token - never from the request body.
 // ==========================================================
 
-// ---------------------------------------------------------
-// AUTHENTICATION
-// ---------------------------------------------------------
-app.post('/api/auth/login', async (req, res) => {
-    const { email, password, type } = req.body;
+// Routes that need a logged-in user (Twilio webhooks and TwiML stay open)
+const PROTECTED_ROUTE_PREFIXES = [
+    '/api/',
+    '/make-call',
+    '/make-reminder-call',
+    '/hangup-call',
+    '/call-status/',
+    '/recording/',
+    '/recording-audio/',
+    '/video-recording/',
+    '/whiteboard-image/',
+    '/debug/recording/'
+];
+
+// Exceptions inside the protected prefixes
+const PUBLIC_ROUTES = [
+    { method: 'POST', pattern: /^\/api\/auth\/(login|refresh)$/ },
+    { method: 'GET', pattern: /^\/api\/video\/join\/[^/]+$/ }, // Students joining from SMS link
+    { method: 'GET', pattern: /^\/api\/class-link\/[^/]+$/ },      // Student lobby (signed class link)
+    { method: 'POST', pattern: /^\/api\/class-link\/[^/]+\/join$/ },
+    { method: 'POST', pattern: /^\/api\/video\/student-token$/ },  // Student page keeps its room token fresh
+    { method: 'GET', pattern: /^\/api\/quran\/text\/\d+$/ }          // Shared Quran viewer (students follow along too)
+];
+
+// <audio src> and window.open() can't send headers - allow ?token= for media only
+const QUERY_TOKEN_ROUTE_PREFIXES = ['/recording-audio/', '/video-recording/', '/whiteboard-image/'];
+
+function isProtectedRoute(req) {
+    if (!PROTECTED_ROUTE_PREFIXES.some(prefix => req.path.startsWith(prefix))) return false;
+    return !PUBLIC_ROUTES.some(route => route.method === req.method && route.pattern.test(req.path));
+}
+
+// Issue a new access + refresh token pair for a user
+function issueSessionTokens(user) {
+    const subject = String(user.id || user._id);
+    const accessToken = jwt.sign(
+        { name: user.name, email: user.email, type: user.type, tokenType: 'access' },
+        config.auth.jwtSecret,
+        { subject, expiresIn: config.auth.accessTokenTtl }
+    );
+    const refreshToken = jwt.sign(
+        { tokenType: 'refresh' },
+        config.auth.jwtSecret,
+        { subject, expiresIn: config.auth.refreshTokenTtl }
+    );
+    const { exp } = jwt.decode(accessToken);
+    return { accessToken, refreshToken, expiresAt: exp * 1000 };
+}
+
+// Verify a token of the expected kind. Throws on bad signature, expiry or wrong kind.
+function verifySessionToken(token, expectedType) {
+    const payload = jwt.verify(token, config.auth.jwtSecret);
+    if (payload.tokenType !== expectedType) {
+        throw new jwt.JsonWebTokenError('Wrong token type');
+    }
+    return payload;
+}
+
+// Look up the current state of a session's user (they may have been deactivated or renamed)
+async function findSessionUser(userId) {
+    const user = await db.users.findById(userId, { select: '-password' });
+    if (!user || !user.isActive) return null;
+    return { id: user._id.toString(), name: user.name, email: user.email, type: user.type };
+}
+
+function extractBearerToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    if (req.method === 'GET' && QUERY_TOKEN_ROUTE_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+        return req.query.token || null;
+    }
+    return null;
+}
+
+// Authentication middleware - sets req.user = { id, name, email, type }
+const authenticate = (req, res, next) => {
+    if (!isProtectedRoute(req)) return next();
+    
+    const token = extractBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+    
+    try {
+        const payload = verifySessionToken(token, 'access');
+        req.user = { id: payload.sub, name: payload.name, email: payload.email, type: payload.type };
+        next();
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ success: false, error: 'Session expired', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(401).json({ success: false, error: 'Invalid session token', code: 'TOKEN_INVALID' });
+    }
+};
+
+app.use(authenticate);
+
+// ==========================================================
+// ROLE-BASED AUTHORIZATION
+// Each protected route maps to one action; each role lists the
+// actions it may perform. Enforced centrally right after
+// authentication so individual handlers never re-check roles.
+// ==========================================================
+
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    teamlead: [
+        'auth:session',
+        'students:read',
+        'users:read',
+        'teamleads:read',
+        'history:read', 'history:readAll', 'history:write',
+        'classes:read', 'classes:readAll', 'classes:manage',
+        'reminders:read', 'reminders:manage',
+        'attendance:read', 'attendance:readAll', 'attendance:write',
+        'lessons:read', 'lessons:write', 'lessons:manage',
+        'sms:read', 'sms:send',
+        'calls:live', 'calls:inbound', 'calls:reminder',
+        'video:host',
+        'recordings:listen',
+        'system:status'
+    ],
+    teacher: [
+        'auth:session',
+        'students:read',
+        'users:read',
+        'history:read', 'history:write',
+        'classes:read',
+        'attendance:read', 'attendance:write',
+        'lessons:read', 'lessons:write',
+        'calls:inbound', 'calls:reminder', // Inbound: only calls routed to them
+        'system:status'
+    ],
+    guardian: [
+        'auth:session',
+        'portal:read', 'portal:request',
+        'recordings:listen' // Limited to shared students inside the recording routes
+    ]
+};
+
+// First match wins. Protected routes with no entry are admin-only.
+const ROUTE_PERMISSIONS = [
+    { method: 'GET',    pattern: /^\/api\/auth\/me$/,                    action: 'auth:session' },
+    
+    { method: 'GET',    pattern: /^\/api\/students$/,                    action: 'students:read' },
+    { method: 'POST',   pattern: /^\/api\/students$/,                    action: 'students:write' },
+    { method: 'PUT',    pattern: /^\/api\/students\/[^/]+$/,             action: 'students:write' },
+    { method: 'DELETE', pattern: /^\/api\/students\/[^/]+$/,             action: 'students:delete' },
+    
+    { method: 'GET',    pattern: /^\/api\/teachers$/,                    action: 'users:read' },
+    { method: 'GET',    pattern: /^\/api\/teamleads$/,                   action: 'teamleads:read' },
+    { method: '*',      pattern: /^\/api\/(teachers|teamleads)(\/|$)/,  action: 'users:manage' },
+    
+    { method: 'GET',    pattern: /^\/api\/call-history$/,                action: 'history:read' },
+    { method: 'POST',   pattern: /^\/api\/call-history$/,                action: 'history:write' },
+    { method: 'POST',   pattern: /^\/api\/call-history\/delete$/,        action: 'history:delete' },
+    { method: 'GET',    pattern: /^\/api\/video-chat\/[^/]+$/,           action: 'history:read' },
+    
+    { method: 'GET',    pattern: /^\/api\/classes(\/calendar)?$/,        action: 'classes:read' },
+    { method: '*',      pattern: /^\/api\/classes(\/|$)/,                action: 'classes:manage' },
+    { method: 'GET',    pattern: /^\/api\/reminders\/jobs$/,              action: 'reminders:read' },
+    { method: 'POST',   pattern: /^\/api\/reminders\//,                    action: 'reminders:manage' },
+    { method: 'GET',    pattern: /^\/api\/attendance(\/report)?$/,         action: 'attendance:read' },
+    { method: 'POST',   pattern: /^\/api\/attendance$/,                    action: 'attendance:write' },
+    { method: 'PUT',    pattern: /^\/api\/attendance\/[^/]+$/,             action: 'attendance:write' },
+    { method: 'GET',    pattern: /^\/api\/(lessons|quran\/surahs)$/,       action: 'lessons:read' },
+    { method: 'GET',    pattern: /^\/api\/students\/[^/]+\/progress$/,      action: 'lessons:read' },
+    { method: 'GET',    pattern: /^\/api\/students\/[^/]+\/class-link$/,    action: 'video:host' },
+    { method: 'POST',   pattern: /^\/api\/students\/[^/]+\/class-link\/revoke$/, action: 'students:write' },
+    { method: '*',      pattern: /^\/api\/lessons(\/[^/]+)?$/,              action: 'lessons:write' },
+    { method: 'GET',    pattern: /^\/api\/reschedule-requests$/,           action: 'classes:read' },
+    { method: 'PUT',    pattern: /^\/api\/reschedule-requests\/[^/]+$/,    action: 'classes:manage' },
+    
+    { method: 'GET',    pattern: /^\/api\/portal\//,                       action: 'portal:read' },
+    { method: '*',      pattern: /^\/api\/portal\/reschedule-requests(\/[^/]+)?$/, action: 'portal:request' },
+    
+    { method: 'GET',    pattern: /^\/api\/db-status$/,                   action: 'system:status' },
+    
+    { method: 'POST',   pattern: /^\/api\/sms\/conversations\/delete$/,  action: 'sms:delete' },
+    { method: 'POST',   pattern: /^\/api\/sms\/send$/,                   action: 'sms:send' },
+    { method: 'GET',    pattern: /^\/api\/sms\//,                        action: 'sms:read' },
+    
+    { method: 'POST',   pattern: /^\/api\/voice-token$/,                 action: 'calls:inbound' },
+    { method: 'POST',   pattern: /^\/make-call$/,                        action: 'calls:live' },
+    { method: 'POST',   pattern: /^\/hangup-call$/,                      action: 'calls:live' },
+    { method: 'GET',    pattern: /^\/call-status\/[^/]+$/,               action: 'calls:live' },
+    { method: 'POST',   pattern: /^\/api\/inbound-call\/(answer|decline)$/, action: 'calls:inbound' },
+    { method: 'POST',   pattern: /^\/api\/inbound-call\/reject$/,         action: 'calls:live' },
+    { method: 'GET',    pattern: /^\/api\/inbound-calls$/,               action: 'calls:live' },
+    { method: 'GET',    pattern: /^\/api\/calls\/transfer-targets$/,      action: 'calls:live' },
+    { method: 'POST',   pattern: /^\/api\/calls\/transfer(\/[^/]+\/(accept|decline|complete|cancel))?$/, action: 'calls:live' },
+    { method: 'POST',   pattern: /^\/api\/calls\/[^/]+\/(hold|resume)$/,  action: 'calls:live' },
+    { method: 'GET',    pattern: /^\/api\/calls\/held$/,                  action: 'calls:live' },
+    { method: 'POST',   pattern: /^\/make-reminder-call$/,               action: 'calls:reminder' },
+    
+    { method: '*',      pattern: /^\/api\/video\//,                      action: 'video:host' },
+    
+    { method: 'GET',    pattern: /^\/recording(-audio)?\/[^/]+$/,        action: 'recordings:listen' },
+    { method: 'GET',    pattern: /^\/video-recording\/[^/]+(\/status)?$/, action: 'recordings:listen' },
+    { method: 'GET',    pattern: /^\/whiteboard-image\/[^/]+$/,          action: 'lessons:read' },
+    { method: 'GET',    pattern: /^\/(api\/)?debug\//,                   action: 'system:debug' },
+    { method: 'GET',    pattern: /^\/api\/voice-debug$/,                 action: 'system:debug' }
+];
+
+// Resolve the action a request needs (null → admin-only fallback)
+function resolveRouteAction(req) {
+    const rule = ROUTE_PERMISSIONS.find(r =>
+        (r.method === '*' || r.method === req.method) && r.pattern.test(req.path)
+    );
+    return rule ? rule.action : null;
+}
+
+// Can a role perform an action?
+function roleCan(role, action) {
+    const allowed = ROLE_PERMISSIONS[role] || [];
+    return allowed.includes('*') || (action !== null && allowed.includes(action));
+}
+
+// Authorization middleware - runs after authenticate, only where req.user was set
+const authorize = (req, res, next) => {
+    if (!req.user) return next();
+    
+    const action = resolveRouteAction(req);
+    if (roleCan(req.user.type, action)) return next();
+    
+    const allowedRoles = Object.keys(ROLE_PERMISSIONS).filter(role => roleCan(role, action));
+    console.warn(`🚫 Forbidden: ${req.user.name} (${req.user.type}) → ${req.method} ${req.path}`);
+    res.status(403).json({
+        success: false,
+        error: `Permission denied: only ${allowedRoles.join('/')} accounts can do this`,
+        code: 'FORBIDDEN',
+        requiredAction: action,
+        allowedRoles
+    });
+};
+
+app.use(authorize);
+
+// ==========================================================
+// TWILIO WEBHOOK SIGNATURE VALIDATION
+// Every /webhooks and /twiml request must carry a valid
+// X-Twilio-Signature computed over PUBLIC_URL + path + params.
+// Set TWILIO_VALIDATE_WEBHOOKS=false to bypass for local dev
+// (e.g. when replaying requests through curl or a tunnel with
+// a different hostname).
+// ==========================================================
+const validateTwilioSignature = (req, res, next) => {
+    if (!config.twilio.validateWebhooks) return next();
+    
+    const signature = req.headers['x-twilio-signature'];
+    const url = config.publicUrl + req.originalUrl;
+    
+    if (!signature || !config.twilio.authToken) {
+        console.warn(`🚫 Unsigned Twilio request rejected: ${req.method} ${req.originalUrl}`);
+        return res.status(403).type('text/plain').send('Missing Twilio signature');
+    }
+    
+    const params = req.method === 'POST' ? (req.body || {}) : {};
+    if (!twilio.validateRequest(config.twilio.authToken, signature, url, params)) {
+        console.warn(`🚫 Invalid Twilio signature rejected: ${req.method} ${req.originalUrl}`);
+        return res.status(403).type('text/plain').send('Invalid Twilio signature');
+    }
+    
+    next();
+};
+
+app.use(['/webhooks', '/twiml'], validateTwilioSignature);
+
+if (!config.twilio.validateWebhooks) {
+    console.warn('⚠️ Twilio webhook signature validation DISABLED (TWILIO_VALIDATE_WEBHOOKS=false)');
+}
+
+// ==========================================================
+// DATABASE API ENDPOINTS
+// ==========================================================
+
+// ---------------------------------------------------------
+// AUTHENTICATION
+// ---------------------------------------------------------
+app.post('/api/auth/login', async (req, res) => {
+    const { email, password, type } = req.body;
     
     console.log('🔐 Login attempt:', email, 'type:', type);
     
     try {
-        if (dbConnected) {
-            // Check database
-            const user = await User.findOne({ 
-                email: email.toLowerCase(),
-                type: type 
-            });
-            
-            if (!user) {
-                return res.status(401).json({ success: false, error: 'Invalid credentials' });
-            }
-            
-            const validPassword = await bcrypt.compare(password, user.password);
-            if (!validPassword) {
-                return res.status(401).json({ success: false, error: 'Invalid credentials' });
-            }
-            
-            // Update last login
-            user.lastLogin = new Date();
-            await user.save();
-            
-            console.log('✅ Login successful:', user.name);
-            
-            return res.json({
-                success: true,
-                user: {
-                    id: user._id,
-                    name: user.name,
-                    email: user.email,
-                    type: user.type
-                }
-            });
-        } else {
-            // Fallback: hardcoded admin
-            if (type === 'admin' && email === 'admin@quranacademy.com' && password === 'Quran@123') {
-                return res.json({
-                    success: true,
-                    user: { id: 'admin-1', name: 'Administrator', email: email, type: 'admin' }
-                });
-            }
-            
-            // Check in-memory teachers
-            const teacher = inMemoryTeachers.find(t => 
-                t.email.toLowerCase() === email.toLowerCase() && t.password === password
-            );
-            if (teacher && (type === 'teacher' || type === 'teamlead')) {
-                return res.json({
-                    success: true,
-                    user: { id: teacher.id, name: teacher.name, email: teacher.email, type: teacher.type || type }
-                });
-            }
-            
+        const user = await db.users.findOne({ 
+            email: String(email || '').toLowerCase(),
+            type: type 
+        });
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({ success: false, error: 'Invalid credentials' });
+        }
+        
+        const validPassword = await bcrypt.compare(String(password || ''), user.password);
+        if (!validPassword) {
             return res.status(401).json({ success: false, error: 'Invalid credentials' });
         }
+        
+        // Update last login
+        await db.users.updateOne({ _id: user._id }, { lastLogin: new Date() });
+        
+        console.log('✅ Login successful:', user.name);
+        
+        const sessionUser = {
+            id: user._id.toString(),
+            name: user.name,
+            email: user.email,
+            type: user.type
+        };
+        return res.json({ success: true, user: sessionUser, ...issueSessionTokens(sessionUser) });
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ success: false, error: 'Server error' });
     }
 });
 
+// Exchange a refresh token for a fresh token pair
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+        return res.status(400).json({ success: false, error: 'Refresh token required' });
+    }
+    
+    try {
+        const payload = verifySessionToken(refreshToken, 'refresh');
+        const sessionUser = await findSessionUser(payload.sub);
+        if (!sessionUser) {
+            return res.status(401).json({ success: false, error: 'Account no longer active', code: 'TOKEN_INVALID' });
+        }
+        res.json({ success: true, user: sessionUser, ...issueSessionTokens(sessionUser) });
+    } catch (err) {
+        if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+            return res.status(401).json({ success: false, error: 'Session expired. Please log in again.', code: 'TOKEN_EXPIRED' });
+        }
+        console.error('Token refresh error:', err);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Current session's user
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
 // ---------------------------------------------------------
 // STUDENTS API (with CACHING for high performance)
 // ---------------------------------------------------------
@@ -969,16 +1904,10 @@ app.get('/api/students', async (req, res) => {
             return res.json({ success: true, students: cached, fromCache: true });
         }
         
-        if (dbConnected) {
-            const students = await Student.find({ status: { $ne: 'deleted' } })
-                .sort({ createdAt: -1 })
-                .lean(); // .lean() returns plain JS objects (faster)
-            
-            setCachedData('students', students);
-            return res.json({ success: true, students });
-        } else {
-            return res.json({ success: true, students: inMemoryStudents });
-        }
+        const students = await db.students.find({ status: { $ne: 'deleted' } }, { sort: { createdAt: -1 } });
+        
+        setCachedData('students', students);
+        return res.json({ success: true, students });
     } catch (err) {
         console.error('Get students error:', err);
         res.status(500).json({ success: false, error: 'Failed to fetch students' });
@@ -987,7 +1916,8 @@ app.get('/api/students', async (req, res) => {
 
 // Add new student
 app.post('/api/students', async (req, res) => {
-    const { name, phone, email, notes, course, addedBy } = req.body;
+    const { name, phone, email, notes, course, timezone, reminder, preferredLanguage, shareRecordingsWithGuardians } = req.body;
+    const addedBy = req.user.name;
     
     console.log('➕ Adding student:', name, phone);
     
@@ -996,22 +1926,12 @@ app.post('/api/students', async (req, res) => {
     }
     
     try {
-        if (dbConnected) {
-            const student = await Student.create({
-                name, phone, email, notes, course, addedBy
-            });
-            console.log('✅ Student added to database:', student._id);
-            invalidateCache('students'); // Clear cache on add
-            return res.json({ success: true, student });
-        } else {
-            const student = {
-                id: Date.now().toString(),
-                name, phone, email, notes, course, addedBy,
-                createdAt: new Date()
-            };
-            inMemoryStudents.push(student);
-            return res.json({ success: true, student });
-        }
+        const student = await db.students.create({
+            name, phone, email, notes, course, timezone, reminder, preferredLanguage, shareRecordingsWithGuardians, addedBy
+        });
+        console.log('✅ Student added to database:', student._id);
+        invalidateCache('students'); // Clear cache on add
+        return res.json({ success: true, student });
     } catch (err) {
         console.error('Add student error:', err);
         res.status(500).json({ success: false, error: 'Failed to add student' });
@@ -1021,30 +1941,20 @@ app.post('/api/students', async (req, res) => {
 // Update student
 app.put('/api/students/:id', async (req, res) => {
     const { id } = req.params;
-    const { name, phone, email, notes, course, status } = req.body;
+    const { name, phone, email, notes, course, status, timezone, reminder, preferredLanguage, shareRecordingsWithGuardians } = req.body;
     
     console.log('✏️ Updating student:', id);
     
     try {
-        if (dbConnected) {
-            const student = await Student.findByIdAndUpdate(
-                id,
-                { name, phone, email, notes, course, status, updatedAt: new Date() },
-                { new: true }
-            );
-            if (!student) {
-                return res.status(404).json({ success: false, error: 'Student not found' });
-            }
-            invalidateCache('students'); // Clear cache on update
-            return res.json({ success: true, student });
-        } else {
-            const index = inMemoryStudents.findIndex(s => s.id === id);
-            if (index === -1) {
-                return res.status(404).json({ success: false, error: 'Student not found' });
-            }
-            inMemoryStudents[index] = { ...inMemoryStudents[index], name, phone, email, notes, course, status };
-            return res.json({ success: true, student: inMemoryStudents[index] });
+        const student = await db.students.findByIdAndUpdate(
+            id,
+            { name, phone, email, notes, course, status, timezone, reminder, preferredLanguage, shareRecordingsWithGuardians, updatedAt: new Date() }
+        );
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
         }
+        invalidateCache('students'); // Clear cache on update
+        return res.json({ success: true, student });
     } catch (err) {
         console.error('Update student error:', err);
         res.status(500).json({ success: false, error: 'Failed to update student' });
@@ -1058,14 +1968,9 @@ app.delete('/api/students/:id', async (req, res) => {
     console.log('🗑️ Deleting student:', id);
     
     try {
-        if (dbConnected) {
-            await Student.findByIdAndDelete(id);
-            invalidateCache('students'); // Clear cache on delete
-            return res.json({ success: true });
-        } else {
-            inMemoryStudents = inMemoryStudents.filter(s => s.id !== id);
-            return res.json({ success: true });
-        }
+        await db.students.findByIdAndDelete(id);
+        invalidateCache('students'); // Clear cache on delete
+        return res.json({ success: true });
     } catch (err) {
         console.error('Delete student error:', err);
         res.status(500).json({ success: false, error: 'Failed to delete student' });
@@ -1079,24 +1984,16 @@ app.delete('/api/students/:id', async (req, res) => {
 // Get all teachers
 app.get('/api/teachers', async (req, res) => {
     try {
-        if (dbConnected) {
-            // Try cache first
-            const cached = getCachedData('teachers');
-            if (cached) {
-                return res.json({ success: true, teachers: cached, fromCache: true });
-            }
-            
-            const teachers = await User.find({ type: 'teacher', isActive: true })
-                .select('-password')
-                .sort({ createdAt: -1 })
-                .lean(); // Faster - returns plain JS objects
-            
-            setCachedData('teachers', teachers);
-            return res.json({ success: true, teachers });
-        } else {
-            const teachers = inMemoryTeachers.map(({ password, ...t }) => t);
-            return res.json({ success: true, teachers });
+        // Try cache first
+        const cached = getCachedData('teachers');
+        if (cached) {
+            return res.json({ success: true, teachers: cached, fromCache: true });
         }
+        
+        const teachers = await db.users.find({ type: 'teacher', isActive: true }, { select: '-password', sort: { createdAt: -1 } });
+        
+        setCachedData('teachers', teachers);
+        return res.json({ success: true, teachers });
     } catch (err) {
         console.error('Get teachers error:', err);
         res.status(500).json({ success: false, error: 'Failed to fetch teachers' });
@@ -1105,7 +2002,7 @@ app.get('/api/teachers', async (req, res) => {
 
 // Add new teacher
 app.post('/api/teachers', async (req, res) => {
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, teamLeadId } = req.body;
     
     console.log('➕ Adding teacher:', name, email);
     
@@ -1114,39 +2011,29 @@ app.post('/api/teachers', async (req, res) => {
     }
     
     try {
-        if (dbConnected) {
-            // Check if email exists
-            const exists = await User.findOne({ email: email.toLowerCase() }).lean();
-            if (exists) {
-                return res.status(400).json({ success: false, error: 'Email already exists' });
-            }
-            
-            const hashedPassword = await bcrypt.hash(password, 10);
-            const teacher = await User.create({
-                name, 
-                email: email.toLowerCase(), 
-                password: hashedPassword, 
-                phone,
-                type: 'teacher'
-            });
-            
-            console.log('✅ Teacher added to database:', teacher._id);
-            invalidateCache('teachers'); // Clear cache on add
-            
-            return res.json({ 
-                success: true, 
-                teacher: { id: teacher._id, name, email, phone, type: 'teacher' }
-            });
-        } else {
-            const teacher = {
-                id: Date.now().toString(),
-                name, email, password, phone, type: 'teacher',
-                createdAt: new Date()
-            };
-            inMemoryTeachers.push(teacher);
-            const { password: _, ...teacherWithoutPassword } = teacher;
-            return res.json({ success: true, teacher: teacherWithoutPassword });
+        // Check if email exists
+        const exists = await db.users.findOne({ email: email.toLowerCase() });
+        if (exists) {
+            return res.status(400).json({ success: false, error: 'Email already exists' });
         }
+        
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const teacher = await db.users.create({
+            name, 
+            email: email.toLowerCase(), 
+            password: hashedPassword, 
+            phone,
+            teamLeadId: teamLeadId || undefined,
+            type: 'teacher'
+        });
+        
+        console.log('✅ Teacher added to database:', teacher._id);
+        invalidateCache('teachers'); // Clear cache on add
+        
+        return res.json({ 
+            success: true, 
+            teacher: { id: teacher._id, name, email, phone, teamLeadId: teacher.teamLeadId, type: 'teacher' }
+        });
     } catch (err) {
         console.error('Add teacher error:', err);
         res.status(500).json({ success: false, error: 'Failed to add teacher' });
@@ -1156,33 +2043,23 @@ app.post('/api/teachers', async (req, res) => {
 // Update teacher
 app.put('/api/teachers/:id', async (req, res) => {
     const { id } = req.params;
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, teamLeadId } = req.body;
     
     console.log('✏️ Updating teacher:', id);
     
     try {
-        if (dbConnected) {
-            const updateData = { name, email: email.toLowerCase(), phone };
-            if (password) {
-                updateData.password = await bcrypt.hash(password, 10);
-            }
-            
-            const teacher = await User.findByIdAndUpdate(id, updateData, { new: true }).select('-password').lean();
-            if (!teacher) {
-                return res.status(404).json({ success: false, error: 'Teacher not found' });
-            }
-            invalidateCache('teachers'); // Clear cache on update
-            return res.json({ success: true, teacher });
-        } else {
-            const index = inMemoryTeachers.findIndex(t => t.id === id);
-            if (index === -1) {
-                return res.status(404).json({ success: false, error: 'Teacher not found' });
-            }
-            inMemoryTeachers[index] = { ...inMemoryTeachers[index], name, email, phone };
-            if (password) inMemoryTeachers[index].password = password;
-            const { password: _, ...teacherWithoutPassword } = inMemoryTeachers[index];
-            return res.json({ success: true, teacher: teacherWithoutPassword });
+        const updateData = { name, email: email.toLowerCase(), phone };
+        if (teamLeadId !== undefined) updateData.teamLeadId = teamLeadId || null;
+        if (password) {
+            updateData.password = await bcrypt.hash(password, 10);
+        }
+        
+        const teacher = await db.users.findByIdAndUpdate(id, updateData, { select: '-password' });
+        if (!teacher) {
+            return res.status(404).json({ success: false, error: 'Teacher not found' });
         }
+        invalidateCache('teachers'); // Clear cache on update
+        return res.json({ success: true, teacher });
     } catch (err) {
         console.error('Update teacher error:', err);
         res.status(500).json({ success: false, error: 'Failed to update teacher' });
@@ -1196,192 +2073,2153 @@ app.delete('/api/teachers/:id', async (req, res) => {
     console.log('🗑️ Deleting teacher:', id);
     
     try {
-        if (dbConnected) {
-            await User.findByIdAndDelete(id);
-            invalidateCache('teachers'); // Clear cache on delete
-            return res.json({ success: true });
-        } else {
-            inMemoryTeachers = inMemoryTeachers.filter(t => t.id !== id);
-            return res.json({ success: true });
+        await db.users.findByIdAndDelete(id);
+        invalidateCache('teachers'); // Clear cache on delete
+        return res.json({ success: true });
+    } catch (err) {
+        console.error('Delete teacher error:', err);
+        res.status(500).json({ success: false, error: 'Failed to delete teacher' });
+    }
+});
+
+// ---------------------------------------------------------
+// TEAM LEAD ENDPOINTS
+// ---------------------------------------------------------
+app.get('/api/teamleads', async (req, res) => {
+    try {
+        const teamleads = await db.users.find({ type: 'teamlead', isActive: true }, { select: '-password' });
+        res.json({ success: true, teamleads });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/teamleads', async (req, res) => {
+    const { name, email, password, phone } = req.body;
+    if (!name || !email || !password) {
+        return res.status(400).json({ success: false, error: 'Name, email, and password are required' });
+    }
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const teamlead = await db.users.create({
+            name, email, password: hashedPassword, phone: phone || '',
+            type: 'teamlead'
+        });
+        invalidateCache('teamleads');
+        res.json({ success: true, teamlead: { id: teamlead._id, name, email, phone: phone || '', type: 'teamlead' } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/teamleads/:id', async (req, res) => {
+    const { id } = req.params;
+    const { name, email, phone, password } = req.body;
+    try {
+        const updateData = { name, email, phone };
+        if (password) updateData.password = await bcrypt.hash(password, 10);
+        const teamlead = await db.users.findOneAndUpdate({ _id: id, type: 'teamlead' }, updateData, { select: '-password' });
+        if (!teamlead) return res.status(404).json({ success: false, error: 'Team lead not found' });
+        invalidateCache('teamleads');
+        res.json({ success: true, teamlead });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/teamleads/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+        await db.users.findByIdAndUpdate(id, { isActive: false });
+        invalidateCache('teamleads');
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ---------------------------------------------------------
+// GUARDIAN ENDPOINTS
+// ---------------------------------------------------------
+// Parents/guardians get a read-only portal for the students linked to
+// their account. Accounts are created by an admin.
+
+function toGuardianResponse(guardian) {
+    const { password, ...rest } = guardian;
+    return { ...rest, id: String(guardian._id || guardian.id), studentIds: guardian.studentIds || [] };
+}
+
+// Returns an error message, or null when every linked student exists
+async function validateGuardianStudents(studentIds) {
+    if (!Array.isArray(studentIds) || studentIds.length === 0) return 'Link at least one student';
+    for (const id of studentIds) {
+        if (!(await findStudentById(id))) return `Student not found: ${id}`;
+    }
+    return null;
+}
+
+async function findGuardianStudentIds(userId) {
+    const guardian = await db.users.findById(userId, { select: 'type studentIds' });
+    return guardian?.type === 'guardian' ? guardian.studentIds || [] : [];
+}
+
+app.get('/api/guardians', async (req, res) => {
+    try {
+        const guardians = await db.users.find({ type: 'guardian', isActive: true }, { select: '-password', sort: { createdAt: -1 } });
+        res.json({ success: true, guardians: guardians.map(toGuardianResponse) });
+    } catch (err) {
+        console.error('Get guardians error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch guardians' });
+    }
+});
+
+app.post('/api/guardians', async (req, res) => {
+    const { name, email, password, phone, studentIds } = req.body;
+    
+    console.log('➕ Adding guardian:', name, email);
+    
+    if (!name || !email || !password) {
+        return res.status(400).json({ success: false, error: 'Name, email and password required' });
+    }
+    
+    try {
+        const studentError = await validateGuardianStudents(studentIds);
+        if (studentError) {
+            return res.status(400).json({ success: false, error: studentError });
+        }
+        
+        const exists = await db.users.findOne({ email: email.toLowerCase() });
+        if (exists) {
+            return res.status(400).json({ success: false, error: 'Email already exists' });
+        }
+        const guardian = await db.users.create({
+            name,
+            email: email.toLowerCase(),
+            password: await bcrypt.hash(password, 10),
+            phone: phone || '',
+            type: 'guardian',
+            studentIds
+        });
+        res.json({ success: true, guardian: toGuardianResponse(guardian) });
+    } catch (err) {
+        console.error('Add guardian error:', err);
+        res.status(500).json({ success: false, error: 'Failed to add guardian' });
+    }
+});
+
+app.put('/api/guardians/:id', async (req, res) => {
+    const { id } = req.params;
+    const { name, email, password, phone, studentIds } = req.body;
+    
+    console.log('✏️ Updating guardian:', id);
+    
+    try {
+        if (studentIds !== undefined) {
+            const studentError = await validateGuardianStudents(studentIds);
+            if (studentError) {
+                return res.status(400).json({ success: false, error: studentError });
+            }
+        }
+        
+        const updateData = Object.fromEntries(Object.entries({ name, email: email?.toLowerCase(), phone, studentIds }).filter(([, v]) => v !== undefined));
+        
+        if (password) updateData.password = await bcrypt.hash(password, 10);
+        const guardian = await db.users.findOneAndUpdate({ _id: id, type: 'guardian' }, updateData, { select: '-password' });
+        if (!guardian) {
+            return res.status(404).json({ success: false, error: 'Guardian not found' });
+        }
+        res.json({ success: true, guardian: toGuardianResponse(guardian) });
+    } catch (err) {
+        console.error('Update guardian error:', err);
+        res.status(500).json({ success: false, error: 'Failed to update guardian' });
+    }
+});
+
+app.delete('/api/guardians/:id', async (req, res) => {
+    const { id } = req.params;
+    
+    console.log('🗑️ Deleting guardian:', id);
+    
+    try {
+        await db.users.updateOne({ _id: id, type: 'guardian' }, { isActive: false });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete guardian error:', err);
+        res.status(500).json({ success: false, error: 'Failed to delete guardian' });
+    }
+});
+
+// ---------------------------------------------------------
+// CLASS SCHEDULING
+// ---------------------------------------------------------
+// A ClassSession is a rule ("Mon/Wed 17:00 Toronto time, 30 min").
+// Concrete classes are expanded on demand, converting each
+// student-local time to UTC so DST changes are handled per date.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFLICT_HORIZON_DAYS = 84; // Check double-booking 12 weeks ahead
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// How far ahead of UTC a timezone is at a given instant (ms)
+function timezoneOffsetMs(timeZone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 'YYYY-MM-DD' + 'HH:mm' on the wall clock in timeZone → UTC Date
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = timeStr.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = wallClock - timezoneOffsetMs(timeZone, new Date(wallClock));
+    // Re-check the offset at the guessed instant in case a DST switch sits in between
+    return new Date(wallClock - timezoneOffsetMs(timeZone, new Date(firstGuess)));
+}
+
+// Days since epoch for a 'YYYY-MM-DD' string
+function dayNumber(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+// Concrete classes of one session that overlap [fromMs, toMs)
+function expandClassSession(session, fromMs, toMs) {
+    const occurrences = [];
+    if (session.status !== 'active') return occurrences;
+    
+    const recurrence = session.recurrence || {};
+    const frequency = recurrence.frequency || 'weekly';
+    const daysOfWeek = recurrence.daysOfWeek || [];
+    const interval = Math.max(1, recurrence.interval || 1);
+    const startDay = dayNumber(session.startDate);
+    const endDay = session.endDate ? dayNumber(session.endDate) : Infinity;
+    const firstWeekStart = startDay - new Date(startDay * DAY_MS).getUTCDay();
+    
+    // Pad a day each side - local dates can sit either side of the UTC date
+    const firstDay = Math.max(startDay, Math.floor(fromMs / DAY_MS) - 1);
+    const lastDay = Math.min(endDay, Math.floor(toMs / DAY_MS) + 1);
+    
+    for (let day = firstDay; day <= lastDay; day++) {
+        if (frequency === 'once') {
+            if (day !== startDay) continue;
+        } else {
+            if (!daysOfWeek.includes(new Date(day * DAY_MS).getUTCDay())) continue;
+            if (Math.floor((day - firstWeekStart) / 7) % interval !== 0) continue;
+        }
+        
+        const date = new Date(day * DAY_MS).toISOString().slice(0, 10);
+        const start = zonedTimeToUtc(date, session.startTime, session.timezone || 'UTC').getTime();
+        const end = start + (session.durationMinutes || 30) * 60000;
+        if (end <= fromMs || start >= toMs) continue;
+        
+        occurrences.push({
+            sessionId: String(session._id || session.id),
+            date,
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            studentId: session.studentId,
+            studentName: session.studentName,
+            teacherId: session.teacherId,
+            teacherName: session.teacherName,
+            course: session.course,
+            timezone: session.timezone,
+            startTime: session.startTime
+        });
+    }
+    return occurrences;
+}
+
+async function loadClassSessions(filter = {}) {
+    return db.classSessions.find(filter, { sort: { startTime: 1 } });
+}
+
+async function findStudentById(id) {
+    return db.students.findById(id);
+}
+
+// Returns an error message, or null when the session is valid
+function validateClassSession(session) {
+    const recurrence = session.recurrence || {};
+    if (!session.studentId || !session.teacherId) return 'Student and teacher are required';
+    if (!TIME_PATTERN.test(session.startTime || '')) return 'startTime must be HH:mm';
+    if (!DATE_PATTERN.test(session.startDate || '')) return 'startDate must be YYYY-MM-DD';
+    if (session.endDate && (!DATE_PATTERN.test(session.endDate) || session.endDate < session.startDate)) {
+        return 'endDate must be YYYY-MM-DD and not before startDate';
+    }
+    if (!isValidTimezone(session.timezone)) return `Unknown timezone: ${session.timezone}`;
+    if (!(session.durationMinutes >= 5 && session.durationMinutes <= 240)) return 'durationMinutes must be between 5 and 240';
+    if (!['once', 'weekly'].includes(recurrence.frequency)) return "recurrence.frequency must be 'once' or 'weekly'";
+    if (recurrence.frequency === 'weekly') {
+        const days = recurrence.daysOfWeek || [];
+        if (days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            return 'Weekly classes need at least one day of the week (0 = Sunday)';
+        }
+        if (!(Number.isInteger(recurrence.interval) && recurrence.interval >= 1 && recurrence.interval <= 4)) {
+            return 'recurrence.interval must be 1-4 weeks';
+        }
+    }
+    return null;
+}
+
+// Other active sessions of the same teacher that overlap this one in the coming weeks
+async function findTeacherConflicts(session, excludeId) {
+    if (session.status !== 'active') return [];
+    
+    const fromMs = Math.max(Date.now(), dayNumber(session.startDate) * DAY_MS);
+    const toMs = fromMs + CONFLICT_HORIZON_DAYS * DAY_MS;
+    const mine = expandClassSession(session, fromMs, toMs);
+    const others = (await loadClassSessions({ teacherId: session.teacherId, status: 'active' }))
+        .filter(other => String(other._id || other.id) !== String(excludeId))
+        .filter(other => !session.groupName || other.groupName !== session.groupName); // Same halaqah
+    
+    const conflicts = [];
+    for (const other of others) {
+        const theirs = expandClassSession(other, fromMs, toMs);
+        const clash = mine.find(a => theirs.some(b => a.start < b.end && b.start < a.end));
+        if (clash) {
+            conflicts.push({
+                sessionId: String(other._id || other.id),
+                studentName: other.studentName,
+                startTime: other.startTime,
+                timezone: other.timezone,
+                firstClash: clash.start
+            });
+        }
+    }
+    return conflicts;
+}
+
+// Build a session from a request body, filling names/course/timezone from the student & teacher
+async function buildClassSession(body, existing = {}) {
+    const merged = { ...existing, ...body };
+    const student = merged.studentId ? await findStudentById(merged.studentId) : null;
+    if (!student) return { error: 'Student not found' };
+    const teacher = merged.teacherId ? await findSessionUser(merged.teacherId) : null;
+    if (!teacher) return { error: 'Teacher not found' };
+    
+    const recurrence = { frequency: 'weekly', interval: 1, ...(existing.recurrence || {}), ...(body.recurrence || {}) };
+    const session = {
+        studentId: merged.studentId,
+        studentName: student.name,
+        teacherId: teacher.id,
+        teacherName: teacher.name,
+        course: merged.course || student.course || '',
+        groupName: (merged.groupName || '').trim(),
+        timezone: merged.timezone || student.timezone || 'UTC',
+        startTime: merged.startTime,
+        durationMinutes: parseInt(merged.durationMinutes) || 30,
+        recurrence: {
+            frequency: recurrence.frequency,
+            daysOfWeek: recurrence.frequency === 'weekly' ? (recurrence.daysOfWeek || []).map(Number) : [],
+            interval: parseInt(recurrence.interval) || 1
+        },
+        startDate: merged.startDate,
+        endDate: merged.endDate || null,
+        status: merged.status || 'active',
+        notes: merged.notes || ''
+    };
+    
+    const error = validateClassSession(session);
+    return error ? { error } : { session };
+}
+
+// Get class sessions (teachers only see their own)
+app.get('/api/classes', async (req, res) => {
+    const teacherId = roleCan(req.user.type, 'classes:readAll') ? req.query.teacherId : req.user.id;
+    
+    try {
+        const filter = {};
+        if (teacherId) filter.teacherId = teacherId;
+        if (req.query.studentId) filter.studentId = req.query.studentId;
+        const sessions = await loadClassSessions(filter);
+        res.json({ success: true, sessions });
+    } catch (err) {
+        console.error('Get classes error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch classes' });
+    }
+});
+
+// Concrete classes between two dates, for the calendar
+app.get('/api/classes/calendar', async (req, res) => {
+    const { from, to } = req.query;
+    const teacherId = roleCan(req.user.type, 'classes:readAll') ? req.query.teacherId : req.user.id;
+    
+    const fromMs = Date.parse(from);
+    const toMs = Date.parse(to);
+    if (isNaN(fromMs) || isNaN(toMs) || toMs <= fromMs) {
+        return res.status(400).json({ success: false, error: 'from and to must be valid dates (to after from)' });
+    }
+    if (toMs - fromMs > 62 * DAY_MS) {
+        return res.status(400).json({ success: false, error: 'Calendar range is limited to 62 days' });
+    }
+    
+    try {
+        const filter = { status: 'active' };
+        if (teacherId) filter.teacherId = teacherId;
+        const sessions = await loadClassSessions(filter);
+        const occurrences = sessions
+            .flatMap(session => expandClassSession(session, fromMs, toMs))
+            .sort((a, b) => a.start.localeCompare(b.start));
+        res.json({ success: true, occurrences });
+    } catch (err) {
+        console.error('Class calendar error:', err);
+        res.status(500).json({ success: false, error: 'Failed to build calendar' });
+    }
+});
+
+// Add class session (rejects double-booked teachers)
+app.post('/api/classes', async (req, res) => {
+    try {
+        const { session, error } = await buildClassSession(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const conflicts = await findTeacherConflicts(session, null);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `${session.teacherName} already teaches ${conflicts[0].studentName} at that time`,
+                code: 'TEACHER_CONFLICT',
+                conflicts
+            });
+        }
+        
+        console.log('📅 Scheduling class:', session.studentName, 'with', session.teacherName, session.startTime, session.timezone);
+        
+        const created = await db.classSessions.create({ ...session, createdBy: req.user.name });
+        return res.json({ success: true, session: created });
+    } catch (err) {
+        console.error('Add class error:', err);
+        res.status(500).json({ success: false, error: 'Failed to schedule class' });
+    }
+});
+
+// Update class session
+app.put('/api/classes/:id', async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const existing = await db.classSessions.findById(id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Class not found' });
+        }
+        
+        const { session, error } = await buildClassSession(req.body, existing);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const conflicts = await findTeacherConflicts(session, id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `${session.teacherName} already teaches ${conflicts[0].studentName} at that time`,
+                code: 'TEACHER_CONFLICT',
+                conflicts
+            });
+        }
+        
+        console.log('✏️ Updating class:', id);
+        await clearPendingReminderJobs(id); // Replanned with the new times on the next scheduler pass
+        
+        const updated = await db.classSessions.findByIdAndUpdate(id, { ...session, updatedAt: new Date() });
+        return res.json({ success: true, session: updated });
+    } catch (err) {
+        console.error('Update class error:', err);
+        res.status(500).json({ success: false, error: 'Failed to update class' });
+    }
+});
+
+// Delete class session
+app.delete('/api/classes/:id', async (req, res) => {
+    const { id } = req.params;
+    
+    console.log('🗑️ Deleting class:', id);
+    
+    try {
+        await db.classSessions.findByIdAndDelete(id);
+        await clearPendingReminderJobs(id);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete class error:', err);
+        res.status(500).json({ success: false, error: 'Failed to delete class' });
+    }
+});
+
+// ---------------------------------------------------------
+// AUTOMATED REMINDER CALL (Team Lead Feature)
+// ---------------------------------------------------------
+// Languages a reminder can be spoken in. voice/sayLanguage are the <Say>
+// defaults; todayAt/today/yourTeacher fill {{classTime}} and {{teacherName}}.
+const REMINDER_LANGUAGES = {
+    en: { label: 'English', voice: 'Polly.Joanna', sayLanguage: 'en-US', locale: 'en-US', todayAt: 'today at {time}', today: 'today', yourTeacher: 'your teacher' },
+    ur: { label: 'Urdu', voice: 'Google.ur-IN-Standard-A', sayLanguage: 'ur-IN', locale: 'ur-PK', todayAt: 'آج {time} بجے', today: 'آج', yourTeacher: 'آپ کے استاد' },
+    ar: { label: 'Arabic', voice: 'Polly.Zeina', sayLanguage: 'arb', locale: 'ar', todayAt: 'اليوم الساعة {time}', today: 'اليوم', yourTeacher: 'معلمك' },
+    fr: { label: 'French', voice: 'Polly.Lea', sayLanguage: 'fr-FR', locale: 'fr-FR', todayAt: "aujourd'hui à {time}", today: "aujourd'hui", yourTeacher: 'votre enseignant' },
+};
+
+const REMINDER_TEMPLATE_VARIABLES = ['studentName', 'teacherName', 'classTime', 'course'];
+
+// Used until an admin saves a template for the language
+const DEFAULT_REMINDER_TEMPLATES = {
+    en: {
+        body: 'Assalamu Alaikum {{studentName}}, this is a reminder from Lets Learn Quran Academy. Your {{course}} class with {{teacherName}} is scheduled {{classTime}}. Please join on time. JazakAllah Khair.',
+        gatherEnabled: false,
+        gatherPrompt: 'Press 1 to confirm you will attend. Press 2 if you need to reschedule.',
+        confirmedReply: 'Thank you, your class is confirmed. JazakAllah Khair.',
+        rescheduleReply: 'Thank you, your teacher will contact you to reschedule. JazakAllah Khair.'
+    },
+    ur: {
+        body: 'السلام علیکم {{studentName}}، یہ لیٹس لرن قرآن اکیڈمی کی طرف سے یاد دہانی ہے۔ {{teacherName}} کے ساتھ آپ کی {{course}} کلاس {{classTime}} ہے۔ براہ کرم وقت پر شامل ہوں۔ جزاک اللہ خیر۔',
+        gatherEnabled: false,
+        gatherPrompt: 'حاضری کی تصدیق کے لیے 1 دبائیں۔ وقت تبدیل کرنے کے لیے 2 دبائیں۔',
+        confirmedReply: 'شکریہ، آپ کی کلاس کی تصدیق ہو گئی ہے۔ جزاک اللہ خیر۔',
+        rescheduleReply: 'شکریہ، آپ کے استاد نیا وقت طے کرنے کے لیے آپ سے رابطہ کریں گے۔ جزاک اللہ خیر۔'
+    },
+    ar: {
+        body: 'السلام عليكم {{studentName}}، هذا تذكير من أكاديمية لِتس لِرن قرآن. درس {{course}} مع {{teacherName}} {{classTime}}. يرجى الحضور في الموعد. جزاك الله خيرا.',
+        gatherEnabled: false,
+        gatherPrompt: 'اضغط 1 لتأكيد الحضور. اضغط 2 إذا كنت بحاجة إلى تغيير الموعد.',
+        confirmedReply: 'شكرا لك، تم تأكيد درسك. جزاك الله خيرا.',
+        rescheduleReply: 'شكرا لك، سيتواصل معك معلمك لتحديد موعد جديد. جزاك الله خيرا.'
+    },
+    fr: {
+        body: "Assalamu Alaikum {{studentName}}, ceci est un rappel de Lets Learn Quran Academy. Votre cours de {{course}} avec {{teacherName}} est prévu {{classTime}}. Merci d'être à l'heure. JazakAllah Khair.",
+        gatherEnabled: false,
+        gatherPrompt: 'Appuyez sur 1 pour confirmer votre présence. Appuyez sur 2 pour reporter le cours.',
+        confirmedReply: 'Merci, votre cours est confirmé. JazakAllah Khair.',
+        rescheduleReply: 'Merci, votre enseignant vous contactera pour fixer un autre horaire. JazakAllah Khair.'
+    },
+};
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Class start as the student hears it, e.g. "5:30 PM"
+function formatClassTime(start, timeZone, locale = 'en-US') {
+    return new Intl.DateTimeFormat(locale, {
+        timeZone: timeZone || 'UTC', hour: 'numeric', minute: '2-digit'
+    }).format(new Date(start)).replace(/\s/g, ' '); // ICU may use a narrow no-break space
+}
+
+// Next scheduled class for a student within the coming day
+async function findNextClass(studentId) {
+    const now = Date.now();
+    const sessions = await loadClassSessions({ studentId, status: 'active' });
+    return sessions
+        .flatMap(session => expandClassSession(session, now, now + DAY_MS))
+        .sort((a, b) => a.start.localeCompare(b.start))[0] || null;
+}
+
+function renderReminderTemplate(text, variables) {
+    return text
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? '')
+        .replace(/\s+([,.،])/g, '$1') // Tidy up after empty variables
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+}
+
+async function getReminderTemplate(language) {
+    const lang = REMINDER_LANGUAGES[language] ? language : 'en';
+    const stored = await db.reminderTemplates.findOne({ language: lang });
+    return {
+        language: lang,
+        voice: REMINDER_LANGUAGES[lang].voice,
+        sayLanguage: REMINDER_LANGUAGES[lang].sayLanguage,
+        ...DEFAULT_REMINDER_TEMPLATES[lang],
+        ...(stored || {}),
+        isCustom: !!stored
+    };
+}
+
+// Everything needed to speak (or text) one student's reminder
+async function buildReminder(studentId, classAt) {
+    const student = studentId ? await findStudentById(studentId).catch(() => null) : null;
+    const template = await getReminderTemplate(student?.preferredLanguage);
+    const lang = REMINDER_LANGUAGES[template.language];
+    const nextClass = student ? await findNextClass(studentId).catch(() => null) : null;
+    const start = classAt && !isNaN(Date.parse(classAt)) ? classAt : nextClass?.start;
+    const timeZone = nextClass?.timezone || student?.timezone || 'UTC';
+    
+    const variables = {
+        studentName: student?.name || '',
+        teacherName: nextClass?.teacherName || lang.yourTeacher,
+        course: nextClass?.course || student?.course || 'Quran',
+        classTime: start ? lang.todayAt.replace('{time}', formatClassTime(start, timeZone, lang.locale)) : lang.today
+    };
+    
+    return {
+        student,
+        nextClass,
+        classAt: start || null,
+        template,
+        text: renderReminderTemplate(template.body, variables)
+    };
+}
+
+// Place a reminder call and record it in call history.
+// Used by the manual 🤖 button and by the reminder scheduler.
+async function placeReminderCall({ to, studentId, studentName, classAt, callerName, callerId, reminderJobId }) {
+    const reminderQuery = new URLSearchParams();
+    if (studentId) reminderQuery.set('studentId', studentId);
+    if (classAt) reminderQuery.set('classAt', new Date(classAt).toISOString());
+    
+    const call = await twilioClient.calls.create({
+        to: to,
+        from: config.twilio.phoneNumber,
+        url: `${config.publicUrl}/twiml/reminder-message${reminderQuery.toString() ? '?' + reminderQuery : ''}`,
+        method: 'POST',
+        statusCallback: `${config.publicUrl}/webhooks/call-status`,
+        statusCallbackMethod: 'POST',
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        timeout: 30,
+        record: false  // No recording for reminder calls
+    });
+    
+    // Track in activeCalls
+    activeCalls.set(call.sid, {
+        sid: call.sid,
+        to: to,
+        studentName: studentName || 'Unknown',
+        callerName: callerName,
+        callerId: callerId,
+        status: 'queued',
+        startTime: Date.now(),
+        type: 'reminder',  // Mark as reminder call
+        reminderJobId: reminderJobId || null
+    });
+    
+    console.log('✅ Reminder call initiated:', call.sid);
+    
+    // Save reminder call to history
+    const reminderHistoryEntry = {
+        callSid: call.sid,
+        studentName: studentName || 'Unknown',
+        studentPhone: to,
+        teacherName: callerName,
+        teacherId: callerId,
+        type: 'outbound',
+        callType: 'reminder',
+        status: 'Initiated',
+        timestamp: new Date().toISOString(),
+        duration: 0
+    };
+    
+    try {
+        await durableWrite(`reminder call ${call.sid}`, [{ entity: 'callHistory', op: 'create', data: reminderHistoryEntry }]);
+    } catch (e) {
+        console.error('Reminder history save error:', e.message);
+    }
+    
+    return call;
+}
+
+app.post('/make-reminder-call', async (req, res) => {
+    const { to, studentId, studentName } = req.body;
+    const callerName = req.user.name;
+    
+    console.log('🤖 Reminder call request:', { to, studentName, callerName });
+    
+    if (!to) {
+        return res.status(400).json({ success: false, error: 'Phone number required' });
+    }
+    
+    if (!twilioClient) {
+        return res.status(500).json({ success: false, error: 'Twilio not configured' });
+    }
+    
+    try {
+        const call = await placeReminderCall({
+            to, studentId, studentName, callerName, callerId: req.user.id
+        });
+        
+        res.json({
+            success: true,
+            callSid: call.sid,
+            message: 'Reminder call initiated'
+        });
+        
+    } catch (error) {
+        console.error('❌ Reminder call error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// TwiML for automated reminder message - spoken in the student's language,
+// optionally asking them to confirm (1) or ask to reschedule (2)
+app.post('/twiml/reminder-message', async (req, res) => {
+    const { studentId, classAt } = req.query;
+    let twiml;
+    
+    try {
+        const reminder = await buildReminder(studentId, classAt);
+        const { template } = reminder;
+        const say = text => `<Say voice="${escapeXml(template.voice)}" language="${escapeXml(template.sayLanguage)}" rate="95%">${escapeXml(text)}</Say>`;
+        
+        console.log('🤖 Serving reminder TwiML', `(${template.language}${template.gatherEnabled ? ', with confirm' : ''})`);
+        
+        if (template.gatherEnabled && reminder.student) {
+            const responseQuery = new URLSearchParams({ studentId, lang: template.language });
+            if (reminder.classAt) responseQuery.set('classAt', new Date(reminder.classAt).toISOString());
+            const action = escapeXml(`${config.publicUrl}/twiml/reminder-response?${responseQuery}`);
+            twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Pause length="1"/>
+    <Gather numDigits="1" timeout="6" action="${action}" method="POST">
+        ${say(reminder.text)}
+        ${say(template.gatherPrompt)}
+    </Gather>
+    <Hangup/>
+</Response>`;
+        } else {
+            twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Pause length="1"/>
+    ${say(reminder.text)}
+    <Pause length="1"/>
+    <Hangup/>
+</Response>`;
+        }
+    } catch (err) {
+        console.error('Reminder TwiML error:', err.message);
+        twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Pause length="1"/>
+    <Say voice="Polly.Joanna" language="en-US" rate="95%">
+        Assalamu Alaikum, this is a reminder from Lets Learn Quran Academy. Your Quran class is scheduled today. Please join on time. JazakAllah Khair.
+    </Say>
+    <Hangup/>
+</Response>`;
+    }
+    
+    res.type('text/xml');
+    res.send(twiml);
+});
+
+// Send to admins, team leads, the class's teacher and anyone following the student
+function broadcastToClassStaff(teacherId, studentId, message) {
+    const topics = ['all-classes'];
+    if (teacherId) topics.push(`user:${teacherId}`);
+    if (studentId) topics.push(`student:${studentId}`);
+    publishToTopics(topics, message);
+}
+
+// Student pressed a key during the reminder call
+app.post('/twiml/reminder-response', async (req, res) => {
+    const { Digits, CallSid } = req.body;
+    const { studentId, lang, classAt } = req.query;
+    const response = Digits === '1' ? 'confirmed' : Digits === '2' ? 'reschedule' : null;
+    
+    console.log('🤖 Reminder response:', studentId, Digits, response || '(ignored)');
+    
+    let reply = null;
+    let template = null;
+    try {
+        template = await getReminderTemplate(lang);
+        
+        if (response) {
+            reply = response === 'confirmed' ? template.confirmedReply : template.rescheduleReply;
+            
+            const lastReminderResponse = {
+                response,
+                respondedAt: new Date(),
+                callSid: CallSid,
+                classAt: classAt && !isNaN(Date.parse(classAt)) ? new Date(classAt) : null
+            };
+            
+            const student = await db.students.findByIdAndUpdate(studentId, { lastReminderResponse });
+            invalidateCache('students');
+            
+            if (student) {
+                const nextClass = await findNextClass(studentId).catch(() => null);
+                broadcastToClassStaff(nextClass?.teacherId, studentId, {
+                    type: 'REMINDER_RESPONSE',
+                    studentId,
+                    studentName: student.name,
+                    teacherId: nextClass?.teacherId || null,
+                    teacherName: nextClass?.teacherName || null,
+                    ...lastReminderResponse
+                });
+            }
+        }
+    } catch (err) {
+        console.error('Reminder response error:', err.message);
+    }
+    
+    const voice = template || { voice: 'Polly.Joanna', sayLanguage: 'en-US' };
+    res.type('text/xml');
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    ${reply ? `<Say voice="${escapeXml(voice.voice)}" language="${escapeXml(voice.sayLanguage)}" rate="95%">${escapeXml(reply)}</Say>` : ''}
+    <Hangup/>
+</Response>`);
+});
+
+// Reminder templates, one per language (admin only)
+app.get('/api/reminder-templates', async (req, res) => {
+    try {
+        const templates = await Promise.all(Object.keys(REMINDER_LANGUAGES).map(async language => ({
+            ...(await getReminderTemplate(language)),
+            label: REMINDER_LANGUAGES[language].label
+        })));
+        res.json({ success: true, templates, variables: REMINDER_TEMPLATE_VARIABLES });
+    } catch (err) {
+        console.error('Get reminder templates error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch reminder templates' });
+    }
+});
+
+app.put('/api/reminder-templates/:language', async (req, res) => {
+    const { language } = req.params;
+    const { body, gatherEnabled, gatherPrompt, confirmedReply, rescheduleReply, voice, sayLanguage } = req.body;
+    
+    if (!REMINDER_LANGUAGES[language]) {
+        return res.status(400).json({ success: false, error: `Unsupported language: ${language}` });
+    }
+    if (!body || !body.trim() || body.length > 1000) {
+        return res.status(400).json({ success: false, error: 'Template body is required (max 1000 characters)' });
+    }
+    const unknown = [...`${body} ${gatherPrompt || ''}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+        .map(m => m[1])
+        .filter(name => !REMINDER_TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown template variable: {{${unknown[0]}}}` });
+    }
+    
+    const defaults = DEFAULT_REMINDER_TEMPLATES[language];
+    const template = {
+        language,
+        body: body.trim(),
+        gatherEnabled: !!gatherEnabled,
+        gatherPrompt: (gatherPrompt || '').trim() || defaults.gatherPrompt,
+        confirmedReply: (confirmedReply || '').trim() || defaults.confirmedReply,
+        rescheduleReply: (rescheduleReply || '').trim() || defaults.rescheduleReply,
+        voice: (voice || '').trim() || REMINDER_LANGUAGES[language].voice,
+        sayLanguage: (sayLanguage || '').trim() || REMINDER_LANGUAGES[language].sayLanguage,
+        updatedBy: req.user.name,
+        updatedAt: new Date()
+    };
+    
+    console.log('✏️ Updating reminder template:', language);
+    
+    try {
+        await db.reminderTemplates.findOneAndUpdate({ language }, template, { upsert: true });
+        res.json({ success: true, template: { ...(await getReminderTemplate(language)), label: REMINDER_LANGUAGES[language].label } });
+    } catch (err) {
+        console.error('Update reminder template error:', err);
+        res.status(500).json({ success: false, error: 'Failed to save reminder template' });
+    }
+});
+
+// Back to the built-in wording
+app.delete('/api/reminder-templates/:language', async (req, res) => {
+    const { language } = req.params;
+    
+    try {
+        await db.reminderTemplates.deleteOne({ language });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Reset reminder template error:', err);
+        res.status(500).json({ success: false, error: 'Failed to reset reminder template' });
+    }
+});
+
+// ---------------------------------------------------------
+// REMINDER SCHEDULER
+// ---------------------------------------------------------
+// Reminder jobs are stored (ReminderJob) so they survive restarts; the
+// timer only wakes each instance up. Planning is idempotent thanks to the
+// unique jobKey, and a due job is worked by whichever instance claims it
+// first with an atomic findOneAndUpdate - so nothing fires twice.
+
+const REMINDER_TICK_MS = 60 * 1000;
+const REMINDER_PLAN_EVERY_MS = 5 * 60 * 1000;
+const REMINDER_PLAN_HORIZON_MS = 2 * DAY_MS;
+const REMINDER_LEASE_MS = 2 * 60 * 1000; // Time to place one call/SMS before another instance may retry
+const REMINDER_CALL_WAIT_MS = 15 * 60 * 1000; // Time to wait for a reminder call's final status
+const REMINDER_MAX_JOBS_PER_TICK = 50;
+
+let reminderTickRunning = false;
+let lastReminderPlanAt = 0;
+
+function minutesOfDay(timeStr) {
+    const [hour, minute] = timeStr.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+function localMinutesOfDay(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || 'UTC', hourCycle: 'h23', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(date);
+    const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+    return get('hour') * 60 + get('minute');
+}
+
+// Push a send time past the student's quiet hours (student-local, may wrap midnight)
+function outsideQuietHours(runAt, timeZone) {
+    const start = minutesOfDay(config.reminders.quietHoursStart);
+    const end = minutesOfDay(config.reminders.quietHoursEnd);
+    if (start === end) return runAt;
+    
+    const local = localMinutesOfDay(runAt, timeZone);
+    const inQuietHours = start < end ? (local >= start && local < end) : (local >= start || local < end);
+    if (!inQuietHours) return runAt;
+    
+    const waitMinutes = (end - local + 1440) % 1440;
+    return new Date(runAt.getTime() + waitMinutes * 60000);
+}
+
+function reminderChannels(student) {
+    const prefs = student.reminder || {};
+    if (prefs.enabled === false) return [];
+    return prefs.channel === 'both' ? ['call', 'sms'] : [prefs.channel || 'call'];
+}
+
+function reminderJobId(job) {
+    return String(job._id || job.id);
+}
+
+// Returns true when the job was new
+async function createReminderJob(job) {
+    try {
+        await db.reminderJobs.create(job);
+        return true;
+    } catch (err) {
+        if (err.code === 11000) return false; // Already planned, possibly by another instance
+        throw err;
+    }
+}
+
+async function claimDueReminderJob(now) {
+    const lockedUntil = new Date(now.getTime() + REMINDER_LEASE_MS);
+    
+    return db.reminderJobs.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'running', lockedUntil: { $lt: now } } // Instance died mid-send
+            ]
+        },
+        { $set: { status: 'running', lockedBy: INSTANCE_ID, lockedUntil, updatedAt: now }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 } }
+    );
+}
+
+async function updateReminderJob(job, changes, logEntry) {
+    changes.updatedAt = new Date();
+    
+    const update = { $set: changes };
+    if (logEntry) update.$push = { log: logEntry };
+    return db.reminderJobs.findByIdAndUpdate(reminderJobId(job), update);
+}
+
+// Pending jobs follow the class - drop them when the class is edited or removed
+async function clearPendingReminderJobs(sessionId) {
+    await db.reminderJobs.deleteMany({ sessionId, status: 'pending' });
+}
+
+// Create jobs for every class starting within the planning horizon
+async function planReminderJobs() {
+    const now = Date.now();
+    const sessions = await loadClassSessions({ status: 'active' });
+    const students = new Map();
+    let created = 0;
+    
+    for (const session of sessions) {
+        const occurrences = expandClassSession(session, now, now + REMINDER_PLAN_HORIZON_MS)
+            .filter(o => Date.parse(o.start) > now);
+        if (occurrences.length === 0) continue;
+        
+        if (!students.has(session.studentId)) {
+            students.set(session.studentId, await findStudentById(session.studentId));
+        }
+        const student = students.get(session.studentId);
+        if (!student || (student.status && student.status !== 'active')) continue;
+        
+        const minutesBefore = student.reminder?.minutesBefore ?? config.reminders.minutesBefore;
+        
+        for (const occurrence of occurrences) {
+            const classStart = new Date(occurrence.start);
+            // A class added at short notice is reminded straight away
+            const due = new Date(Math.max(now, classStart.getTime() - minutesBefore * 60000));
+            const runAt = outsideQuietHours(due, occurrence.timezone);
+            
+            for (const channel of reminderChannels(student)) {
+                const job = {
+                    jobKey: `${occurrence.sessionId}|${occurrence.start}|${channel}`,
+                    sessionId: occurrence.sessionId,
+                    studentId: session.studentId,
+                    studentName: session.studentName,
+                    studentPhone: student.phone,
+                    teacherId: session.teacherId,
+                    teacherName: session.teacherName,
+                    course: session.course,
+                    timezone: occurrence.timezone,
+                    channel,
+                    classStart,
+                    runAt,
+                    status: runAt >= classStart ? 'skipped' : 'pending',
+                    attempts: 0,
+                    maxAttempts: config.reminders.maxAttempts,
+                    lastError: runAt >= classStart ? 'Reminder time falls in quiet hours' : null,
+                    log: [],
+                    createdAt: new Date(now),
+                    updatedAt: new Date(now)
+                };
+                if (await createReminderJob(job)) created++;
+            }
+        }
+    }
+    
+    if (created > 0) {
+        console.log(`⏰ Planned ${created} reminder job(s)`);
+    }
+}
+
+// Reschedule after a failed attempt, or give up
+async function retryReminderJob(job, reason) {
+    const nextRun = outsideQuietHours(new Date(Date.now() + config.reminders.retryDelayMinutes * 60000), job.timezone);
+    const canRetry = job.attempts < job.maxAttempts && nextRun < new Date(job.classStart);
+    
+    console.log(`⏰ Reminder ${reminderJobId(job)} attempt ${job.attempts} failed (${reason})${canRetry ? ' - retrying at ' + nextRun.toISOString() : ' - giving up'}`);
+    
+    return updateReminderJob(
+        job,
+        canRetry
+            ? { status: 'pending', runAt: nextRun, lastError: reason, lockedBy: null, lockedUntil: null }
+            : { status: 'failed', lastError: reason, lockedBy: null, lockedUntil: null },
+        { at: new Date(), attempt: job.attempts, result: canRetry ? 'retry' : 'failed', detail: reason }
+    );
+}
+
+async function finishReminderJob(job, status, result, detail) {
+    return updateReminderJob(
+        job,
+        { status, lockedBy: null, lockedUntil: null, ...(status === 'completed' ? {} : { lastError: detail }) },
+        { at: new Date(), attempt: job.attempts, result, detail }
+    );
+}
+
+async function runReminderJob(job) {
+    const now = new Date();
+    
+    if (new Date(job.classStart) <= now) {
+        return finishReminderJob(job, 'skipped', 'skipped', 'Class already started');
+    }
+    
+    // Retries and late runs can drift into quiet hours
+    const allowedAt = outsideQuietHours(now, job.timezone);
+    if (allowedAt > now) {
+        if (allowedAt >= new Date(job.classStart)) {
+            return finishReminderJob(job, 'skipped', 'skipped', 'Quiet hours until class start');
+        }
+        return updateReminderJob(job, { status: 'pending', runAt: allowedAt, attempts: job.attempts - 1, lockedBy: null, lockedUntil: null });
+    }
+    
+    // Re-read the student so phone and preference changes apply to already planned jobs
+    const student = await findStudentById(job.studentId);
+    if (!student || (student.status && student.status !== 'active')) {
+        return finishReminderJob(job, 'cancelled', 'cancelled', 'Student no longer active');
+    }
+    if (!reminderChannels(student).includes(job.channel)) {
+        return finishReminderJob(job, 'cancelled', 'cancelled', `Student no longer wants ${job.channel} reminders`);
+    }
+    
+    if (!twilioClient) {
+        return retryReminderJob(job, 'Twilio not configured');
+    }
+    
+    const classTime = formatClassTime(job.classStart, job.timezone);
+    
+    try {
+        if (job.channel === 'call') {
+            const call = await placeReminderCall({
+                to: student.phone,
+                studentId: job.studentId,
+                studentName: job.studentName,
+                classAt: job.classStart,
+                callerName: job.teacherName,
+                callerId: job.teacherId,
+                reminderJobId: reminderJobId(job)
+            });
+            // The call-status webhook decides whether it worked
+            await updateReminderJob(
+                job,
+                { status: 'waiting', callSid: call.sid, lockedUntil: new Date(Date.now() + REMINDER_CALL_WAIT_MS) },
+                { at: new Date(), attempt: job.attempts, result: 'dialing', detail: call.sid }
+            );
+        } else {
+            // Same wording and language as the spoken reminder
+            const { text: body } = await buildReminder(job.studentId, job.classStart);
+            const message = await twilioClient.messages.create({
+                body,
+                from: config.twilio.phoneNumber,
+                to: student.phone,
+                statusCallback: `${config.publicUrl}/webhooks/sms-status`
+            });
+            await saveOutboundMessage({
+                studentId: job.studentId,
+                studentName: job.studentName,
+                studentPhone: student.phone,
+                direction: 'outbound',
+                body,
+                senderName: 'Reminder Scheduler',
+                senderId: 'system',
+                messageSid: message.sid,
+                status: 'sent',
+                timestamp: new Date()
+            });
+            await updateReminderJob(
+                job,
+                { status: 'completed', messageSid: message.sid, lockedBy: null, lockedUntil: null },
+                { at: new Date(), attempt: job.attempts, result: 'sent', detail: message.sid }
+            );
+        }
+        console.log(`⏰ Reminder ${job.channel} sent to ${job.studentName} for ${classTime} class`);
+    } catch (err) {
+        await retryReminderJob(job, err.message);
+    }
+}
+
+// Called from the call-status webhook - on any instance - for reminder calls
+async function handleReminderCallOutcome(callSid, callStatus) {
+    const job = await db.reminderJobs.findOne({ callSid, status: 'waiting' });
+    if (!job) return;
+    
+    if (callStatus === 'completed') {
+        await finishReminderJob(job, 'completed', 'answered', callSid);
+    } else if (callStatus === 'busy' || callStatus === 'no-answer') {
+        await retryReminderJob(job, callStatus);
+    } else {
+        await finishReminderJob(job, 'failed', callStatus, `Call ${callStatus}`);
+    }
+}
+
+// Reminder calls whose final status never arrived are not redialled - the student may have heard it
+async function expireStaleReminderCalls(now) {
+    const changes = { status: 'failed', lastError: 'No final call status received', lockedBy: null, lockedUntil: null, updatedAt: now };
+    await db.reminderJobs.updateMany({ status: 'waiting', lockedUntil: { $lt: now } }, { $set: changes });
+}
+
+async function runReminderScheduler({ forcePlan = false } = {}) {
+    if (reminderTickRunning) return;
+    if (!db.isReady()) return;
+    
+    reminderTickRunning = true;
+    try {
+        const now = new Date();
+        if (forcePlan || now - lastReminderPlanAt >= REMINDER_PLAN_EVERY_MS) {
+            lastReminderPlanAt = now.getTime();
+            await planReminderJobs();
+        }
+        await expireStaleReminderCalls(now);
+        
+        for (let i = 0; i < REMINDER_MAX_JOBS_PER_TICK; i++) {
+            const job = await claimDueReminderJob(new Date());
+            if (!job) break;
+            await runReminderJob(job);
+        }
+    } catch (err) {
+        console.error('❌ Reminder scheduler error:', err.message);
+    } finally {
+        reminderTickRunning = false;
+    }
+}
+
+function startReminderScheduler() {
+    if (!config.reminders.enabled) return;
+    setInterval(runReminderScheduler, REMINDER_TICK_MS);
+    setTimeout(runReminderScheduler, 10 * 1000); // First pass once MongoDB has had a chance to connect
+}
+
+// Reminder job dashboard
+app.get('/api/reminders/jobs', async (req, res) => {
+    const { status, days = 3 } = req.query;
+    const since = new Date(Date.now() - Math.min(parseInt(days) || 3, 30) * DAY_MS);
+    
+    try {
+        const filter = { classStart: { $gte: since } };
+        if (status) filter.status = status;
+        const jobs = await db.reminderJobs.find(filter, { sort: { runAt: -1 }, limit: 500 });
+        
+        const counts = {};
+        jobs.forEach(j => { counts[j.status] = (counts[j.status] || 0) + 1; });
+        
+        res.json({
+            success: true,
+            jobs,
+            counts,
+            scheduler: {
+                enabled: config.reminders.enabled,
+                minutesBefore: config.reminders.minutesBefore,
+                quietHours: `${config.reminders.quietHoursStart}-${config.reminders.quietHoursEnd}`,
+                maxAttempts: config.reminders.maxAttempts
+            }
+        });
+    } catch (err) {
+        console.error('Get reminder jobs error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch reminder jobs' });
+    }
+});
+
+// Cancel a reminder that has not been sent yet
+app.post('/api/reminders/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await db.reminderJobs.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Reminder job not found' });
+        }
+        if (job.status !== 'pending') {
+            return res.status(409).json({ success: false, error: `Cannot cancel a ${job.status} reminder` });
+        }
+        
+        const updated = await finishReminderJob(job, 'cancelled', 'cancelled', `Cancelled by ${req.user.name}`);
+        res.json({ success: true, job: updated });
+    } catch (err) {
+        console.error('Cancel reminder error:', err);
+        res.status(500).json({ success: false, error: 'Failed to cancel reminder' });
+    }
+});
+
+// Send a failed, skipped or cancelled reminder again on the next tick
+app.post('/api/reminders/jobs/:id/retry', async (req, res) => {
+    try {
+        const job = await db.reminderJobs.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Reminder job not found' });
+        }
+        if (!['failed', 'skipped', 'cancelled'].includes(job.status)) {
+            return res.status(409).json({ success: false, error: `Cannot retry a ${job.status} reminder` });
+        }
+        if (new Date(job.classStart) <= new Date()) {
+            return res.status(409).json({ success: false, error: 'Class has already started' });
+        }
+        
+        const updated = await updateReminderJob(
+            job,
+            { status: 'pending', runAt: new Date(), attempts: 0, lastError: null },
+            { at: new Date(), attempt: 0, result: 'requeued', detail: `Retried by ${req.user.name}` }
+        );
+        res.json({ success: true, job: updated });
+    } catch (err) {
+        console.error('Retry reminder error:', err);
+        res.status(500).json({ success: false, error: 'Failed to retry reminder' });
+    }
+});
+
+// Plan and send due reminders now instead of waiting for the next tick
+app.post('/api/reminders/run', async (req, res) => {
+    if (!config.reminders.enabled) {
+        return res.status(409).json({ success: false, error: 'Reminder scheduler is disabled (REMINDER_SCHEDULER=false)' });
+    }
+    await runReminderScheduler({ forcePlan: true });
+    res.json({ success: true });
+});
+
+
+// ---------------------------------------------------------
+// ATTENDANCE
+// ---------------------------------------------------------
+// One Attendance record per class occurrence. Video joins and completed
+// calls mark students present/late; a periodic sweep marks scheduled
+// classes nobody showed up to as absent. Teachers can override any record,
+// after which automatic updates leave it alone.
+
+const ATTENDANCE_EARLY_MINUTES = 30; // Joining this early still counts for the class
+const ATTENDANCE_LATE_MINUTES = 10; // Joining after this is "late"
+const ATTENDANCE_ABSENT_GRACE_MINUTES = 15; // Wait this long after class end before marking absent
+const ATTENDANCE_MIN_CALL_SECONDS = 60; // Shorter calls don't count as a lesson
+const ATTENDANCE_SWEEP_MS = 10 * 60 * 1000;
+const ATTENDANCE_LOOKBACK_DAYS = 2;
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+let attendanceSweepRunning = false;
+
+async function findStudentByPhone(phone) {
+    if (!phone) return null;
+    return db.students.findOne({ phone, status: { $ne: 'deleted' } });
+}
+
+// The class occurrence a join at `atMs` belongs to, if any
+async function findClassOccurrenceAt(studentId, atMs) {
+    const sessions = await loadClassSessions({ studentId, status: 'active' });
+    return sessions
+        .flatMap(session => expandClassSession(session, atMs - DAY_MS, atMs + DAY_MS))
+        .find(o => atMs >= Date.parse(o.start) - ATTENDANCE_EARLY_MINUTES * 60000 && atMs <= Date.parse(o.end)) || null;
+}
+
+async function findAttendance(sessionId, classStart) {
+    return db.attendance.findOne({ sessionId, classStart: new Date(classStart) });
+}
+
+async function saveAttendance(record) {
+    record.updatedAt = new Date();
+    return db.attendance.findOneAndUpdate(
+        { sessionId: record.sessionId, classStart: record.classStart },
+        { $set: record, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+    );
+}
+
+function attendanceFromOccurrence(occurrence) {
+    return {
+        sessionId: occurrence.sessionId,
+        classStart: new Date(occurrence.start),
+        classEnd: new Date(occurrence.end),
+        classDate: occurrence.date,
+        studentId: occurrence.studentId,
+        studentName: occurrence.studentName,
+        teacherId: occurrence.teacherId,
+        teacherName: occurrence.teacherName,
+        course: occurrence.course
+    };
+}
+
+// A student showed up (video join/leave or completed call)
+async function recordAttendanceEvent({ studentId, studentPhone, joinedAt, leftAt = null, source, roomName = null, callSid = null }) {
+    let student = studentId ? await findStudentById(studentId) : null;
+    if (!student) student = await findStudentByPhone(studentPhone);
+    if (!student) return null;
+    
+    const occurrence = await findClassOccurrenceAt(String(student._id || student.id), joinedAt.getTime());
+    if (!occurrence) return null; // Not during a scheduled class
+    
+    const existing = await findAttendance(occurrence.sessionId, occurrence.start);
+    if (existing?.overriddenBy) return existing;
+    
+    const attended = existing && existing.status !== 'absent' ? existing : null;
+    const firstJoin = attended?.joinedAt && new Date(attended.joinedAt) < joinedAt ? new Date(attended.joinedAt) : joinedAt;
+    const minutes = leftAt ? Math.round((leftAt - joinedAt) / 60000) : 0;
+    const lateBy = (firstJoin - Date.parse(occurrence.start)) / 60000;
+    
+    const record = {
+        ...attendanceFromOccurrence(occurrence),
+        status: lateBy > ATTENDANCE_LATE_MINUTES ? 'late' : 'present',
+        source,
+        joinedAt: firstJoin,
+        leftAt: leftAt || attended?.leftAt || null,
+        minutesAttended: (attended?.minutesAttended || 0) + minutes,
+        roomName: roomName || attended?.roomName || null,
+        callSid: callSid || attended?.callSid || null
+    };
+    
+    console.log(`📋 Attendance: ${record.studentName} ${record.status} (${source}) for ${occurrence.date} class`);
+    return saveAttendance(record);
+}
+
+// A completed voice call long enough to be a lesson counts as attending
+function recordCallAttendance({ studentId, studentPhone, callSid, status, duration }) {
+    if (!/completed/i.test(status || '') || !(duration >= ATTENDANCE_MIN_CALL_SECONDS)) return;
+    
+    const leftAt = new Date();
+    recordAttendanceEvent({
+        studentId,
+        studentPhone,
+        joinedAt: new Date(leftAt.getTime() - duration * 1000),
+        leftAt,
+        source: 'call',
+        callSid
+    }).catch(err => console.error('⚠️ Attendance update failed:', err.message));
+}
+
+// Mark scheduled classes that ended without the student as absent
+async function markAbsences() {
+    const now = Date.now();
+    const cutoff = now - ATTENDANCE_ABSENT_GRACE_MINUTES * 60000;
+    const sessions = await loadClassSessions({ status: 'active' });
+    let marked = 0;
+    
+    for (const session of sessions) {
+        const createdAt = session.createdAt ? new Date(session.createdAt).getTime() : 0;
+        const occurrences = expandClassSession(session, now - ATTENDANCE_LOOKBACK_DAYS * DAY_MS, cutoff)
+            .filter(o => Date.parse(o.end) <= cutoff && Date.parse(o.start) >= createdAt);
+        
+        for (const occurrence of occurrences) {
+            const record = {
+                ...attendanceFromOccurrence(occurrence),
+                status: 'absent',
+                source: 'auto',
+                minutesAttended: 0,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            // Unique (sessionId, classStart) - never overwrite a record that already exists
+            const created = await db.attendance.create(record)
+                .catch(err => { if (err.code !== 11000) throw err; return null; });
+            if (created) marked++;
+        }
+    }
+    
+    if (marked > 0) {
+        console.log(`📋 Marked ${marked} missed class(es) absent`);
+    }
+}
+
+async function runAttendanceSweep() {
+    if (attendanceSweepRunning) return;
+    if (!db.isReady()) return;
+    
+    attendanceSweepRunning = true;
+    try {
+        await markAbsences();
+    } catch (err) {
+        console.error('❌ Attendance sweep error:', err.message);
+    } finally {
+        attendanceSweepRunning = false;
+    }
+}
+
+function startAttendanceTracking() {
+    setInterval(runAttendanceSweep, ATTENDANCE_SWEEP_MS);
+    setTimeout(runAttendanceSweep, 20 * 1000);
+}
+
+// Shared filter for the list and report endpoints (teachers only see their own classes)
+function attendanceQuery(req) {
+    const to = Date.parse(req.query.to) || Date.now();
+    const from = Date.parse(req.query.from) || to - 30 * DAY_MS;
+    const teacherId = roleCan(req.user.type, 'attendance:readAll') ? req.query.teacherId : req.user.id;
+    return { from: new Date(from), to: new Date(to), teacherId, studentId: req.query.studentId, status: req.query.status };
+}
+
+async function loadAttendance({ from, to, teacherId, studentId, status }) {
+    const filter = { classStart: { $gte: from, $lte: to } };
+    if (teacherId) filter.teacherId = teacherId;
+    if (studentId) filter.studentId = studentId;
+    if (status) filter.status = status;
+    return db.attendance.find(filter, { sort: { classStart: -1 }, limit: 5000 });
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Attendance records
+app.get('/api/attendance', async (req, res) => {
+    try {
+        const records = await loadAttendance(attendanceQuery(req));
+        res.json({ success: true, records });
+    } catch (err) {
+        console.error('Get attendance error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch attendance' });
+    }
+});
+
+// Per-student or per-teacher totals, as JSON or CSV (?format=csv)
+app.get('/api/attendance/report', async (req, res) => {
+    const groupBy = req.query.groupBy === 'teacher' ? 'teacher' : 'student';
+    
+    try {
+        const query = attendanceQuery(req);
+        const records = await loadAttendance(query);
+        
+        const groups = new Map();
+        records.forEach(record => {
+            const id = groupBy === 'teacher' ? record.teacherId : record.studentId;
+            if (!groups.has(id)) {
+                groups.set(id, {
+                    id,
+                    name: groupBy === 'teacher' ? record.teacherName : record.studentName,
+                    total: 0, present: 0, late: 0, absent: 0, excused: 0, minutesAttended: 0
+                });
+            }
+            const row = groups.get(id);
+            row.total++;
+            row[record.status]++;
+            row.minutesAttended += record.minutesAttended || 0;
+        });
+        
+        const rows = [...groups.values()]
+            .map(row => {
+                const counted = row.total - row.excused;
+                return { ...row, attendanceRate: counted > 0 ? Math.round(((row.present + row.late) / counted) * 100) : null };
+            })
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        
+        if (req.query.format === 'csv') {
+            const header = [groupBy === 'teacher' ? 'Teacher' : 'Student', 'Classes', 'Present', 'Late', 'Absent', 'Excused', 'Attendance %', 'Minutes Attended'];
+            const lines = [header, ...rows.map(r => [r.name, r.total, r.present, r.late, r.absent, r.excused, r.attendanceRate ?? '', r.minutesAttended])]
+                .map(line => line.map(csvCell).join(','));
+            const fileName = `attendance-by-${groupBy}-${query.from.toISOString().slice(0, 10)}-to-${query.to.toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(lines.join('\n'));
+        }
+        
+        res.json({ success: true, groupBy, from: query.from, to: query.to, rows });
+    } catch (err) {
+        console.error('Attendance report error:', err);
+        res.status(500).json({ success: false, error: 'Failed to build attendance report' });
+    }
+});
+
+// Mark a class by hand (e.g. excused in advance) - the record stops updating automatically
+app.post('/api/attendance', async (req, res) => {
+    const { sessionId, classStart, status, note } = req.body;
+    
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${ATTENDANCE_STATUSES.join(', ')}` });
+    }
+    
+    try {
+        const session = await db.classSessions.findById(sessionId);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Class not found' });
+        }
+        if (!roleCan(req.user.type, 'attendance:readAll') && session.teacherId !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'You can only mark attendance for your own classes' });
+        }
+        
+        const startMs = Date.parse(classStart);
+        const occurrence = expandClassSession(session, startMs - 60000, startMs + 60000).find(o => Date.parse(o.start) === startMs);
+        if (!occurrence) {
+            return res.status(400).json({ success: false, error: 'That class time is not on the schedule' });
+        }
+        
+        const existing = await findAttendance(sessionId, occurrence.start);
+        const record = await saveAttendance({
+            ...(existing || { minutesAttended: 0 }),
+            ...attendanceFromOccurrence(occurrence),
+            status,
+            source: 'manual',
+            overriddenBy: req.user.name,
+            overrideNote: note || ''
+        });
+        res.json({ success: true, record });
+    } catch (err) {
+        console.error('Mark attendance error:', err);
+        res.status(500).json({ success: false, error: 'Failed to mark attendance' });
+    }
+});
+
+// Override an existing record
+app.put('/api/attendance/:id', async (req, res) => {
+    const { id } = req.params;
+    const { status, note } = req.body;
+    
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${ATTENDANCE_STATUSES.join(', ')}` });
+    }
+    
+    try {
+        const record = await db.attendance.findById(id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'Attendance record not found' });
+        }
+        if (!roleCan(req.user.type, 'attendance:readAll') && record.teacherId !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'You can only change attendance for your own classes' });
+        }
+        
+        console.log('✏️ Attendance override:', record.studentName, record.classDate, record.status, '→', status, 'by', req.user.name);
+        
+        const changes = { status, source: 'manual', overriddenBy: req.user.name, overrideNote: note || '', updatedAt: new Date() };
+        res.json({ success: true, record: await db.attendance.findByIdAndUpdate(id, changes) });
+    } catch (err) {
+        console.error('Update attendance error:', err);
+        res.status(500).json({ success: false, error: 'Failed to update attendance' });
+    }
+});
+
+
+// ---------------------------------------------------------
+// LESSON PROGRESS
+// ---------------------------------------------------------
+// Teachers log what each lesson covered (hifz = new memorisation,
+// murajaah = revision), tajweed mistakes and a grade. Logs link back to the
+// call/video room and the scheduled class they happened in.
+
+// [name, ayah count] in mushaf order - surah number is index + 1
+const SURAHS = [
+    ['Al-Fatihah', 7], ['Al-Baqarah', 286], ['Aal-Imran', 200], ['An-Nisa', 176], ["Al-Ma'idah", 120], ["Al-An'am", 165],
+    ["Al-A'raf", 206], ['Al-Anfal', 75], ['At-Tawbah', 129], ['Yunus', 109], ['Hud', 123], ['Yusuf', 111],
+    ["Ar-Ra'd", 43], ['Ibrahim', 52], ['Al-Hijr', 99], ['An-Nahl', 128], ['Al-Isra', 111], ['Al-Kahf', 110],
+    ['Maryam', 98], ['Ta-Ha', 135], ['Al-Anbiya', 112], ['Al-Hajj', 78], ["Al-Mu'minun", 118], ['An-Nur', 64],
+    ['Al-Furqan', 77], ["Ash-Shu'ara", 227], ['An-Naml', 93], ['Al-Qasas', 88], ['Al-Ankabut', 69], ['Ar-Rum', 60],
+    ['Luqman', 34], ['As-Sajdah', 30], ['Al-Ahzab', 73], ['Saba', 54], ['Fatir', 45], ['Ya-Sin', 83],
+    ['As-Saffat', 182], ['Sad', 88], ['Az-Zumar', 75], ['Ghafir', 85], ['Fussilat', 54], ['Ash-Shura', 53],
+    ['Az-Zukhruf', 89], ['Ad-Dukhan', 59], ['Al-Jathiyah', 37], ['Al-Ahqaf', 35], ['Muhammad', 38], ['Al-Fath', 29],
+    ['Al-Hujurat', 18], ['Qaf', 45], ['Adh-Dhariyat', 60], ['At-Tur', 49], ['An-Najm', 62], ['Al-Qamar', 55],
+    ['Ar-Rahman', 78], ["Al-Waqi'ah", 96], ['Al-Hadid', 29], ['Al-Mujadilah', 22], ['Al-Hashr', 24], ['Al-Mumtahanah', 13],
+    ['As-Saff', 14], ["Al-Jumu'ah", 11], ['Al-Munafiqun', 11], ['At-Taghabun', 18], ['At-Talaq', 12], ['At-Tahrim', 12],
+    ['Al-Mulk', 30], ['Al-Qalam', 52], ['Al-Haqqah', 52], ["Al-Ma'arij", 44], ['Nuh', 28], ['Al-Jinn', 28],
+    ['Al-Muzzammil', 20], ['Al-Muddaththir', 56], ['Al-Qiyamah', 40], ['Al-Insan', 31], ['Al-Mursalat', 50], ['An-Naba', 40],
+    ["An-Nazi'at", 46], ['Abasa', 42], ['At-Takwir', 29], ['Al-Infitar', 19], ['Al-Mutaffifin', 36], ['Al-Inshiqaq', 25],
+    ['Al-Buruj', 22], ['At-Tariq', 17], ["Al-A'la", 19], ['Al-Ghashiyah', 26], ['Al-Fajr', 30], ['Al-Balad', 20],
+    ['Ash-Shams', 15], ['Al-Layl', 21], ['Ad-Duha', 11], ['Ash-Sharh', 8], ['At-Tin', 8], ['Al-Alaq', 19],
+    ['Al-Qadr', 5], ['Al-Bayyinah', 8], ['Az-Zalzalah', 8], ['Al-Adiyat', 11], ["Al-Qari'ah", 11], ['At-Takathur', 8],
+    ['Al-Asr', 3], ['Al-Humazah', 9], ['Al-Fil', 5], ['Quraysh', 4], ["Al-Ma'un", 7], ['Al-Kawthar', 3],
+    ['Al-Kafirun', 6], ['An-Nasr', 3], ['Al-Masad', 5], ['Al-Ikhlas', 4], ['Al-Falaq', 5], ['An-Nas', 6]
+];
+
+// Global ayah number (1-6236) where each surah starts
+const SURAH_OFFSETS = SURAHS.reduce((offsets, [, ayahs], i) => {
+    offsets.push(offsets[i] + ayahs);
+    return offsets;
+}, [0]);
+
+const LESSON_PORTION_TYPES = ['hifz', 'murajaah'];
+const TAJWEED_MISTAKE_CATEGORIES = [
+    'makharij', 'sifaat', 'ghunnah', 'madd', 'qalqalah',
+    'noon_sakinah', 'meem_sakinah', 'tafkheem', 'waqf', 'harakat', 'memory'
+];
+const LESSON_GRADES = ['excellent', 'very_good', 'good', 'acceptable', 'needs_work'];
+
+function globalAyah(surah, ayah) {
+    return SURAH_OFFSETS[surah - 1] + ayah;
+}
+
+function isValidAyah(surah, ayah) {
+    return Number.isInteger(surah) && surah >= 1 && surah <= SURAHS.length &&
+        Number.isInteger(ayah) && ayah >= 1 && ayah <= SURAHS[surah - 1][1];
+}
+
+// Returns an error message, or null when the log is valid
+function validateLessonLog(log) {
+    if (!log.studentId) return 'studentId is required';
+    if (Number.isNaN(new Date(log.lessonDate).getTime())) return 'lessonDate is not a valid date';
+    if (!Array.isArray(log.portions) || log.portions.length === 0) return 'Record at least one portion (hifz or murajaah)';
+    
+    for (const p of log.portions) {
+        if (!LESSON_PORTION_TYPES.includes(p.type)) return `portion type must be one of ${LESSON_PORTION_TYPES.join(', ')}`;
+        if (!isValidAyah(p.fromSurah, p.fromAyah)) return `Invalid start ayah ${p.fromSurah}:${p.fromAyah}`;
+        if (!isValidAyah(p.toSurah, p.toAyah)) return `Invalid end ayah ${p.toSurah}:${p.toAyah}`;
+        if (globalAyah(p.toSurah, p.toAyah) < globalAyah(p.fromSurah, p.fromAyah)) return 'A portion cannot end before it starts';
+    }
+    for (const m of log.mistakes || []) {
+        if (!TAJWEED_MISTAKE_CATEGORIES.includes(m.category)) return `Unknown mistake category: ${m.category}`;
+        if (!(Number.isInteger(m.count) && m.count >= 1)) return 'Mistake counts must be whole numbers of at least 1';
+    }
+    if (log.grade && !LESSON_GRADES.includes(log.grade)) return `grade must be one of ${LESSON_GRADES.join(', ')}`;
+    return null;
+}
+
+function buildLessonLog(body, student, existing = {}) {
+    const pick = (key, fallback) => body[key] !== undefined ? body[key] : (existing[key] !== undefined ? existing[key] : fallback);
+    return {
+        studentId: String(student._id || student.id),
+        studentName: student.name,
+        lessonDate: new Date(pick('lessonDate', new Date())),
+        portions: pick('portions', []).map(p => ({
+            type: p.type,
+            fromSurah: Number(p.fromSurah), fromAyah: Number(p.fromAyah),
+            toSurah: Number(p.toSurah), toAyah: Number(p.toAyah)
+        })),
+        mistakes: pick('mistakes', [])
+            .map(m => ({ category: m.category, count: Number(m.count), note: m.note || '' }))
+            .filter(m => m.count > 0),
+        grade: pick('grade', null) || null,
+        notes: pick('notes', ''),
+        homework: pick('homework', ''),
+        callSid: pick('callSid', null) || null,
+        roomName: pick('roomName', null) || null
+    };
+}
+
+// Fill in the class/call the lesson belongs to from the attendance record for that time
+async function linkLessonToClass(log) {
+    if (log.sessionId) return log;
+    const at = log.lessonDate.getTime();
+    const [record] = await loadAttendance({
+        from: new Date(at - DAY_MS), to: new Date(at + DAY_MS), studentId: log.studentId
+    }).then(records => records.filter(r =>
+        at >= new Date(r.classStart).getTime() - ATTENDANCE_EARLY_MINUTES * 60000 &&
+        at <= new Date(r.classEnd).getTime() + 2 * 60 * 60000
+    ));
+    if (!record) return log;
+    
+    return {
+        ...log,
+        sessionId: record.sessionId,
+        attendanceId: String(record._id || record.id),
+        callSid: log.callSid || record.callSid || null,
+        roomName: log.roomName || record.roomName || null
+    };
+}
+
+async function loadLessonLogs({ studentId, teacherId, from, to, limit = 200 }) {
+    const filter = {};
+    if (studentId) filter.studentId = studentId;
+    if (teacherId) filter.teacherId = teacherId;
+    if (from || to) filter.lessonDate = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    return db.lessonLogs.find(filter, { sort: { lessonDate: -1 }, limit });
+}
+
+// Count distinct ayahs covered by a set of portions (overlapping ranges counted once)
+function countDistinctAyahs(portions) {
+    const ranges = portions
+        .map(p => [globalAyah(p.fromSurah, p.fromAyah), globalAyah(p.toSurah, p.toAyah)])
+        .sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let covered = 0;
+    for (const [start, end] of ranges) {
+        if (end <= covered) continue;
+        total += end - Math.max(start, covered + 1) + 1;
+        covered = end;
+    }
+    return total;
+}
+
+function summariseProgress(logs) {
+    const hifz = logs.flatMap(l => l.portions.filter(p => p.type === 'hifz'));
+    const murajaah = logs.flatMap(l => l.portions.filter(p => p.type === 'murajaah'));
+    const recent = logs.slice(0, 10);
+    const mistakesByCategory = {};
+    recent.forEach(l => (l.mistakes || []).forEach(m => {
+        mistakesByCategory[m.category] = (mistakesByCategory[m.category] || 0) + m.count;
+    }));
+    const latestHifz = logs.find(l => l.portions.some(p => p.type === 'hifz'));
+    const lastPortion = latestHifz?.portions.filter(p => p.type === 'hifz').pop();
+    
+    return {
+        totalLessons: logs.length,
+        ayahsMemorised: countDistinctAyahs(hifz),
+        ayahsRevised: countDistinctAyahs(murajaah),
+        totalAyahs: SURAH_OFFSETS[SURAHS.length],
+        lastHifz: lastPortion ? { surah: lastPortion.toSurah, ayah: lastPortion.toAyah, name: SURAHS[lastPortion.toSurah - 1][0] } : null,
+        mistakesByCategory, // Last 10 lessons
+        grades: logs.filter(l => l.grade).slice(0, 10).map(l => ({ lessonDate: l.lessonDate, grade: l.grade }))
+    };
+}
+
+// Team leads and admins see every board; a teacher only boards of rooms they ran
+// or that their scheduled class took place in (the attendance record, which the
+// server links - a lesson log's roomName is typed in by the teacher)
+async function viewableWhiteboards(user, boards) {
+    if (roleCan(user.type, 'lessons:manage')) return boards;
+    const others = boards.filter(w => w.teacherId !== user.id).map(w => w.roomName);
+    const taught = others.length
+        ? await db.attendance.find({ roomName: { $in: others }, teacherId: user.id }, { select: 'roomName' })
+        : [];
+    const taughtRooms = new Set(taught.map(r => r.roomName));
+    return boards.filter(w => w.teacherId === user.id || taughtRooms.has(w.roomName));
+}
+
+// Flag logs whose video class saved a whiteboard the user may open (served from /whiteboard-image/:roomName)
+async function attachWhiteboards(logs, user) {
+    const roomNames = logs.map(l => l.roomName).filter(Boolean);
+    if (!roomNames.length) return logs;
+    const boards = await db.whiteboards.find({ roomName: { $in: roomNames } }, { select: 'roomName teacherId' });
+    const saved = new Set((await viewableWhiteboards(user, boards)).map(w => w.roomName));
+    return logs.map(l => ({ ...l, hasWhiteboard: saved.has(l.roomName) }));
+}
+
+// Only the teacher who wrote a log (or a team lead/admin) may change it
+function canEditLessonLog(user, log) {
+    return roleCan(user.type, 'lessons:manage') || log.teacherId === user.id;
+}
+
+// Mushaf text, loaded once from the local file: quranText[surah - 1][ayah - 1]
+let quranText;
+
+function loadQuranText() {
+    if (quranText !== undefined) return quranText;
+    try {
+        const verses = SURAHS.map(() => []);
+        fs.readFileSync(config.video.quranTextPath, 'utf8').split('\n').forEach(line => {
+            const [surah, ayah, ...text] = line.trim().split('|');
+            if (isValidAyah(parseInt(surah, 10), parseInt(ayah, 10))) {
+                verses[surah - 1][ayah - 1] = text.join('|');
+            }
+        });
+        quranText = verses;
+        console.log('📖 Quran text loaded from', config.video.quranTextPath);
+    } catch (err) {
+        quranText = null;
+        console.warn('⚠️ Quran text not available - the shared viewer will show ayah numbers only:', err.message);
+    }
+    return quranText;
+}
+
+// Surah names and ayah counts for the lesson form
+app.get('/api/quran/surahs', (req, res) => {
+    res.json({
+        success: true,
+        surahs: SURAHS.map(([name, ayahs], i) => ({ number: i + 1, name, ayahs })),
+        mistakeCategories: TAJWEED_MISTAKE_CATEGORIES,
+        grades: LESSON_GRADES
+    });
+});
+
+// One surah's text for the shared viewer (public - students load it from the video page)
+app.get('/api/quran/text/:surah', (req, res) => {
+    const surah = parseInt(req.params.surah, 10);
+    if (!isValidAyah(surah, 1)) {
+        return res.status(404).json({ success: false, error: 'No such surah' });
+    }
+    
+    const text = loadQuranText();
+    const [name, ayahs] = SURAHS[surah - 1];
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.json({
+        success: true,
+        surah: { number: surah, name, ayahs },
+        verses: text ? text[surah - 1] : null
+    });
+});
+
+// Lesson logs, newest first (?studentId, ?teacherId, ?from, ?to)
+app.get('/api/lessons', async (req, res) => {
+    const { studentId, teacherId } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    
+    try {
+        const logs = await attachWhiteboards(await loadLessonLogs({ studentId, teacherId, from, to, limit }), req.user);
+        res.json({ success: true, logs });
+    } catch (err) {
+        console.error('Get lesson logs error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch lesson logs' });
+    }
+});
+
+// Progress timeline for one student
+app.get('/api/students/:id/progress', async (req, res) => {
+    try {
+        const student = await findStudentById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
+        }
+        const logs = await attachWhiteboards(await loadLessonLogs({ studentId: req.params.id, limit: 1000 }), req.user);
+        res.json({ success: true, student: { id: req.params.id, name: student.name, course: student.course }, summary: summariseProgress(logs), logs });
+    } catch (err) {
+        console.error('Get student progress error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch student progress' });
+    }
+});
+
+app.post('/api/lessons', async (req, res) => {
+    try {
+        const student = await findStudentById(req.body.studentId);
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
+        }
+        
+        const fields = buildLessonLog(req.body, student);
+        const validationError = validateLessonLog(fields);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const log = await linkLessonToClass({ ...fields, teacherId: req.user.id, teacherName: req.user.name });
+        
+        console.log('📖 Lesson logged:', log.studentName, 'by', log.teacherName, `(${log.portions.length} portion(s))`);
+        
+        res.json({ success: true, log: await db.lessonLogs.create(log) });
+    } catch (err) {
+        console.error('Add lesson log error:', err);
+        res.status(500).json({ success: false, error: 'Failed to save lesson log' });
+    }
+});
+
+app.put('/api/lessons/:id', async (req, res) => {
+    try {
+        const existing = await db.lessonLogs.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Lesson log not found' });
+        }
+        if (!canEditLessonLog(req.user, existing)) {
+            return res.status(403).json({ success: false, error: 'You can only edit your own lesson logs' });
+        }
+        
+        const student = await findStudentById(existing.studentId) || { id: existing.studentId, name: existing.studentName };
+        const changes = buildLessonLog(req.body, student, existing);
+        const validationError = validateLessonLog(changes);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        changes.updatedAt = new Date();
+        
+        res.json({ success: true, log: await db.lessonLogs.findByIdAndUpdate(req.params.id, changes) });
+    } catch (err) {
+        console.error('Update lesson log error:', err);
+        res.status(500).json({ success: false, error: 'Failed to update lesson log' });
+    }
+});
+
+app.delete('/api/lessons/:id', async (req, res) => {
+    try {
+        const existing = await db.lessonLogs.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Lesson log not found' });
+        }
+        if (!canEditLessonLog(req.user, existing)) {
+            return res.status(403).json({ success: false, error: 'You can only delete your own lesson logs' });
+        }
+        
+        await db.lessonLogs.findByIdAndDelete(req.params.id);
+        console.log('🗑️ Lesson log deleted:', existing.studentName, new Date(existing.lessonDate).toISOString().slice(0, 10));
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete lesson log error:', err);
+        res.status(500).json({ success: false, error: 'Failed to delete lesson log' });
+    }
+});
+
+
+// ---------------------------------------------------------
+// GUARDIAN PORTAL
+// ---------------------------------------------------------
+// Everything here is scoped to the students on the guardian's account.
+// Guardians can read, and ask for a class to be moved - staff decide.
+
+const PORTAL_UPCOMING_DAYS = 14;
+const PORTAL_HISTORY_DAYS = 60;
+
+async function loadGuardianStudents(user) {
+    const studentIds = await findGuardianStudentIds(user.id);
+    const students = await Promise.all(studentIds.map(id => findStudentById(id)));
+    return students.filter(Boolean);
+}
+
+async function findGuardianStudent(user, studentId) {
+    const studentIds = await findGuardianStudentIds(user.id);
+    return studentIds.includes(studentId) ? findStudentById(studentId) : null;
+}
+
+// Recordings are only shared for students whose record allows it
+async function guardianCanHearRecording(user, callSid) {
+    const call = await db.callHistory.findOne({ callSid });
+    if (!call) return false;
+    const phone = call.studentPhone || call.phone;
+    const students = await loadGuardianStudents(user);
+    return students.some(s => s.shareRecordingsWithGuardians && s.phone === phone);
+}
+
+async function loadRescheduleRequests(filter) {
+    return db.rescheduleRequests.find(filter, { sort: { createdAt: -1 }, limit: 200 });
+}
+
+// Students, upcoming classes, attendance and lesson progress in one call
+app.get('/api/portal/overview', async (req, res) => {
+    const now = Date.now();
+    
+    try {
+        const students = await loadGuardianStudents(req.user);
+        const overview = await Promise.all(students.map(async student => {
+            const studentId = String(student._id || student.id);
+            const sessions = await loadClassSessions({ studentId, status: 'active' });
+            const upcomingClasses = sessions
+                .flatMap(session => expandClassSession(session, now, now + PORTAL_UPCOMING_DAYS * DAY_MS))
+                .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+                .slice(0, 10);
+            const attendance = await loadAttendance({ from: new Date(now - PORTAL_HISTORY_DAYS * DAY_MS), to: new Date(now), studentId });
+            const logs = await loadLessonLogs({ studentId, limit: 1000 });
+            
+            return {
+                id: studentId,
+                name: student.name,
+                course: student.course,
+                timezone: student.timezone,
+                shareRecordings: !!student.shareRecordingsWithGuardians,
+                upcomingClasses,
+                attendance,
+                progress: { summary: summariseProgress(logs), recentLessons: logs.slice(0, 5) }
+            };
+        }));
+        const rescheduleRequests = await loadRescheduleRequests({ guardianId: req.user.id });
+        
+        res.json({ success: true, students: overview, rescheduleRequests });
+    } catch (err) {
+        console.error('Portal overview error:', err);
+        res.status(500).json({ success: false, error: 'Failed to load portal' });
+    }
+});
+
+// Recorded calls for students whose recordings are shared
+app.get('/api/portal/recordings', async (req, res) => {
+    try {
+        const studentByPhone = new Map((await loadGuardianStudents(req.user))
+            .filter(s => s.shareRecordingsWithGuardians)
+            .map(s => [s.phone, String(s._id || s.id)]));
+        const phones = [...studentByPhone.keys()];
+        if (phones.length === 0) {
+            return res.json({ success: true, recordings: [] });
         }
+        
+        const calls = await db.callHistory.find({
+            recordingUrl: { $ne: null },
+            $or: [{ studentPhone: { $in: phones } }, { phone: { $in: phones } }]
+        }, { sort: { timestamp: -1 }, limit: 100 });
+        
+        res.json({
+            success: true,
+            recordings: calls.map(c => ({
+                callSid: c.callSid,
+                studentId: studentByPhone.get(c.studentPhone || c.phone),
+                studentName: c.studentName,
+                teacherName: c.teacherName,
+                timestamp: c.timestamp,
+                duration: c.duration
+            }))
+        });
     } catch (err) {
-        console.error('Delete teacher error:', err);
-        res.status(500).json({ success: false, error: 'Failed to delete teacher' });
+        console.error('Portal recordings error:', err);
+        res.status(500).json({ success: false, error: 'Failed to load recordings' });
     }
 });
 
-// ---------------------------------------------------------
-// TEAM LEAD ENDPOINTS
-// ---------------------------------------------------------
-app.get('/api/teamleads', async (req, res) => {
+// SMS thread with the academy (read-only - doesn't clear staff unread counts)
+app.get('/api/portal/messages/:studentId', async (req, res) => {
+    const { studentId } = req.params;
+    
     try {
-        if (isDbConnected()) {
-            const teamleads = await User.find({ type: 'teamlead', isActive: true })
-                .select('-password')
-                .lean();
-            return res.json({ success: true, teamleads });
+        if (!(await findGuardianStudent(req.user, studentId))) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
         }
-        const teamleads = inMemoryTeachers.filter(t => t.type === 'teamlead').map(({ password, ...t }) => t);
-        res.json({ success: true, teamleads });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        
+        const messages = await db.messages.find({ studentId }, { sort: { timestamp: 1 }, limit: 500 });
+        res.json({
+            success: true,
+            messages: messages.map(m => ({ id: m._id || m.id, direction: m.direction, body: m.body, senderName: m.senderName, timestamp: m.timestamp }))
+        });
+    } catch (err) {
+        console.error('Portal messages error:', err);
+        res.status(500).json({ success: false, error: 'Failed to load messages' });
     }
 });
 
-app.post('/api/teamleads', async (req, res) => {
-    const { name, email, password, phone } = req.body;
-    if (!name || !email || !password) {
-        return res.status(400).json({ success: false, error: 'Name, email, and password are required' });
+// Guardian asks to move one upcoming class
+app.post('/api/portal/reschedule-requests', async (req, res) => {
+    const { studentId, classStart, reason, preferredTimes } = req.body;
+    
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ success: false, error: 'Please give a reason' });
     }
+    
     try {
-        if (isDbConnected()) {
-            const hashedPassword = await bcrypt.hash(password, 10);
-            const teamlead = await User.create({
-                name, email, password: hashedPassword, phone: phone || '',
-                type: 'teamlead'
-            });
-            invalidateCache('teamleads');
-            return res.json({ success: true, teamlead: { id: teamlead._id, name, email, phone: phone || '', type: 'teamlead' } });
+        const student = await findGuardianStudent(req.user, studentId);
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
         }
-        const teamlead = { id: 'tl-' + Date.now(), name, email, password, phone: phone || '', type: 'teamlead' };
-        inMemoryTeachers.push(teamlead);
-        res.json({ success: true, teamlead: { id: teamlead.id, name, email, phone: phone || '', type: 'teamlead' } });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        
+        const startMs = Date.parse(classStart);
+        const sessions = await loadClassSessions({ studentId, status: 'active' });
+        const occurrence = sessions
+            .flatMap(session => expandClassSession(session, startMs - 60000, startMs + 60000))
+            .find(o => Date.parse(o.start) === startMs);
+        if (!occurrence || startMs < Date.now()) {
+            return res.status(400).json({ success: false, error: 'That is not an upcoming class' });
+        }
+        
+        const existing = await loadRescheduleRequests({ sessionId: occurrence.sessionId, studentId, status: 'pending' });
+        if (existing.some(r => new Date(r.classStart).getTime() === startMs)) {
+            return res.status(409).json({ success: false, error: 'A request for this class is already pending' });
+        }
+        
+        const request = {
+            guardianId: req.user.id,
+            guardianName: req.user.name,
+            studentId,
+            studentName: occurrence.studentName,
+            teacherId: occurrence.teacherId,
+            teacherName: occurrence.teacherName,
+            sessionId: occurrence.sessionId,
+            classStart: new Date(occurrence.start),
+            reason: reason.trim(),
+            preferredTimes: preferredTimes || '',
+            status: 'pending'
+        };
+        
+        const saved = await db.rescheduleRequests.create(request);
+        
+        console.log('📅 Reschedule request:', request.studentName, occurrence.date, 'from', request.guardianName);
+        broadcastToClassStaff(request.teacherId, request.studentId, { type: 'RESCHEDULE_REQUEST', request: saved });
+        
+        res.json({ success: true, request: saved });
+    } catch (err) {
+        console.error('Reschedule request error:', err);
+        res.status(500).json({ success: false, error: 'Failed to send reschedule request' });
     }
 });
 
-app.put('/api/teamleads/:id', async (req, res) => {
-    const { id } = req.params;
-    const { name, email, phone, password } = req.body;
+// Guardian withdraws a pending request
+app.delete('/api/portal/reschedule-requests/:id', async (req, res) => {
     try {
-        if (isDbConnected()) {
-            const updateData = { name, email, phone };
-            if (password) updateData.password = await bcrypt.hash(password, 10);
-            const teamlead = await User.findByIdAndUpdate(id, updateData, { new: true }).select('-password');
-            invalidateCache('teamleads');
-            return res.json({ success: true, teamlead });
-        }
-        const index = inMemoryTeachers.findIndex(t => t.id === id && t.type === 'teamlead');
-        if (index === -1) return res.status(404).json({ success: false, error: 'Team lead not found' });
-        inMemoryTeachers[index] = { ...inMemoryTeachers[index], name, email, phone };
-        if (password) inMemoryTeachers[index].password = password;
-        const { password: _, ...teamleadWithoutPassword } = inMemoryTeachers[index];
-        res.json({ success: true, teamlead: teamleadWithoutPassword });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        const request = await db.rescheduleRequests.findById(req.params.id);
+        if (!request || request.guardianId !== req.user.id) {
+            return res.status(404).json({ success: false, error: 'Request not found' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ success: false, error: `Request is already ${request.status}` });
+        }
+        const updated = await db.rescheduleRequests.findByIdAndUpdate(req.params.id, { status: 'cancelled', resolvedAt: new Date() });
+        res.json({ success: true, request: updated });
+    } catch (err) {
+        console.error('Cancel reschedule request error:', err);
+        res.status(500).json({ success: false, error: 'Failed to cancel request' });
     }
 });
 
-app.delete('/api/teamleads/:id', async (req, res) => {
-    const { id } = req.params;
+// Staff view of reschedule requests (teachers see their own classes)
+app.get('/api/reschedule-requests', async (req, res) => {
     try {
-        if (isDbConnected()) {
-            await User.findByIdAndUpdate(id, { isActive: false });
-            invalidateCache('teamleads');
-            return res.json({ success: true });
-        }
-        inMemoryTeachers = inMemoryTeachers.filter(t => !(t.id === id && t.type === 'teamlead'));
-        res.json({ success: true });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (!roleCan(req.user.type, 'classes:readAll')) filter.teacherId = req.user.id;
+        const requests = await loadRescheduleRequests(filter);
+        res.json({ success: true, requests });
+    } catch (err) {
+        console.error('Get reschedule requests error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch reschedule requests' });
     }
 });
 
-// ---------------------------------------------------------
-// AUTOMATED REMINDER CALL (Team Lead Feature)
-// ---------------------------------------------------------
-app.post('/make-reminder-call', async (req, res) => {
-    const { to, studentName, callerName } = req.body;
-    
-    console.log('🤖 Reminder call request:', { to, studentName, callerName });
-    
-    if (!to) {
-        return res.status(400).json({ success: false, error: 'Phone number required' });
-    }
+// Approve or decline - moving the class itself is done in the schedule
+app.put('/api/reschedule-requests/:id', async (req, res) => {
+    const { status, response } = req.body;
     
-    if (!twilioClient) {
-        return res.status(500).json({ success: false, error: 'Twilio not configured' });
+    if (!['approved', 'declined'].includes(status)) {
+        return res.status(400).json({ success: false, error: "status must be 'approved' or 'declined'" });
     }
     
     try {
-        const call = await twilioClient.calls.create({
-            to: to,
-            from: config.twilio.phoneNumber,
-            url: `${config.publicUrl}/twiml/reminder-message`,
-            method: 'POST',
-            statusCallback: `${config.publicUrl}/webhooks/call-status`,
-            statusCallbackMethod: 'POST',
-            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-            timeout: 30,
-            record: false  // No recording for reminder calls
-        });
-        
-        // Track in activeCalls
-        activeCalls.set(call.sid, {
-            sid: call.sid,
-            to: to,
-            studentName: studentName || 'Unknown',
-            callerName: callerName || 'Team Lead',
-            status: 'queued',
-            startTime: Date.now(),
-            type: 'reminder'  // Mark as reminder call
-        });
-        
-        console.log('✅ Reminder call initiated:', call.sid);
-        
-        // Save reminder call to history
-        const reminderHistoryEntry = {
-            callSid: call.sid,
-            studentName: studentName || 'Unknown',
-            studentPhone: to,
-            teacherName: callerName || 'Team Lead',
-            type: 'outbound',
-            callType: 'reminder',
-            status: 'Initiated',
-            timestamp: new Date().toISOString(),
-            duration: 0
-        };
-        
-        if (isDbConnected()) {
-            try {
-                await CallHistory.create(reminderHistoryEntry);
-            } catch (e) {
-                console.log('Reminder history save deferred:', e.message);
-            }
+        const request = await db.rescheduleRequests.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({ success: false, error: 'Request not found' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ success: false, error: `Request is already ${request.status}` });
         }
-        inMemoryCallHistory.unshift(reminderHistoryEntry);
         
-        res.json({
-            success: true,
-            callSid: call.sid,
-            message: 'Reminder call initiated'
+        const updated = await db.rescheduleRequests.findByIdAndUpdate(req.params.id, {
+            status,
+            response: response || '',
+            resolvedBy: req.user.name,
+            resolvedAt: new Date()
         });
-        
-    } catch (error) {
-        console.error('❌ Reminder call error:', error.message);
-        res.status(500).json({ success: false, error: error.message });
+        console.log(`📅 Reschedule request ${status}:`, request.studentName, 'by', req.user.name);
+        res.json({ success: true, request: updated });
+    } catch (err) {
+        console.error('Update reschedule request error:', err);
+        res.status(500).json({ success: false, error: 'Failed to update request' });
     }
 });
 
-// TwiML for automated reminder message
-app.post('/twiml/reminder-message', (req, res) => {
-    console.log('🤖 Serving reminder TwiML');
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Pause length="1"/>
-    <Say voice="Polly.Joanna" language="en-US" rate="95%">
-        Assalamu Alaikum, this is a reminder from Lets Learn Quran Academy. Your Quran class is scheduled today. Please join on time. JazakAllah Khair.
-    </Say>
-    <Pause length="1"/>
-    <Hangup/>
-</Response>`;
-    
-    res.type('text/xml');
-    res.send(twiml);
-});
-
 
 // ---------------------------------------------------------
 // CALL HISTORY API
@@ -1389,25 +4227,16 @@ app.post('/twiml/reminder-message', (req, res) => {
 
 // Get call history
 app.get('/api/call-history', async (req, res) => {
-    const { limit = 500, teacherId } = req.query;
+    const { limit = 500 } = req.query;
+    // Teachers only ever see their own calls
+    const teacherId = roleCan(req.user.type, 'history:readAll') ? req.query.teacherId : req.user.id;
     
     try {
-        if (dbConnected) {
-            let query = {};
-            if (teacherId) query.teacherId = teacherId;
-            
-            const history = await CallHistory.find(query)
-                .sort({ timestamp: -1 })
-                .limit(parseInt(limit))
-                .lean(); // Faster - returns plain JS objects
-            return res.json({ success: true, history });
-        } else {
-            let history = inMemoryCallHistory;
-            if (teacherId) {
-                history = history.filter(h => h.teacherId === teacherId);
-            }
-            return res.json({ success: true, history: history.slice(0, parseInt(limit)) });
-        }
+        let query = {};
+        if (teacherId) query.teacherId = teacherId;
+        
+        const history = await db.callHistory.find(query, { sort: { timestamp: -1 }, limit: parseInt(limit) });
+        return res.json({ success: true, history });
     } catch (err) {
         console.error('Get call history error:', err);
         res.status(500).json({ success: false, error: 'Failed to fetch call history' });
@@ -1416,57 +4245,58 @@ app.get('/api/call-history', async (req, res) => {
 
 // Add call to history
 app.post('/api/call-history', async (req, res) => {
-    const { studentName, studentPhone, teacherName, teacherId, status, duration, callSid, recordingUrl, notes, callType, roomName, direction } = req.body;
+    const { studentName, studentPhone, status, duration, callSid, recordingUrl, notes, callType, roomName, direction } = req.body;
+    const teacherName = req.user.name;
+    const teacherId = req.user.id;
+    // Hold time comes from the server's own tracking, not the browser
+    const holdDuration = callSid ? holdSeconds(activeCalls.get(callSid) || inboundCalls.get(callSid)) : 0;
     
     console.log('📝 Adding call to history:', studentName, status, callType || 'voice');
     
+    const cachedCall = callSid ? activeCalls.get(callSid) : null;
+    const countsForAttendance = (callType || 'voice') === 'voice' && cachedCall?.type !== 'reminder';
+    const videoRecordingStatus = callType === 'video' && roomName
+        ? (await findVideoRecording(roomName))?.recordingStatus
+        : undefined;
+    const videoChatCount = callType === 'video' && roomName
+        ? (await findVideoChat(roomName))?.messages.length
+        : undefined;
+    
     try {
         // DEDUPLICATION: If callSid is provided, check if this call already exists
-        if (callSid) {
-            if (dbConnected) {
-                const existing = await CallHistory.findOne({ callSid });
-                if (existing) {
-                    console.log('⚠️ Duplicate call history detected for callSid:', callSid, '- skipping');
-                    return res.json({ success: true, call: existing, duplicate: true });
-                }
-            } else {
-                const existing = inMemoryCallHistory.find(c => c.callSid === callSid);
-                if (existing) {
-                    console.log('⚠️ Duplicate call history detected (in-memory) for callSid:', callSid, '- skipping');
-                    return res.json({ success: true, call: existing, duplicate: true });
-                }
+        // (without the database the unique callSid index catches it on replay)
+        if (callSid && db.isReady()) {
+            const existing = await db.callHistory.findOne({ callSid });
+            if (existing) {
+                console.log('⚠️ Duplicate call history detected for callSid:', callSid, '- skipping');
+                return res.json({ success: true, call: existing, duplicate: true });
             }
         }
         
-        if (dbConnected) {
-            const call = await CallHistory.create({
+        const { queued, result: call } = await durableWrite(`call history ${callSid || studentName}`, [{
+            entity: 'callHistory',
+            op: 'create',
+            data: {
                 studentName, studentPhone, teacherName, teacherId, 
-                status, duration, callSid, recordingUrl, notes,
+                status, duration, holdDuration, callSid, recordingUrl, notes,
                 callType: callType || 'voice',
                 roomName: roomName || null,
+                videoRecordingStatus,
+                videoChatCount,
                 direction: direction || 'outbound'
-            });
-            console.log('✅ Call history saved to database');
-            return res.json({ success: true, call });
-        } else {
-            const call = {
-                id: Date.now().toString(),
-                studentName, studentPhone, teacherName, teacherId,
-                status, duration, callSid, recordingUrl, notes,
-                callType: callType || 'voice',
-                roomName: roomName || null,
-                direction: direction || 'outbound',
-                timestamp: new Date()
-            };
-            inMemoryCallHistory.unshift(call);
-            return res.json({ success: true, call });
+            }
+        }]);
+        console.log(queued ? '📥 Call history queued' : '✅ Call history saved');
+        if (countsForAttendance) {
+            recordCallAttendance({ studentPhone: studentPhone || cachedCall?.to, callSid, status, duration });
         }
+        return res.json({ success: true, call });
     } catch (err) {
-        // Handle MongoDB duplicate key error (code 11000) gracefully
+        // Handle duplicate key error (code 11000) gracefully
         if (err.code === 11000 && callSid) {
             console.log('⚠️ Duplicate key error for callSid:', callSid, '- returning existing record');
             try {
-                const existing = await CallHistory.findOne({ callSid });
+                const existing = await db.callHistory.findOne({ callSid });
                 if (existing) return res.json({ success: true, call: existing, duplicate: true });
             } catch (e) { /* fall through */ }
         }
@@ -1479,7 +4309,7 @@ app.post('/api/call-history', async (req, res) => {
 app.post('/api/call-history/delete', async (req, res) => {
     const { ids } = req.body;
     
-    console.log('🗑️ Delete request received');
+    console.log('🗑️ Delete request received from:', req.user.name);
     console.log('   IDs received:', ids);
     
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -1490,61 +4320,36 @@ app.post('/api/call-history/delete', async (req, res) => {
     console.log('🗑️ Attempting to delete', ids.length, 'call history records');
     
     try {
-        if (dbConnected) {
-            // Convert all IDs to strings and filter valid MongoDB ObjectIds
-            const stringIds = ids.map(id => String(id));
-            const validObjectIds = stringIds.filter(id => /^[0-9a-fA-F]{24}$/.test(id));
-            
-            console.log('   Valid ObjectIds:', validObjectIds.length);
-            console.log('   All IDs (for callSid):', stringIds.length);
-            
-            // Build query - match by _id OR by callSid
-            const query = {
-                $or: []
-            };
-            
-            // Add ObjectId matches if any
-            if (validObjectIds.length > 0) {
-                query.$or.push({ _id: { $in: validObjectIds } });
-            }
-            
-            // Always try to match by callSid too
-            query.$or.push({ callSid: { $in: stringIds } });
-            
-            // If no valid query conditions, return error
-            if (query.$or.length === 0) {
-                return res.status(400).json({ success: false, error: 'No valid IDs to delete' });
-            }
-            
-            console.log('   Query:', JSON.stringify(query));
-            
-            const result = await CallHistory.deleteMany(query);
-            
-            console.log(`✅ Deleted ${result.deletedCount} call history records from database`);
-            return res.json({ 
-                success: true, 
-                deletedCount: result.deletedCount,
-                message: `Successfully deleted ${result.deletedCount} record(s)`
-            });
-        } else {
-            // In-memory deletion
-            const stringIds = ids.map(id => String(id));
-            const initialLength = inMemoryCallHistory.length;
-            
-            inMemoryCallHistory = inMemoryCallHistory.filter(call => {
-                const callId = String(call.id || call._id || call.callSid || '');
-                return !stringIds.includes(callId);
-            });
-            
-            const deletedCount = initialLength - inMemoryCallHistory.length;
-            
-            console.log(`✅ Deleted ${deletedCount} call history records from memory`);
-            return res.json({ 
-                success: true, 
-                deletedCount,
-                message: `Successfully deleted ${deletedCount} record(s)`
-            });
+        // Convert all IDs to strings and filter valid ObjectIds
+        const stringIds = ids.map(id => String(id));
+        const validObjectIds = stringIds.filter(isValidId);
+        
+        console.log('   Valid ObjectIds:', validObjectIds.length);
+        console.log('   All IDs (for callSid):', stringIds.length);
+        
+        // Build query - match by _id OR by callSid
+        const query = {
+            $or: []
+        };
+        
+        // Add ObjectId matches if any
+        if (validObjectIds.length > 0) {
+            query.$or.push({ _id: { $in: validObjectIds } });
         }
+        
+        // Always try to match by callSid too
+        query.$or.push({ callSid: { $in: stringIds } });
+        
+        console.log('   Query:', JSON.stringify(query));
+        
+        const deletedCount = await db.callHistory.deleteMany(query);
+        
+        console.log(`✅ Deleted ${deletedCount} call history records`);
+        return res.json({ 
+            success: true, 
+            deletedCount,
+            message: `Successfully deleted ${deletedCount} record(s)`
+        });
     } catch (err) {
         console.error('❌ Delete call history error:', err);
         res.status(500).json({ success: false, error: 'Failed to delete call history records: ' + err.message });
@@ -1555,12 +4360,14 @@ app.post('/api/call-history/delete', async (req, res) => {
 // DATABASE STATUS
 // ---------------------------------------------------------
 app.get('/api/db-status', (req, res) => {
+    const fileStore = db.backend === 'file';
     res.json({
-        connected: dbConnected,
-        type: dbConnected ? 'MongoDB Atlas' : 'In-Memory (temporary)',
-        message: dbConnected 
-            ? 'All data is permanently saved' 
-            : 'Data will be lost on server restart. Add MONGODB_URI for permanent storage.'
+        connected: db.isReady(),
+        backend: db.backend,
+        type: fileStore ? 'File store' : 'MongoDB Atlas',
+        message: fileStore
+            ? `Data is saved to ${config.dataDir} on this server. Add MONGODB_URI to run more than one instance.`
+            : db.isReady() ? 'All data is permanently saved' : 'Reconnecting to MongoDB...'
     });
 });
 
@@ -1571,14 +4378,8 @@ app.get('/api/db-status', (req, res) => {
 // Get all conversations (for Messages sidebar)
 app.get('/api/sms/conversations', async (req, res) => {
     try {
-        if (dbConnected) {
-            const conversations = await Conversation.find()
-                .sort({ lastMessageTime: -1 })
-                .lean(); // Faster - returns plain JS objects
-            return res.json({ success: true, conversations });
-        } else {
-            return res.json({ success: true, conversations: inMemoryConversations });
-        }
+        const conversations = await db.conversations.find({}, { sort: { lastMessageTime: -1 } });
+        return res.json({ success: true, conversations });
     } catch (err) {
         console.error('Get conversations error:', err);
         res.status(500).json({ success: false, error: 'Failed to fetch conversations' });
@@ -1590,39 +4391,58 @@ app.get('/api/sms/messages/:studentId', async (req, res) => {
     const { studentId } = req.params;
     
     try {
-        if (dbConnected) {
-            const messages = await Message.find({ studentId })
-                .sort({ timestamp: 1 }) // Oldest first for chat view
-                .lean(); // Faster - returns plain JS objects
-            
-            // Mark messages as read (background - don't wait)
-            Message.updateMany(
-                { studentId, direction: 'inbound', read: false },
-                { read: true }
-            ).exec().catch(err => console.error('Mark read error:', err));
-            
-            // Reset unread count for this conversation (background - don't wait)
-            Conversation.findOneAndUpdate(
-                { studentId },
-                { unreadCount: 0 }
-            ).exec().catch(err => console.error('Reset unread error:', err));
-            
-            return res.json({ success: true, messages });
-        } else {
-            const messages = inMemoryMessages
-                .filter(m => m.studentId === studentId)
-                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-            return res.json({ success: true, messages });
-        }
+        const messages = await db.messages.find({ studentId }, { sort: { timestamp: 1 } }); // Oldest first for chat view
+        
+        // Mark messages as read (background - don't wait)
+        db.messages.updateMany(
+            { studentId, direction: 'inbound', read: false },
+            { read: true }
+        ).catch(err => console.error('Mark read error:', err));
+        
+        // Reset unread count for this conversation (background - don't wait)
+        db.conversations.updateOne(
+            { studentId },
+            { unreadCount: 0 }
+        ).catch(err => console.error('Reset unread error:', err));
+        
+        return res.json({ success: true, messages });
     } catch (err) {
         console.error('Get messages error:', err);
         res.status(500).json({ success: false, error: 'Failed to fetch messages' });
     }
 });
 
+// Store an outbound SMS, update its conversation and push it to dashboards
+async function saveOutboundMessage(messageData) {
+    const { result: savedMessage } = await durableWrite(`outbound SMS to ${messageData.studentPhone}`, [
+        { entity: 'messages', op: 'create', data: messageData },
+        // Update or create conversation
+        {
+            entity: 'conversations',
+            op: 'updateOne',
+            filter: { studentId: messageData.studentId },
+            update: {
+                studentId: messageData.studentId,
+                studentName: messageData.studentName,
+                studentPhone: messageData.studentPhone,
+                lastMessage: messageData.body,
+                lastMessageTime: new Date(),
+                lastMessageDirection: 'outbound',
+                updatedAt: new Date()
+            },
+            upsert: true
+        }
+    ]);
+    
+    broadcastNewMessage(savedMessage);
+    return savedMessage;
+}
+
 // Send SMS to a student
 app.post('/api/sms/send', async (req, res) => {
-    const { studentId, studentName, studentPhone, body, senderName, senderId } = req.body;
+    const { studentId, studentName, studentPhone, body } = req.body;
+    const senderName = req.user.name;
+    const senderId = req.user.id;
     
     console.log('\n' + '='.repeat(50));
     console.log('📱 SENDING SMS');
@@ -1657,56 +4477,14 @@ app.post('/api/sms/send', async (req, res) => {
             studentPhone,
             direction: 'outbound',
             body,
-            senderName: senderName || 'Admin',
-            senderId: senderId || 'admin',
+            senderName,
+            senderId,
             messageSid: twilioMessage.sid,
             status: 'sent',
             timestamp: new Date()
         };
         
-        let savedMessage;
-        if (dbConnected) {
-            savedMessage = await Message.create(messageData);
-            
-            // Update or create conversation
-            await Conversation.findOneAndUpdate(
-                { studentId: messageData.studentId },
-                {
-                    studentId: messageData.studentId,
-                    studentName: messageData.studentName,
-                    studentPhone: messageData.studentPhone,
-                    lastMessage: body,
-                    lastMessageTime: new Date(),
-                    lastMessageDirection: 'outbound',
-                    updatedAt: new Date()
-                },
-                { upsert: true, new: true }
-            );
-        } else {
-            savedMessage = { ...messageData, _id: Date.now().toString() };
-            inMemoryMessages.push(savedMessage);
-            
-            // Update in-memory conversations
-            const convIndex = inMemoryConversations.findIndex(c => c.studentId === messageData.studentId);
-            const convData = {
-                studentId: messageData.studentId,
-                studentName: messageData.studentName,
-                studentPhone: messageData.studentPhone,
-                lastMessage: body,
-                lastMessageTime: new Date(),
-                lastMessageDirection: 'outbound',
-                unreadCount: 0,
-                updatedAt: new Date()
-            };
-            if (convIndex >= 0) {
-                inMemoryConversations[convIndex] = convData;
-            } else {
-                inMemoryConversations.unshift(convData);
-            }
-        }
-        
-        // Broadcast to all clients
-        broadcastNewMessage(savedMessage);
+        const savedMessage = await saveOutboundMessage(messageData);
         
         res.json({ success: true, message: savedMessage });
         
@@ -1719,16 +4497,8 @@ app.post('/api/sms/send', async (req, res) => {
 // Get unread count for all conversations
 app.get('/api/sms/unread-count', async (req, res) => {
     try {
-        if (dbConnected) {
-            const result = await Conversation.aggregate([
-                { $group: { _id: null, total: { $sum: '$unreadCount' } } }
-            ]);
-            const totalUnread = result.length > 0 ? result[0].total : 0;
-            return res.json({ success: true, unreadCount: totalUnread });
-        } else {
-            const totalUnread = inMemoryConversations.reduce((sum, c) => sum + (c.unreadCount || 0), 0);
-            return res.json({ success: true, unreadCount: totalUnread });
-        }
+        const totalUnread = await db.conversations.sum('unreadCount');
+        return res.json({ success: true, unreadCount: totalUnread });
     } catch (err) {
         console.error('Get unread count error:', err);
         res.status(500).json({ success: false, error: 'Failed to get unread count' });
@@ -1739,7 +4509,7 @@ app.get('/api/sms/unread-count', async (req, res) => {
 app.post('/api/sms/conversations/delete', async (req, res) => {
     const { ids } = req.body;
     
-    console.log('🗑️ Delete conversations request received');
+    console.log('🗑️ Delete conversations request received from:', req.user.name);
     console.log('   IDs received:', ids);
     
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -1750,56 +4520,28 @@ app.post('/api/sms/conversations/delete', async (req, res) => {
     console.log('🗑️ Attempting to delete', ids.length, 'conversations');
     
     try {
-        if (dbConnected) {
-            const stringIds = ids.map(id => String(id));
-            
-            // Delete conversations
-            const convResult = await Conversation.deleteMany({
-                $or: [
-                    { studentId: { $in: stringIds } },
-                    { _id: { $in: stringIds.filter(id => /^[0-9a-fA-F]{24}$/.test(id)) } }
-                ]
-            });
-            
-            // Also delete associated messages
-            const msgResult = await Message.deleteMany({
-                studentId: { $in: stringIds }
-            });
-            
-            console.log(`✅ Deleted ${convResult.deletedCount} conversations and ${msgResult.deletedCount} messages from database`);
-            return res.json({ 
-                success: true, 
-                deletedCount: convResult.deletedCount,
-                messagesDeleted: msgResult.deletedCount,
-                message: `Successfully deleted ${convResult.deletedCount} conversation(s)`
-            });
-        } else {
-            // In-memory deletion
-            const stringIds = ids.map(id => String(id));
-            const initialConvLength = inMemoryConversations.length;
-            const initialMsgLength = inMemoryMessages.length;
-            
-            inMemoryConversations = inMemoryConversations.filter(c => {
-                const convId = String(c.studentId || c._id || '');
-                return !stringIds.includes(convId);
-            });
-            
-            inMemoryMessages = inMemoryMessages.filter(m => {
-                const studentId = String(m.studentId || '');
-                return !stringIds.includes(studentId);
-            });
-            
-            const deletedConvCount = initialConvLength - inMemoryConversations.length;
-            const deletedMsgCount = initialMsgLength - inMemoryMessages.length;
-            
-            console.log(`✅ Deleted ${deletedConvCount} conversations and ${deletedMsgCount} messages from memory`);
-            return res.json({ 
-                success: true, 
-                deletedCount: deletedConvCount,
-                messagesDeleted: deletedMsgCount,
-                message: `Successfully deleted ${deletedConvCount} conversation(s)`
-            });
-        }
+        const stringIds = ids.map(id => String(id));
+        
+        // Delete conversations
+        const deletedCount = await db.conversations.deleteMany({
+            $or: [
+                { studentId: { $in: stringIds } },
+                { _id: { $in: stringIds.filter(isValidId) } }
+            ]
+        });
+        
+        // Also delete associated messages
+        const messagesDeleted = await db.messages.deleteMany({
+            studentId: { $in: stringIds }
+        });
+        
+        console.log(`✅ Deleted ${deletedCount} conversations and ${messagesDeleted} messages`);
+        return res.json({ 
+            success: true, 
+            deletedCount,
+            messagesDeleted,
+            message: `Successfully deleted ${deletedCount} conversation(s)`
+        });
     } catch (err) {
         console.error('❌ Delete conversations error:', err);
         res.status(500).json({ success: false, error: 'Failed to delete conversations: ' + err.message });
@@ -1852,10 +4594,40 @@ async function ensureTwimlApp() {
 // TwiML endpoint - handles browser Client voice requests
 // When admin clicks Answer, device.connect() hits this URL with conference params
 app.post('/twiml/client-voice', (req, res) => {
-    const { action, conference } = req.body;
+    const { action, conference, transferId, CallSid, From } = req.body;
     console.log('📞 TwiML App request - action:', action, 'conference:', conference);
-    
-    if (action === 'join-conference' && conference) {
+
+    const transfer = transferId ? callTransfers.get(transferId) : null;
+
+    if (action === 'join-conference' && transfer && !isVoiceClientOf(From, transfer.toUserName)) {
+        // Only the transfer target's own Device may take over the student's call
+        console.warn(`   🚫 Transfer ${transferId} join refused for ${From} (target: ${transfer.toUserName})`);
+        res.type('text/xml');
+        res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say voice="alice">This transfer is for another user.</Say>
+    <Hangup/>
+</Response>`);
+    } else if (action === 'join-conference' && transfer && transfer.status === 'accepted' && transfer.conferenceName === conference) {
+        // Transfer target joining - must not end the student's call if they
+        // drop out mid-consult; completeTransfer() hands them ownership later
+        transfer.toCallSid = CallSid;
+        callTransfers.save(transferId);
+
+        const twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Dial>
+        <Conference startConferenceOnEnter="true" endConferenceOnExit="false"
+                    beep="false" maxParticipants="3">
+            ${transfer.conferenceName}
+        </Conference>
+    </Dial>
+</Response>`;
+
+        console.log('   📤 TwiML: Transfer target joining conference', transfer.conferenceName);
+        res.type('text/xml');
+        res.send(twiml);
+    } else if (action === 'join-conference' && conference) {
         // Admin joining a conference to answer incoming call
         // Sanitize conference name (only allow alphanumeric and underscore)
         const safeConf = conference.replace(/[^a-zA-Z0-9_]/g, '');
@@ -1864,7 +4636,7 @@ app.post('/twiml/client-voice', (req, res) => {
 <Response>
     <Dial>
         <Conference startConferenceOnEnter="true" endConferenceOnExit="true" 
-                    beep="false" maxParticipants="2"
+                    beep="false" maxParticipants="3"
                     record="record-from-start"
                     recordingStatusCallback="${config.publicUrl}/webhooks/recording-status"
                     recordingStatusCallbackEvent="completed">
@@ -1887,10 +4659,16 @@ app.post('/twiml/client-voice', (req, res) => {
     }
 });
 
-// Hold music endpoint - loops hold message for waiting callers
+// Hold music endpoint - loops hold message for waiting callers.
+// Callers in the inbound queue hear their place each time round; held calls don't.
 app.post('/twiml/hold-music', (req, res) => {
+    const position = queuePosition(req.body.CallSid);
+    const announcement = position === 1
+        ? '<Say voice="alice">You are next in line.</Say>'
+        : position > 1 ? `<Say voice="alice">You are caller number ${position} in the queue.</Say>` : '';
     const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
+    ${announcement}
     <Say voice="alice">Your call is important to us. A teacher will be with you shortly. Jazak Allahu Khairan.</Say>
     <Play>https://api.twilio.com/cowbell.mp3</Play>
     <Pause length="3"/>
@@ -1908,13 +4686,85 @@ function generateRoomName() {
     return 'quran-room-' + Date.now() + '-' + Math.random().toString(36).substring(2, 8);
 }
 
+const MAX_VIDEO_PARTICIPANTS = 20; // Students per group room
+
+// Signed, expiring join invite for one student on the roster. Only the latest
+// invite (participant.inviteId) is honoured, so rotating it revokes older links.
+// Sets participant.joinUrl.
+function issueVideoInvite(room, participant) {
+    participant.inviteId = crypto.randomUUID();
+    const inviteToken = jwt.sign(
+        { tokenType: 'videoInvite', room: room.roomName, jti: participant.inviteId },
+        config.auth.jwtSecret,
+        { subject: participant.studentId, expiresIn: config.video.inviteTtl }
+    );
+    participant.joinUrl = `${config.publicUrl}/video-room.html?room=${room.roomName}&name=${encodeURIComponent(participant.studentName)}&invite=${inviteToken}`;
+    return participant.joinUrl;
+}
+
+function findParticipant(room, studentId) {
+    return (room.participants || []).find(p => p.studentId === String(studentId)) || null;
+}
+
+// Returns { participant } when the invite admits its student to this room, otherwise { error }
+function checkVideoInvite(inviteToken, room) {
+    let payload;
+    try {
+        payload = verifySessionToken(inviteToken, 'videoInvite');
+    } catch (err) {
+        return { error: err.name === 'TokenExpiredError' ? 'This invite link has expired' : 'Invalid invite link' };
+    }
+    const participant = payload.room === room.roomName ? findParticipant(room, payload.sub) : null;
+    if (!participant) return { error: 'Invalid invite link' };
+    if (!participant.inviteId || payload.jti !== participant.inviteId) return { error: 'This invite link has been revoked' };
+    return { participant };
+}
+
+// Roster entries with Twilio identities that stay unique when two students share a name
+function buildRoster(students) {
+    const seen = {};
+    return students.map(student => {
+        seen[student.name] = (seen[student.name] || 0) + 1;
+        return {
+            studentId: String(student._id || student.id),
+            studentName: student.name,
+            studentPhone: student.phone,
+            identity: seen[student.name] > 1 ? `${student.name} (${seen[student.name]})` : student.name,
+            joinCount: 0
+        };
+    });
+}
+
+// Roster as shown to staff
+function rosterSummary(room) {
+    return (room.participants || []).map(p => ({
+        studentId: p.studentId,
+        studentName: p.studentName,
+        identity: p.identity,
+        joinUrl: p.joinUrl,
+        joinedAt: p.joinedAt || null,
+        leftAt: p.leftAt || null,
+        joinCount: p.joinCount || 0,
+        connected: !!p.connectedAt,
+        recordingConsent: p.recordingConsent ?? null,
+        disconnectCount: p.disconnectCount || 0,
+        reconnectCount: p.reconnectCount || 0,
+        networkQuality: p.networkQuality ?? null,
+        lowestNetworkQuality: p.lowestNetworkQuality ?? null
+    }));
+}
+
 // Check if Video API keys are configured
 function hasVideoApiKeys() {
     return process.env.TWILIO_API_KEY_SID && process.env.TWILIO_API_KEY_SECRET;
 }
 
-// Generate access token for video room
-function generateVideoToken(identity, roomName) {
+// Student room tokens are short-lived so a revoked invite can't be reused to
+// reconnect straight to Twilio; the page swaps them via /api/video/student-token
+const STUDENT_VIDEO_TOKEN_TTL_SECONDS = 10 * 60;
+
+// Generate access token for video room (Twilio's default ttl is one hour)
+function generateVideoToken(identity, roomName, { ttl } = {}) {
     if (!hasVideoApiKeys()) {
         throw new Error('Video API keys not configured. Please add TWILIO_API_KEY_SID and TWILIO_API_KEY_SECRET to environment variables.');
     }
@@ -1923,7 +4773,7 @@ function generateVideoToken(identity, roomName) {
         config.twilio.accountSid,
         process.env.TWILIO_API_KEY_SID,
         process.env.TWILIO_API_KEY_SECRET,
-        { identity: identity }
+        { identity: identity, ttl }
     );
     
     const videoGrant = new VideoGrant({
@@ -1934,6 +4784,16 @@ function generateVideoToken(identity, roomName) {
     return token.toJwt();
 }
 
+// Check a video token we issued. Returns { identity, room, issuedAt } or null.
+function verifyVideoToken(token) {
+    try {
+        const { grants, iat } = jwt.verify(token, process.env.TWILIO_API_KEY_SECRET, { issuer: process.env.TWILIO_API_KEY_SID });
+        return grants?.video?.room ? { identity: grants.identity, room: grants.video.room, issuedAt: iat } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
 // Generate access token for voice (incoming calls in browser)
 function generateVoiceToken(identity) {
     if (!hasVideoApiKeys()) {
@@ -1961,13 +4821,22 @@ function generateVoiceToken(identity) {
     return token.toJwt();
 }
 
+// Browser Devices register as <name>_<session id> - the name made <Client>-safe,
+// the session id so one user can be signed in on several devices at once
+function voiceIdentityBase(name) {
+    return String(name || '').replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+// Is this caller (Twilio's From, 'client:<identity>') a Device of that user?
+function isVoiceClientOf(from, userName) {
+    const identity = String(from || '').replace(/^client:/, '');
+    const base = voiceIdentityBase(userName);
+    return !!base && identity.startsWith(`${base}_`) && /^[a-z0-9]+$/.test(identity.slice(base.length + 1));
+}
+
 // Voice token endpoint for browser-based incoming calls
 app.post('/api/voice-token', (req, res) => {
-    const { identity } = req.body;
-    
-    if (!identity) {
-        return res.status(400).json({ success: false, error: 'Identity required' });
-    }
+    const identity = req.user.name;
     
     if (!hasVideoApiKeys()) {
         return res.status(500).json({ 
@@ -1987,7 +4856,7 @@ app.post('/api/voice-token', (req, res) => {
         // Sanitize identity to match what <Client> uses
         // Append unique session ID so multiple devices can register simultaneously
         const sessionId = Math.random().toString(36).substring(2, 8);
-        const sanitizedIdentity = identity.replace(/[^a-zA-Z0-9]/g, '_') + '_' + sessionId;
+        const sanitizedIdentity = voiceIdentityBase(identity) + '_' + sessionId;
         const token = generateVoiceToken(sanitizedIdentity);
         
         console.log('🎤 Voice token generated for:', sanitizedIdentity);
@@ -2060,13 +4929,37 @@ app.get('/api/voice-debug', async (req, res) => {
     res.json(checks);
 });
 
-// Create a new video room and send invite to student
+// Text a student their join link
+async function sendVideoInviteSms(participant) {
+    const smsStartTime = Date.now();
+    console.log('📤 Sending SMS invitation to:', participant.studentPhone);
+    
+    try {
+        const smsBody = `Assalam Alaikum ${participant.studentName}! Your teacher is waiting for you in a video class. Join now: ${participant.joinUrl}`;
+        
+        await twilioClient.messages.create({
+            body: smsBody,
+            from: config.twilio.phoneNumber,
+            to: participant.studentPhone
+        });
+        
+        const smsTime = Date.now() - smsStartTime;
+        console.log(`✅ SMS invitation sent in ${smsTime}ms`);
+    } catch (smsErr) {
+        console.error('⚠️ Failed to send SMS invitation:', smsErr.message);
+    }
+}
+
+// Create a new video room and send invites - one student, or a roster for group classes
 app.post('/api/video/create-room', async (req, res) => {
-    const { studentId, studentName, studentPhone, teacherId, teacherName } = req.body;
+    const { studentId, studentIds, title, waitingRoom = config.video.waitingRoom, record = false } = req.body;
+    const teacherId = req.user.id;
+    const teacherName = req.user.name;
+    const ids = [...new Set((Array.isArray(studentIds) && studentIds.length ? studentIds : [studentId]).filter(Boolean).map(String))];
     
     console.log('\n' + '='.repeat(50));
     console.log('🎥 CREATING VIDEO ROOM');
-    console.log('   Student:', studentName);
+    console.log('   Students:', ids.join(', '));
     console.log('   Teacher:', teacherName);
     console.log('='.repeat(50));
     
@@ -2079,30 +4972,54 @@ app.post('/api/video/create-room', async (req, res) => {
         });
     }
     
-    if (!studentPhone || !studentName) {
+    if (ids.length === 0) {
         return res.status(400).json({ success: false, error: 'Student info required' });
     }
+    if (ids.length > MAX_VIDEO_PARTICIPANTS) {
+        return res.status(400).json({ success: false, error: `A group class can have at most ${MAX_VIDEO_PARTICIPANTS} students` });
+    }
     
     try {
+        // Invites are bound to student records, not to names/phones sent by the browser
+        const students = await Promise.all(ids.map(id => findStudentById(id)));
+        const missing = ids.find((id, i) => !students[i]);
+        if (missing) {
+            return res.status(404).json({ success: false, error: `Student not found: ${missing}` });
+        }
+        
         const roomName = generateRoomName();
-        const joinUrl = `${config.publicUrl}/video-room.html?room=${roomName}&name=${encodeURIComponent(studentName)}`;
+        const participants = buildRoster(students);
+        const isGroup = participants.length > 1;
+        const [first] = participants;
         
         // Generate teacher token
-        const teacherToken = generateVideoToken(teacherName || 'Teacher', roomName);
+        const teacherToken = generateVideoToken(teacherName, roomName);
         
         // Save room to database
         const roomData = {
             roomName,
-            studentId: studentId || studentPhone,
-            studentName,
-            studentPhone,
-            teacherId: teacherId || 'admin',
-            teacherName: teacherName || 'Teacher',
+            isGroup,
+            studentId: isGroup ? undefined : first.studentId,
+            studentName: isGroup ? ((title || '').trim() || `Group class (${participants.length} students)`) : first.studentName,
+            studentPhone: isGroup ? undefined : first.studentPhone,
+            teacherId,
+            teacherName,
             status: 'waiting',
-            joinUrl,
+            waitingRoom: !!waitingRoom,
+            recording: false,
+            participants,
             startedAt: new Date()
         };
         
+        // Recorded classes need the room created up front so recording rules can be set
+        if (record && config.video.recording) {
+            roomData.roomSid = await createRecordedRoom(roomName, teacherName);
+            roomData.recording = !!roomData.roomSid;
+            if (roomData.recording) roomData.recordingStatus = 'recording';
+        }
+        participants.forEach(p => issueVideoInvite(roomData, p));
+        const joinUrl = roomData.joinUrl = isGroup ? null : first.joinUrl;
+        
         // Track active room IMMEDIATELY - teacher is joining
         activeVideoRooms.set(roomName, {
             ...roomData,
@@ -2112,8 +5029,10 @@ app.post('/api/video/create-room', async (req, res) => {
         
         console.log('✅ Room added to active rooms:', roomName);
         console.log('   Total active rooms:', activeVideoRooms.size);
-        console.log('✅ Video room created:', roomName);
-        console.log('   Join URL:', joinUrl);
+        console.log(`✅ Video room created: ${roomName} (${participants.length} student${isGroup ? 's' : ''})`);
+        if (joinUrl) console.log('   Join URL:', joinUrl);
+        
+        const inLobby = participants.filter(p => isWaitingInLobby(p.studentId));
         
         // SEND RESPONSE IMMEDIATELY - Don't wait for DB or SMS
         res.json({
@@ -2122,8 +5041,13 @@ app.post('/api/video/create-room', async (req, res) => {
                 roomName,
                 joinUrl,
                 teacherToken,
-                studentName,
-                studentPhone,
+                isGroup,
+                studentName: roomData.studentName,
+                studentPhone: roomData.studentPhone,
+                studentInLobby: !isGroup && inLobby.length > 0,
+                participants: rosterSummary(roomData).map((p, i) => ({ ...p, inLobby: inLobby.includes(participants[i]) })),
+                waitingRoom: roomData.waitingRoom,
+                recording: roomData.recording,
                 status: 'waiting'
             }
         });
@@ -2133,40 +5057,29 @@ app.post('/api/video/create-room', async (req, res) => {
         // Send SMS FIRST, then database (SMS is more urgent)
         // ==========================================
         
-        // Send SMS invitation IMMEDIATELY (highest priority)
-        if (twilioClient) {
+        // Students already waiting on their class link - the lobby picks the room up by itself
+        const toText = participants.filter(p => !inLobby.includes(p));
+        if (inLobby.length > 0) {
+            console.log(`🔗 ${inLobby.length} student(s) waiting in their class lobby - SMS invite skipped`);
+        }
+        if (toText.length > 0 && twilioClient) {
+            // Send SMS invitations IMMEDIATELY (highest priority)
             // Use setImmediate to ensure this runs right after response
             setImmediate(async () => {
-                const smsStartTime = Date.now();
-                console.log('📤 Sending SMS invitation to:', studentPhone);
-                
-                try {
-                    const smsBody = `Assalam Alaikum ${studentName}! Your teacher is waiting for you in a video class. Join now: ${joinUrl}`;
-                    
-                    await twilioClient.messages.create({
-                        body: smsBody,
-                        from: config.twilio.phoneNumber,
-                        to: studentPhone
-                    });
-                    
-                    const smsTime = Date.now() - smsStartTime;
-                    console.log(`✅ SMS invitation sent in ${smsTime}ms`);
-                } catch (smsErr) {
-                    console.error('⚠️ Failed to send SMS invitation:', smsErr.message);
+                for (const participant of toText) {
+                    await sendVideoInviteSms(participant);
                 }
             });
-        } else {
+        } else if (toText.length > 0) {
             console.warn('⚠️ Twilio client not available - SMS not sent');
         }
         
         // Save to database in background (lower priority than SMS)
-        if (isDbConnected()) {
-            setImmediate(() => {
-                VideoRoom.create(roomData)
-                    .then(() => console.log('✅ Room saved to database:', roomName))
-                    .catch(dbErr => console.error('⚠️ Failed to save room to database:', dbErr.message));
-            });
-        }
+        setImmediate(() => {
+            durableWrite(`video room ${roomName}`, [{ entity: 'videoRooms', op: 'create', data: roomData }])
+                .then(({ queued }) => console.log(queued ? '📥 Room queued for database:' : '✅ Room saved to database:', roomName))
+                .catch(dbErr => console.error('⚠️ Failed to save room to database:', dbErr.message));
+        });
         
     } catch (err) {
         console.error('❌ Create video room error:', err);
@@ -2177,15 +5090,209 @@ app.post('/api/video/create-room', async (req, res) => {
     }
 });
 
-// Get token for joining a video room (for students)
+// Find a room in memory, or restore it from the database (e.g. after a restart).
+// Returns { room } or { status, error }.
+async function loadVideoRoom(roomName) {
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (roomInfo) {
+        console.log('   ✅ Room found in memory!');
+        return { room: roomInfo };
+    }
+    
+    console.log('   Room NOT in memory, checking database...');
+    
+    // Wait for database connection if it's still connecting
+    if (db.backend === 'mongodb' && mongoose.connection.readyState === 2) {
+        console.log('   Database is connecting, waiting...');
+        await waitForDbConnection(5000);
+    }
+    
+    const canUseDb = db.isReady();
+    console.log('   Can use database:', canUseDb);
+    
+    if (!canUseDb) {
+        console.log('❌ Room not found (database not connected):', roomName);
+        console.log('   Tip: Database may still be connecting. Try again in a few seconds.');
+        return { status: 404, error: 'Video room not found. Please try again in a few seconds.' };
+    }
+    
+    try {
+        const dbRoom = await db.videoRooms.findOne({ roomName });
+        console.log('   Database lookup result:', dbRoom ? 'FOUND' : 'NOT FOUND');
+        
+        if (!dbRoom) {
+            console.log('❌ Room not found in database:', roomName);
+            return { status: 404, error: 'Video room not found or has expired' };
+        }
+        if (dbRoom.status === 'completed') {
+            return { status: 400, error: 'This video call has already ended' };
+        }
+        
+        // Restore room info from database to memory
+        const restored = {
+            roomName: dbRoom.roomName,
+            isGroup: !!dbRoom.isGroup,
+            studentId: dbRoom.studentId,
+            studentName: dbRoom.studentName,
+            studentPhone: dbRoom.studentPhone,
+            teacherId: dbRoom.teacherId,
+            teacherName: dbRoom.teacherName,
+            status: dbRoom.status,
+            joinUrl: dbRoom.joinUrl,
+            // Rooms saved before rosters existed carry a single top-level invite
+            participants: dbRoom.participants?.length ? dbRoom.participants : [{
+                studentId: dbRoom.studentId,
+                studentName: dbRoom.studentName,
+                studentPhone: dbRoom.studentPhone,
+                identity: dbRoom.studentName,
+                inviteId: dbRoom.inviteId,
+                joinUrl: dbRoom.joinUrl,
+                joinedAt: dbRoom.studentJoinedAt
+            }],
+            waitingRoom: dbRoom.waitingRoom,
+            roomSid: dbRoom.roomSid,
+            recording: !!dbRoom.recording,
+            recordingStatus: dbRoom.recordingStatus,
+            chat: dbRoom.chat || [],
+            startedAt: dbRoom.startedAt,
+            studentJoinedAt: dbRoom.studentJoinedAt,
+            teacherJoined: true,
+            studentJoined: false
+        };
+        activeVideoRooms.set(roomName, restored);
+        console.log('✅ Room restored from database:', roomName);
+        return { room: restored };
+    } catch (dbErr) {
+        console.error('❌ Database query error:', dbErr.message);
+        return { status: 500, error: 'Database error. Please try again.' };
+    }
+}
+
+// Waiting-room gate. Returns null when the student may have a token now,
+// otherwise { status, body } to send back. The student page re-polls the
+// join endpoint while it gets { waiting: true }.
+const ADMISSION_STALE_MS = 15000; // Stopped polling this long ago = left the waiting room
+
+function checkAdmission(roomInfo, studentId, name) {
+    if (!roomInfo.waitingRoom) return null;
+    
+    roomInfo.admissions = roomInfo.admissions || {};
+    let admission = roomInfo.admissions[studentId];
+    if (admission?.status === 'admitted') return null;
+    if (admission?.status === 'denied') {
+        return { status: 403, body: { success: false, error: 'Your teacher did not admit you to this class', code: 'ADMISSION_DENIED' } };
+    }
+    
+    if (!admission || Date.now() - admission.lastSeen > ADMISSION_STALE_MS) {
+        admission = roomInfo.admissions[studentId] = { status: 'waiting', name, requestedAt: new Date() };
+        console.log('🚪 Waiting for admission:', name, '→', roomInfo.roomName);
+        broadcastVideoEvent(roomInfo.roomName, 'ADMISSION_REQUESTED', { studentId, name });
+    }
+    admission.lastSeen = Date.now();
+    activeVideoRooms.save(roomInfo.roomName);
+    return { status: 202, body: { success: true, waiting: true } };
+}
+
+function pendingAdmissions(roomInfo) {
+    return Object.entries(roomInfo.admissions || {})
+        .filter(([, a]) => a.status === 'waiting' && Date.now() - a.lastSeen <= ADMISSION_STALE_MS)
+        .map(([studentId, a]) => ({ studentId, name: a.name, requestedAt: a.requestedAt }));
+}
+
+// Only the teacher running a room (or staff who can see every class) may manage it
+function canManageRoom(user, roomInfo) {
+    return roomInfo.teacherId === user.id || roleCan(user.type, 'classes:readAll');
+}
+
+// Persist one roster entry's fields (background) and share the room's new state
+function saveParticipant(roomName, participant, fields, roomFields = {}) {
+    activeVideoRooms.save(roomName);
+    const $set = { ...roomFields };
+    Object.keys(fields).forEach(key => { $set[`participants.$.${key}`] = fields[key]; });
+    durableWrite(`video participant ${roomName}/${participant.studentId}`, [{
+        entity: 'videoRooms',
+        op: 'updateOne',
+        filter: { roomName, 'participants.studentId': participant.studentId },
+        update: { $set }
+    }]).catch(err => console.error('Background DB update error:', err.message));
+}
+
+// Mint a student's token and record the join (attendance, dashboards, DB).
+// rejoin: the student's page is reconnecting after losing the room.
+function admitStudentToRoom(roomInfo, participant, { rejoin = false } = {}) {
+    const { roomName } = roomInfo;
+    const token = generateVideoToken(participant.identity, roomName, { ttl: STUDENT_VIDEO_TOKEN_TTL_SECONDS });
+    
+    if (rejoin && participant.joinCount > 0) {
+        participant.reconnectCount = (participant.reconnectCount || 0) + 1;
+        participant.interrupted = false;
+        broadcastVideoEvent(roomName, 'PARTICIPANT_CONNECTION', connectionEventData(participant, 'reconnected'));
+        saveParticipant(roomName, participant, { reconnectCount: participant.reconnectCount });
+        console.log(`🔄 ${participant.identity} rejoining ${roomName} (reconnect #${participant.reconnectCount})`);
+    }
+    
+    // Update roster and room status
+    participant.joinedAt = participant.joinedAt || new Date();
+    participant.connectedAt = new Date();
+    participant.leftAt = null;
+    participant.joinCount = (participant.joinCount || 0) + 1;
+    roomInfo.studentJoined = true;
+    roomInfo.studentJoinedAt = roomInfo.studentJoinedAt || participant.joinedAt;
+    if (roomInfo.teacherJoined) {
+        roomInfo.status = 'active';
+    }
+    
+    recordAttendanceEvent({
+        studentId: participant.studentId,
+        studentPhone: participant.studentPhone,
+        joinedAt: participant.connectedAt,
+        source: 'video',
+        roomName
+    }).catch(err => console.error('⚠️ Attendance update failed:', err.message));
+    
+    // Broadcast student joined
+    broadcastVideoEvent(roomName, 'STUDENT_JOINED', { name: participant.identity, studentId: participant.studentId });
+    
+    console.log(`✅ Student token generated for room: ${roomName} (${participant.identity})`);
+    
+    // Update database in background (non-blocking)
+    saveParticipant(roomName, participant,
+        { joinedAt: participant.joinedAt, leftAt: null, joinCount: participant.joinCount },
+        { status: roomInfo.status, studentJoinedAt: roomInfo.studentJoinedAt });
+    
+    return token;
+}
+
+// A student left (reported by the teacher's browser, a kick, or the room ending)
+function recordParticipantLeft(roomInfo, participant, leftAt = new Date()) {
+    if (!participant.connectedAt) return;
+    
+    const joinedAt = participant.connectedAt;
+    participant.connectedAt = null;
+    participant.leftAt = leftAt;
+    roomInfo.studentJoined = roomInfo.participants.some(p => p.connectedAt);
+    
+    recordAttendanceEvent({
+        studentId: participant.studentId,
+        studentPhone: participant.studentPhone,
+        joinedAt,
+        leftAt,
+        source: 'video',
+        roomName: roomInfo.roomName
+    }).catch(err => console.error('⚠️ Attendance update failed:', err.message));
+    
+    broadcastVideoEvent(roomInfo.roomName, 'STUDENT_LEFT', { name: participant.identity, studentId: participant.studentId });
+    saveParticipant(roomInfo.roomName, participant, { leftAt });
+}
+
+// Get token for joining a video room (for students, with the invite from their join link)
 app.get('/api/video/join/:roomName', async (req, res) => {
     const { roomName } = req.params;
-    const { name } = req.query;
+    const { invite } = req.query;
     
     console.log('\n' + '='.repeat(50));
     console.log('🎥 STUDENT JOINING VIDEO ROOM');
     console.log('   Room:', roomName);
-    console.log('   Student Name:', name);
     console.log('   Active rooms in memory:', activeVideoRooms.size);
     console.log('   Room exists in memory:', activeVideoRooms.has(roomName));
     console.log('='.repeat(50));
@@ -2199,100 +5306,42 @@ app.get('/api/video/join/:roomName', async (req, res) => {
         });
     }
     
-    if (!roomName || !name) {
-        return res.status(400).json({ success: false, error: 'Room name and participant name required' });
+    if (!roomName || !invite) {
+        return res.status(400).json({ success: false, error: 'Room name and invite required' });
     }
     
     try {
-        // Check if room exists in memory
-        let roomInfo = activeVideoRooms.get(roomName);
-        
-        // If not in memory, try to find in database
+        const { room: roomInfo, status, error } = await loadVideoRoom(roomName);
         if (!roomInfo) {
-            console.log('   Room NOT in memory, checking database...');
-            console.log('   Mongoose state:', mongoose.connection.readyState);
-            // 0=disconnected, 1=connected, 2=connecting, 3=disconnecting
-            
-            // Wait for database connection if it's still connecting
-            if (mongoose.connection.readyState === 2) {
-                console.log('   Database is connecting, waiting...');
-                await waitForDbConnection(5000);
-            }
-            
-            const canUseDb = isDbConnected();
-            console.log('   Can use database:', canUseDb);
-            
-            if (canUseDb) {
-                try {
-                    const dbRoom = await VideoRoom.findOne({ roomName });
-                    console.log('   Database lookup result:', dbRoom ? 'FOUND' : 'NOT FOUND');
-                    
-                    if (!dbRoom) {
-                        console.log('❌ Room not found in database:', roomName);
-                        return res.status(404).json({ success: false, error: 'Video room not found or has expired' });
-                    }
-                    if (dbRoom.status === 'completed') {
-                        return res.status(400).json({ success: false, error: 'This video call has already ended' });
-                    }
-                    
-                    // Restore room info from database to memory
-                    roomInfo = {
-                        roomName: dbRoom.roomName,
-                        studentId: dbRoom.studentId,
-                        studentName: dbRoom.studentName,
-                        studentPhone: dbRoom.studentPhone,
-                        teacherId: dbRoom.teacherId,
-                        teacherName: dbRoom.teacherName,
-                        status: dbRoom.status,
-                        joinUrl: dbRoom.joinUrl,
-                        teacherJoined: true,
-                        studentJoined: false
-                    };
-                    activeVideoRooms.set(roomName, roomInfo);
-                    console.log('✅ Room restored from database:', roomName);
-                } catch (dbErr) {
-                    console.error('❌ Database query error:', dbErr.message);
-                    return res.status(500).json({ success: false, error: 'Database error. Please try again.' });
-                }
-            } else {
-                console.log('❌ Room not found (database not connected):', roomName);
-                console.log('   Tip: Database may still be connecting. Try again in a few seconds.');
-                return res.status(404).json({ success: false, error: 'Video room not found. Please try again in a few seconds.' });
-            }
-        } else {
-            console.log('   ✅ Room found in memory!');
+            return res.status(status).json({ success: false, error });
         }
         
-        // Generate token for student
-        const token = generateVideoToken(name, roomName);
-        
-        // Update room status
-        roomInfo.studentJoined = true;
-        if (roomInfo.teacherJoined) {
-            roomInfo.status = 'active';
+        const { participant, error: inviteError } = checkVideoInvite(invite, roomInfo);
+        if (inviteError) {
+            console.warn('🚫 Video join refused:', roomName, '-', inviteError);
+            return res.status(403).json({ success: false, error: inviteError });
         }
         
-        // Broadcast student joined
-        broadcastVideoEvent(roomName, 'STUDENT_JOINED', { name });
+        const gate = checkRecordingConsent(roomInfo, participant, req.query.consent)
+            || checkAdmission(roomInfo, participant.studentId, participant.identity);
+        if (gate) {
+            return res.status(gate.status).json(gate.body);
+        }
         
-        console.log('✅ Student token generated for room:', roomName);
+        // Identity always comes from the roster entry the invite was issued for
+        const token = admitStudentToRoom(roomInfo, participant, { rejoin: req.query.rejoin === '1' });
         
-        // SEND RESPONSE IMMEDIATELY
         res.json({
             success: true,
             token,
             roomName,
-            identity: name
+            identity: participant.identity,
+            isGroup: !!roomInfo.isGroup,
+            quranView: roomInfo.quranView || null,
+            whiteboard: roomInfo.whiteboard || null,
+            chat: roomInfo.chat || []
         });
         
-        // Update database in background (non-blocking)
-        if (isDbConnected()) {
-            VideoRoom.findOneAndUpdate(
-                { roomName },
-                { status: roomInfo?.teacherJoined ? 'active' : 'waiting' }
-            ).catch(err => console.error('Background DB update error:', err.message));
-        }
-        
     } catch (err) {
         console.error('❌ Join video room error:', err);
         if (!res.headersSent) {
@@ -2303,14 +5352,14 @@ app.get('/api/video/join/:roomName', async (req, res) => {
 
 // Teacher refreshes their token
 app.post('/api/video/refresh-token', (req, res) => {
-    const { roomName, identity } = req.body;
+    const { roomName } = req.body;
     
-    if (!roomName || !identity) {
-        return res.status(400).json({ success: false, error: 'Room name and identity required' });
+    if (!roomName) {
+        return res.status(400).json({ success: false, error: 'Room name required' });
     }
     
     try {
-        const token = generateVideoToken(identity, roomName);
+        const token = generateVideoToken(req.user.name, roomName);
         res.json({ success: true, token });
     } catch (err) {
         console.error('Token refresh error:', err);
@@ -2318,6 +5367,465 @@ app.post('/api/video/refresh-token', (req, res) => {
     }
 });
 
+// The roster entry behind a student's room token, while their invite still stands
+// and the token wasn't issued before a revocation
+function findAdmittedParticipant(roomInfo, { identity, issuedAt }) {
+    if (roomInfo.status === 'completed') return null;
+    const participant = roomInfo.participants.find(p => p.identity === identity);
+    if (!participant?.inviteId) return null;
+    return participant.tokensRevokedAt && !(issuedAt > participant.tokensRevokedAt) ? null : participant;
+}
+
+// Student swaps a still-valid room token for a fresh one (tokens outlive long classes only this way).
+// Refused once the room has ended or the student's invite was revoked.
+app.post('/api/video/student-token', (req, res) => {
+    const claims = req.body?.token && verifyVideoToken(req.body.token);
+    if (!claims) {
+        return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+    
+    const roomInfo = activeVideoRooms.get(claims.room);
+    if (!roomInfo || roomInfo.status === 'completed') {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    const participant = findAdmittedParticipant(roomInfo, claims);
+    if (!participant) {
+        return res.status(403).json({ success: false, error: 'This invite link has been revoked' });
+    }
+    
+    try {
+        const token = generateVideoToken(participant.identity, roomInfo.roomName, { ttl: STUDENT_VIDEO_TOKEN_TTL_SECONDS });
+        res.json({ success: true, token });
+    } catch (err) {
+        console.error('Student token refresh error:', err);
+        res.status(500).json({ success: false, error: 'Failed to refresh token' });
+    }
+});
+
+// Revoke the student's invite: disconnect whoever joined with it, optionally send a fresh link
+app.post('/api/video/revoke-invite', async (req, res) => {
+    const { roomName, studentId, reissue } = req.body;
+    
+    try {
+        const roomInfo = activeVideoRooms.get(roomName);
+        if (!roomInfo || roomInfo.status === 'completed') {
+            return res.status(404).json({ success: false, error: 'Room not found' });
+        }
+        if (!canManageRoom(req.user, roomInfo)) {
+            return res.status(403).json({ success: false, error: 'Only the teacher running this class can revoke its invite' });
+        }
+        
+        // Group rooms need to say whose invite; a 1:1 room has only one
+        const participant = studentId ? findParticipant(roomInfo, studentId) : (!roomInfo.isGroup && roomInfo.participants[0]);
+        if (!participant) {
+            return res.status(studentId ? 404 : 400).json({ success: false, error: studentId ? 'Student is not on this class roster' : 'studentId required for group classes' });
+        }
+        
+        participant.inviteId = null;
+        participant.joinUrl = null;
+        participant.tokensRevokedAt = Math.floor(Date.now() / 1000); // Room tokens issued before now stop working
+        delete roomInfo.admissions?.[participant.studentId];
+        if (reissue) {
+            issueVideoInvite(roomInfo, participant);
+        }
+        if (!roomInfo.isGroup) roomInfo.joinUrl = participant.joinUrl;
+        
+        // Kick whoever holds the student's identity (Twilio addresses participants by identity too)
+        let disconnected = false;
+        if (participant.connectedAt && twilioClient) {
+            try {
+                await twilioClient.video.v1.rooms(roomName).participants(participant.identity).update({ status: 'disconnected' });
+                disconnected = true;
+            } catch (kickErr) {
+                console.warn('⚠️ Could not disconnect participant:', kickErr.message);
+            }
+        }
+        recordParticipantLeft(roomInfo, participant);
+        closeStudentRoomSockets(roomName, participant.identity);
+        
+        saveParticipant(roomName, participant,
+            { inviteId: participant.inviteId, joinUrl: participant.joinUrl },
+            roomInfo.isGroup ? {} : { joinUrl: roomInfo.joinUrl });
+        
+        broadcastVideoEvent(roomName, 'INVITE_REVOKED', { studentId: participant.studentId, disconnected, reissued: !!reissue });
+        console.log(`🚫 Video invite revoked: ${roomName} / ${participant.identity} by ${req.user.name}${disconnected ? ' (participant removed)' : ''}`);
+        
+        if (reissue && twilioClient) {
+            sendVideoInviteSms(participant);
+        }
+        
+        res.json({ success: true, disconnected, joinUrl: participant.joinUrl });
+    } catch (err) {
+        console.error('Revoke invite error:', err);
+        res.status(500).json({ success: false, error: 'Failed to revoke invite' });
+    }
+});
+
+// Teacher admits or turns away a student in the waiting room
+app.post('/api/video/admission', (req, res) => {
+    const { roomName, studentId, admit } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo || roomInfo.status === 'completed') {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can admit students' });
+    }
+    
+    const admission = roomInfo.admissions?.[studentId];
+    if (!admission) {
+        return res.status(404).json({ success: false, error: 'That student is not waiting' });
+    }
+    
+    admission.status = admit ? 'admitted' : 'denied';
+    admission.resolvedAt = new Date();
+    activeVideoRooms.save(roomName);
+    broadcastVideoEvent(roomName, 'ADMISSION_RESOLVED', { studentId, name: admission.name, admitted: !!admit });
+    console.log(`🚪 ${admission.name} ${admit ? 'admitted to' : 'turned away from'} ${roomName} by ${req.user.name}`);
+    
+    res.json({ success: true });
+});
+
+// Teacher's browser reports a student dropping out of the Twilio room
+app.post('/api/video/participant-left', (req, res) => {
+    const { roomName, identity } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can report participants' });
+    }
+    
+    const participant = roomInfo.participants.find(p => p.identity === identity);
+    if (participant) {
+        // A drop the student didn't ask for (an SDK interruption that failed was already counted)
+        if (participant.connectedAt && !participant.leftIntentionally && !participant.interrupted) {
+            participant.disconnectCount = (participant.disconnectCount || 0) + 1;
+            saveParticipant(roomName, participant, { disconnectCount: participant.disconnectCount });
+        }
+        participant.leftIntentionally = false;
+        participant.interrupted = false;
+        activeVideoRooms.save(roomName);
+        recordParticipantLeft(roomInfo, participant);
+        console.log(`👋 ${identity} left ${roomName}`);
+    }
+    res.json({ success: true });
+});
+
+// Connection health reported by the student's page over its room socket
+function findSocketParticipant(clientData) {
+    const roomInfo = activeVideoRooms.get(clientData.videoRoom);
+    const participant = roomInfo?.participants.find(p => p.identity === clientData.userName);
+    return participant ? { roomInfo, participant } : {};
+}
+
+// event: 'reconnecting' | 'reconnected' (Twilio SDK recovering by itself) | 'left' (student pressed leave)
+function recordConnectionEvent(clientData, event) {
+    const { roomInfo, participant } = findSocketParticipant(clientData);
+    if (!participant || !['reconnecting', 'reconnected', 'left'].includes(event)) return;
+    
+    if (event === 'reconnecting' && participant.connectedAt && !participant.interrupted) {
+        participant.interrupted = true;
+        participant.disconnectCount = (participant.disconnectCount || 0) + 1;
+        saveParticipant(roomInfo.roomName, participant, { disconnectCount: participant.disconnectCount });
+    } else if (event === 'reconnected' && participant.interrupted) {
+        participant.interrupted = false;
+        participant.reconnectCount = (participant.reconnectCount || 0) + 1;
+        saveParticipant(roomInfo.roomName, participant, { reconnectCount: participant.reconnectCount });
+    } else if (event === 'left') {
+        participant.leftIntentionally = true;
+        activeVideoRooms.save(roomInfo.roomName);
+    } else {
+        return;
+    }
+    broadcastVideoEvent(roomInfo.roomName, 'PARTICIPANT_CONNECTION', connectionEventData(participant, event));
+}
+
+function connectionEventData(participant, event) {
+    return {
+        studentId: participant.studentId,
+        name: participant.identity,
+        event,
+        disconnectCount: participant.disconnectCount || 0,
+        reconnectCount: participant.reconnectCount || 0
+    };
+}
+
+function recordNetworkQuality(clientData, level) {
+    const { roomInfo, participant } = findSocketParticipant(clientData);
+    level = Number(level);
+    if (!participant || !Number.isInteger(level) || level < 0 || level > 5) return;
+    
+    participant.networkQuality = level;
+    participant.lowestNetworkQuality = Math.min(participant.lowestNetworkQuality ?? level, level);
+    saveParticipant(roomInfo.roomName, participant, {
+        networkQuality: level,
+        lowestNetworkQuality: participant.lowestNetworkQuality
+    });
+}
+
+// Shared Quran viewer - the teacher moves through the mushaf, students follow.
+// view: { surah, ayah, highlights: [{ ayah, word }] }, or null to close the viewer.
+const MAX_QURAN_HIGHLIGHTS = 50;
+
+app.post('/api/video/quran', (req, res) => {
+    const { roomName, view } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can control the Quran viewer' });
+    }
+    
+    let quranView = null;
+    if (view) {
+        const surah = parseInt(view.surah, 10);
+        const ayah = parseInt(view.ayah, 10);
+        if (!isValidAyah(surah, ayah)) {
+            return res.status(400).json({ success: false, error: 'Invalid surah/ayah' });
+        }
+        const highlights = (Array.isArray(view.highlights) ? view.highlights : [])
+            .map(h => ({ ayah: parseInt(h.ayah, 10), word: parseInt(h.word, 10) }))
+            .filter(h => isValidAyah(surah, h.ayah) && Number.isInteger(h.word) && h.word >= 0)
+            .slice(0, MAX_QURAN_HIGHLIGHTS);
+        quranView = { surah, ayah, highlights };
+    }
+    
+    roomInfo.quranView = quranView;
+    activeVideoRooms.save(roomName);
+    broadcastVideoEvent(roomName, 'QURAN_VIEW', { view: quranView });
+    res.json({ success: true, view: quranView });
+});
+
+// Shared whiteboard - teacher and students draw on one board.
+// Coordinates are 0-1 fractions of a 16:9 board so every screen size lines up.
+// op: { id, tool: 'pen'|'highlighter'|'eraser', color, size, points: [[x, y], ...] }
+//     { id, tool: 'text', color, size, x, y, text }
+//     { tool: 'clear' } (teacher only)
+const WHITEBOARD_TOOLS = ['pen', 'highlighter', 'eraser', 'text'];
+const MAX_WHITEBOARD_OPS = 2000;
+const MAX_WHITEBOARD_POINTS = 1000;
+const MAX_WHITEBOARD_TEXT = 200;
+const MAX_WHITEBOARD_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Validate a drawing op from a client; returns the cleaned op or null
+function sanitizeWhiteboardOp(op) {
+    if (!op || !WHITEBOARD_TOOLS.includes(op.tool)) return null;
+    const inBoard = (n) => typeof n === 'number' && n >= 0 && n <= 1;
+    const clean = {
+        id: String(op.id || crypto.randomUUID()).slice(0, 64),
+        tool: op.tool,
+        color: /^#[0-9a-f]{6}$/i.test(op.color) ? op.color : '#111827',
+        size: Math.min(Math.max(Number(op.size) || 4, 1), 80)
+    };
+    
+    if (op.tool === 'text') {
+        const text = String(op.text || '').trim().slice(0, MAX_WHITEBOARD_TEXT);
+        if (!text || !inBoard(op.x) || !inBoard(op.y)) return null;
+        return { ...clean, x: op.x, y: op.y, text };
+    }
+    
+    if (!Array.isArray(op.points)) return null;
+    const points = op.points
+        .filter(p => Array.isArray(p) && inBoard(p[0]) && inBoard(p[1]))
+        .slice(0, MAX_WHITEBOARD_POINTS)
+        .map(([x, y]) => [Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000]);
+    return points.length ? { ...clean, points } : null;
+}
+
+// Keep the op in the room's board (so late joiners catch up) and fan it out
+function addWhiteboardOp(roomInfo, op, by) {
+    if (!roomInfo.whiteboard) roomInfo.whiteboard = { open: false, ops: [] };
+    if (op.tool === 'clear') {
+        roomInfo.whiteboard.ops = [];
+    } else {
+        if (roomInfo.whiteboard.ops.length >= MAX_WHITEBOARD_OPS) return false;
+        roomInfo.whiteboard.ops.push(op);
+    }
+    activeVideoRooms.save(roomInfo.roomName);
+    broadcastVideoEvent(roomInfo.roomName, 'WHITEBOARD_OP', { op, by });
+    return true;
+}
+
+// Op from a student's room socket (identity comes from their verified video token)
+function applyStudentWhiteboardOp(clientData, op) {
+    const roomInfo = activeVideoRooms.get(clientData.videoRoom);
+    if (!roomInfo?.whiteboard?.open) return;
+    const clean = sanitizeWhiteboardOp(op);
+    if (clean) addWhiteboardOp(roomInfo, clean, clientData.userName);
+}
+
+// Open or close the board for everyone in the room
+app.post('/api/video/whiteboard', (req, res) => {
+    const { roomName, open } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can open the whiteboard' });
+    }
+    
+    roomInfo.whiteboard = { open: !!open, ops: roomInfo.whiteboard?.ops || [] };
+    activeVideoRooms.save(roomName);
+    broadcastVideoEvent(roomName, 'WHITEBOARD_STATE', roomInfo.whiteboard);
+    res.json({ success: true, whiteboard: roomInfo.whiteboard });
+});
+
+app.post('/api/video/whiteboard/op', (req, res) => {
+    const { roomName, op } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can draw here' });
+    }
+    
+    const clean = op?.tool === 'clear' ? { tool: 'clear' } : sanitizeWhiteboardOp(op);
+    if (!clean) {
+        return res.status(400).json({ success: false, error: 'Invalid whiteboard drawing' });
+    }
+    if (!addWhiteboardOp(roomInfo, clean, req.user.name)) {
+        return res.status(409).json({ success: false, error: 'The whiteboard is full - clear it to keep drawing' });
+    }
+    res.json({ success: true, op: clean });
+});
+
+// Save the final board (PNG data URL rendered by the teacher's browser) for the lesson record
+app.post('/api/video/whiteboard/snapshot', async (req, res) => {
+    const { roomName, image } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can save the whiteboard' });
+    }
+    
+    const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(image || '');
+    if (!match) {
+        return res.status(400).json({ success: false, error: 'Whiteboard image must be a PNG data URL' });
+    }
+    const buffer = Buffer.from(match[1], 'base64');
+    if (buffer.length > MAX_WHITEBOARD_IMAGE_BYTES) {
+        return res.status(413).json({ success: false, error: 'Whiteboard image is too large' });
+    }
+    
+    const snapshot = {
+        roomName,
+        teacherId: roomInfo.teacherId,
+        studentIds: roomInfo.participants.map(p => p.studentId),
+        image: buffer,
+        contentType: 'image/png',
+        savedAt: new Date()
+    };
+    
+    try {
+        await db.whiteboards.findOneAndUpdate({ roomName }, snapshot, { upsert: true, select: 'roomName' });
+        console.log(`🖍️ Whiteboard saved for ${roomName} (${Math.round(buffer.length / 1024)} KB)`);
+        res.json({ success: true, savedAt: snapshot.savedAt });
+    } catch (err) {
+        console.error('Save whiteboard error:', err);
+        res.status(500).json({ success: false, error: 'Failed to save whiteboard' });
+    }
+});
+
+// Saved board image for a lesson (?token= so it can be an <img> src)
+app.get('/whiteboard-image/:roomName', async (req, res) => {
+    try {
+        const board = await db.whiteboards.findOne({ roomName: req.params.roomName });
+        // Someone else's board is reported as missing, so room names can't be probed
+        if (!board || !(await viewableWhiteboards(req.user, [board])).length) {
+            return res.status(404).json({ success: false, error: 'No whiteboard saved for this class' });
+        }
+        res.set('Content-Type', board.contentType);
+        res.set('Cache-Control', 'private, max-age=3600');
+        // lean() hands back a BSON Binary rather than a Buffer
+        res.send(Buffer.isBuffer(board.image) ? board.image : Buffer.from(board.image.buffer));
+    } catch (err) {
+        console.error('Get whiteboard error:', err);
+        res.status(500).json({ success: false, error: 'Failed to load whiteboard' });
+    }
+});
+
+// In-class text chat - a fallback when a student's mic fails, kept as a transcript on the room
+const MAX_VIDEO_CHAT_LENGTH = 1000;
+const MAX_VIDEO_CHAT_MESSAGES = 1000;
+
+function addVideoChatMessage(roomInfo, from, fromType, text) {
+    text = String(text || '').trim().slice(0, MAX_VIDEO_CHAT_LENGTH);
+    if (!text) return null;
+    if (!roomInfo.chat) roomInfo.chat = [];
+    if (roomInfo.chat.length >= MAX_VIDEO_CHAT_MESSAGES) return null;
+    
+    const message = { id: crypto.randomUUID(), from, fromType, text, sentAt: new Date() };
+    roomInfo.chat.push(message);
+    activeVideoRooms.save(roomInfo.roomName);
+    
+    // Filtered on the message id so a replayed push can't add it twice
+    durableWrite(`video chat ${roomInfo.roomName}`, [{
+        entity: 'videoRooms',
+        op: 'updateOne',
+        filter: { roomName: roomInfo.roomName, 'chat.id': { $ne: message.id } },
+        update: { $push: { chat: message } }
+    }]).catch(err => console.error('Background DB update error:', err.message));
+    broadcastVideoEvent(roomInfo.roomName, 'CHAT_MESSAGE', { message });
+    return message;
+}
+
+// Transcript for a live or finished room: { teacherId, messages }
+async function findVideoChat(roomName) {
+    const live = activeVideoRooms.get(roomName);
+    if (live) return { teacherId: live.teacherId, messages: live.chat || [] };
+    const room = await db.videoRooms.findOne({ roomName }, { select: 'teacherId chat' });
+    return room ? { teacherId: room.teacherId, messages: room.chat || [] } : null;
+}
+
+app.post('/api/video/chat', (req, res) => {
+    const { roomName, text } = req.body;
+    
+    const roomInfo = activeVideoRooms.get(roomName);
+    if (!roomInfo) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+    if (!canManageRoom(req.user, roomInfo)) {
+        return res.status(403).json({ success: false, error: 'Only the teacher running this class can chat here' });
+    }
+    
+    const message = addVideoChatMessage(roomInfo, req.user.name, 'teacher', text);
+    if (!message) {
+        return res.status(400).json({ success: false, error: 'Message is empty or the chat is full' });
+    }
+    res.json({ success: true, message });
+});
+
+// Chat transcript shown from the call history row
+app.get('/api/video-chat/:roomName', async (req, res) => {
+    try {
+        const transcript = await findVideoChat(req.params.roomName);
+        if (!transcript) {
+            return res.status(404).json({ success: false, error: 'No chat found for this class' });
+        }
+        // Teachers only ever see their own classes
+        if (!roleCan(req.user.type, 'history:readAll') && transcript.teacherId !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'You can only view chats from your own classes' });
+        }
+        res.json({ success: true, messages: transcript.messages });
+    } catch (err) {
+        console.error('Get video chat error:', err);
+        res.status(500).json({ success: false, error: 'Failed to fetch chat transcript' });
+    }
+});
+
 // End a video room
 app.post('/api/video/end-room', async (req, res) => {
     const { roomName } = req.body;
@@ -2328,17 +5836,26 @@ app.post('/api/video/end-room', async (req, res) => {
         // Remove from active rooms
         const roomInfo = activeVideoRooms.get(roomName);
         activeVideoRooms.delete(roomName);
+        const endedAt = new Date();
         
         // Update database
-        if (dbConnected) {
-            await VideoRoom.findOneAndUpdate(
-                { roomName },
-                { 
-                    status: 'completed',
-                    endedAt: new Date(),
-                    duration: roomInfo ? Math.floor((Date.now() - new Date(roomInfo.startedAt).getTime()) / 1000) : 0
-                }
-            );
+        await durableWrite(`end video room ${roomName}`, [{
+            entity: 'videoRooms',
+            op: 'updateOne',
+            filter: { roomName },
+            update: { 
+                status: 'completed',
+                endedAt,
+                duration: roomInfo ? Math.floor((Date.now() - new Date(roomInfo.startedAt).getTime()) / 1000) : 0,
+                ...(roomInfo?.studentJoinedAt && { studentLeftAt: endedAt })
+            }
+        }]);
+        
+        // Everyone still connected leaves with the room
+        roomInfo?.participants.forEach(participant => recordParticipantLeft(roomInfo, participant, endedAt));
+        
+        if (roomInfo?.recording) {
+            finishRoomRecording(roomInfo).catch(err => console.error('⚠️ Video recording finish failed:', err.message));
         }
         
         // Broadcast room ended
@@ -2369,26 +5886,29 @@ app.get('/api/video/room-status/:roomName', async (req, res) => {
                     status: roomInfo.status,
                     teacherJoined: roomInfo.teacherJoined,
                     studentJoined: roomInfo.studentJoined,
-                    studentName: roomInfo.studentName
+                    studentName: roomInfo.studentName,
+                    isGroup: !!roomInfo.isGroup,
+                    recording: !!roomInfo.recording,
+                    participants: rosterSummary(roomInfo),
+                    waitingRoom: !!roomInfo.waitingRoom,
+                    waiting: pendingAdmissions(roomInfo)
+                }
+            });
+        }
+        
+        // Check database
+        const dbRoom = await db.videoRooms.findOne({ roomName }, { select: 'roomName status studentName' });
+        if (dbRoom) {
+            return res.json({
+                success: true,
+                room: {
+                    roomName: dbRoom.roomName,
+                    status: dbRoom.status,
+                    studentName: dbRoom.studentName
                 }
             });
         }
         
-        // Check database
-        if (dbConnected) {
-            const dbRoom = await VideoRoom.findOne({ roomName });
-            if (dbRoom) {
-                return res.json({
-                    success: true,
-                    room: {
-                        roomName: dbRoom.roomName,
-                        status: dbRoom.status,
-                        studentName: dbRoom.studentName
-                    }
-                });
-            }
-        }
-        
         res.status(404).json({ success: false, error: 'Room not found' });
         
     } catch (err) {
@@ -2406,6 +5926,9 @@ app.get('/api/video/active-rooms', async (req, res) => {
                 rooms.push({
                     roomName,
                     studentName: room.studentName,
+                    isGroup: !!room.isGroup,
+                    participantCount: room.participants.length,
+                    connectedCount: room.participants.filter(p => p.connectedAt).length,
                     status: room.status,
                     startedAt: room.startedAt,
                     teacherJoined: room.teacherJoined,
@@ -2421,27 +5944,192 @@ app.get('/api/video/active-rooms', async (req, res) => {
     }
 });
 
-// OPTIMIZED broadcast video events via WebSocket
+// Video events go to the room's subscribers - its teacher/managers and admitted students
 function broadcastVideoEvent(roomName, eventType, data) {
-    const message = JSON.stringify({
+    publishToTopics([`video:${roomName}`], {
         type: 'VIDEO_EVENT',
         roomName,
         eventType,
-        data,
-        timestamp: Date.now()
+        data
     });
-    
+}
+
+// A student lost their place in the room (invite revoked) - drop their room socket too,
+// on whichever instance holds it
+function closeStudentRoomSockets(roomName, identity) {
+    sharedState.publish('room-socket-close', JSON.stringify({ roomName, identity }))
+        .catch(err => console.error('❌ Room socket close broadcast failed:', err.message));
+}
+
+function closeLocalStudentRoomSockets(roomName, identity) {
     wsClients.forEach((clientData, ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-            try {
-                ws.send(message);
-            } catch (e) {
-                wsClients.delete(ws);
-            }
+        if (clientData.videoRoom === roomName && clientData.userName === identity) {
+            ws.close(4403, 'Removed from room');
+            wsClients.delete(ws);
         }
     });
 }
 
+// ==========================================================
+// STUDENT CLASS LINK
+// One stable, signed link per student. It opens a lobby in
+// video-room.html showing the next class, and drops the
+// student into the teacher's room as soon as one is created
+// for them. Revoking bumps classLinkVersion so old links die.
+// ==========================================================
+
+const LOBBY_PRESENCE_MS = 20000; // Lobby polls every 5s - seen within this window = waiting
+const classLinkLobby = new SharedMap(sharedState, 'class-link-lobby'); // studentId -> last lobby poll (ms), seen by every instance
+
+function signClassLink(student) {
+    return jwt.sign(
+        { tokenType: 'classLink', v: student.classLinkVersion || 1 },
+        config.auth.jwtSecret,
+        { subject: String(student._id || student.id) }
+    );
+}
+
+function classLinkUrl(student) {
+    return `${config.publicUrl}/video-room.html?link=${signClassLink(student)}`;
+}
+
+// Student for a class link token, or null if it's invalid or was revoked
+async function resolveClassLink(token) {
+    let payload;
+    try {
+        payload = verifySessionToken(token, 'classLink');
+    } catch (err) {
+        return null;
+    }
+    const student = await findStudentById(payload.sub);
+    if (!student || student.status === 'deleted') return null;
+    return (student.classLinkVersion || 1) === payload.v ? student : null;
+}
+
+function isWaitingInLobby(studentId) {
+    const lastSeen = classLinkLobby.get(String(studentId));
+    return !!lastSeen && Date.now() - lastSeen < LOBBY_PRESENCE_MS;
+}
+
+// The student's open room (1:1 or a group they're on), if a teacher has created one
+async function findStudentActiveRoom(studentId) {
+    for (const room of activeVideoRooms.values()) {
+        if (room.status !== 'completed' && findParticipant(room, studentId)) return room;
+    }
+    const dbRoom = await db.videoRooms.findOne(
+        { 'participants.studentId': studentId, status: { $ne: 'completed' } },
+        { sort: { startedAt: -1 }, select: 'roomName' }
+    );
+    if (!dbRoom) return null;
+    const { room } = await loadVideoRoom(dbRoom.roomName);
+    return room || null;
+}
+
+// Next class that hasn't finished yet (within two weeks)
+async function findUpcomingClass(studentId) {
+    const now = Date.now();
+    const sessions = await loadClassSessions({ studentId, status: 'active' });
+    return sessions
+        .flatMap(session => expandClassSession(session, now - DAY_MS, now + 14 * DAY_MS))
+        .filter(o => Date.parse(o.end) > now)
+        .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))[0] || null;
+}
+
+// Staff: the student's current class link
+app.get('/api/students/:id/class-link', async (req, res) => {
+    try {
+        const student = await findStudentById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
+        }
+        res.json({ success: true, url: classLinkUrl(student) });
+    } catch (err) {
+        console.error('Get class link error:', err);
+        res.status(500).json({ success: false, error: 'Failed to get class link' });
+    }
+});
+
+// Staff: revoke the current link and issue a new one
+app.post('/api/students/:id/class-link/revoke', async (req, res) => {
+    try {
+        const student = await db.students.findByIdAndUpdate(req.params.id, { $inc: { classLinkVersion: 1 } });
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'Student not found' });
+        }
+        
+        classLinkLobby.delete(String(student._id || student.id));
+        console.log('🔗 Class link revoked for', student.name, 'by', req.user.name);
+        res.json({ success: true, url: classLinkUrl(student) });
+    } catch (err) {
+        console.error('Revoke class link error:', err);
+        res.status(500).json({ success: false, error: 'Failed to revoke class link' });
+    }
+});
+
+// Public (lobby poll): who the link is for, their next class, and an open room if any
+app.get('/api/class-link/:token', async (req, res) => {
+    try {
+        const student = await resolveClassLink(req.params.token);
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'This class link is no longer valid. Please ask the academy for a new one.' });
+        }
+        const studentId = String(student._id || student.id);
+        classLinkLobby.set(studentId, Date.now());
+        
+        const [room, nextClass] = await Promise.all([findStudentActiveRoom(studentId), findUpcomingClass(studentId)]);
+        res.json({
+            success: true,
+            student: { name: student.name },
+            nextClass: nextClass && {
+                start: nextClass.start,
+                end: nextClass.end,
+                teacherName: nextClass.teacherName,
+                course: nextClass.course
+            },
+            room: room && { roomName: room.roomName, teacherName: room.teacherName }
+        });
+    } catch (err) {
+        console.error('Class link lookup error:', err);
+        res.status(500).json({ success: false, error: 'Failed to load class' });
+    }
+});
+
+// Public: join the student's open room - identity comes from the student record
+app.post('/api/class-link/:token/join', async (req, res) => {
+    if (!hasVideoApiKeys()) {
+        return res.status(500).json({ success: false, error: 'Video calling is not configured on the server. Please contact your administrator.' });
+    }
+    
+    try {
+        const student = await resolveClassLink(req.params.token);
+        if (!student) {
+            return res.status(404).json({ success: false, error: 'This class link is no longer valid. Please ask the academy for a new one.' });
+        }
+        const studentId = String(student._id || student.id);
+        const room = await findStudentActiveRoom(studentId);
+        if (!room) {
+            return res.status(404).json({ success: false, error: 'Your teacher has not started the class yet' });
+        }
+        const participant = findParticipant(room, studentId);
+        if (!participant.inviteId) {
+            return res.status(403).json({ success: false, error: 'Your teacher has closed this class to new joins' });
+        }
+        
+        const gate = checkRecordingConsent(room, participant, req.body?.consent)
+            || checkAdmission(room, studentId, participant.identity);
+        if (gate) {
+            return res.status(gate.status).json(gate.body);
+        }
+        
+        console.log('🔗 Student joining via class link:', participant.identity, '→', room.roomName);
+        const token = admitStudentToRoom(room, participant, { rejoin: !!req.body?.rejoin });
+        res.json({ success: true, token, roomName: room.roomName, identity: participant.identity, isGroup: !!room.isGroup, quranView: room.quranView || null, whiteboard: room.whiteboard || null, chat: room.chat || [] });
+    } catch (err) {
+        console.error('Class link join error:', err);
+        res.status(500).json({ success: false, error: 'Failed to join video room' });
+    }
+});
+
 // ==========================================================
 // TWILIO CALLING ENDPOINTS
 // ==========================================================
@@ -2487,7 +6175,9 @@ app.post('/make-call', async (req, res) => {
             startTime: Date.now(),
             recordingUrl: null,
             recordingSid: null,
-            conferenceName: confName
+            conferenceName: confName,
+            teacherId: req.user.id,
+            teacherName: req.user.name
         });
         
         console.log('✅ Call created - SID:', call.sid, 'Conference:', confName);
@@ -2523,6 +6213,7 @@ app.get('/call-status/:sid', async (req, res) => {
                 const duration = parseInt(call.duration) || cachedCall.duration || 0;
                 cachedCall.status = twilioStatus;
                 cachedCall.duration = duration;
+                activeCalls.save(sid);
                 
                 broadcastCallStatus(sid, twilioStatus, duration, cachedCall.recordingUrl);
                 
@@ -2538,6 +6229,7 @@ app.get('/call-status/:sid', async (req, res) => {
                 if (twilioStatus === 'in-progress' && !cachedCall.answeredTime) {
                     cachedCall.answeredTime = Date.now();
                 }
+                activeCalls.save(sid);
             }
             
             if (cachedCall.status === 'in-progress' && cachedCall.answeredTime) {
@@ -2613,6 +6305,7 @@ app.post('/hangup-call', async (req, res) => {
         
         if (cachedCall) {
             cachedCall.status = 'completed';
+            activeCalls.save(sid);
         }
         
         broadcastCallStatus(sid, 'completed', duration, cachedCall?.recordingUrl || null);
@@ -2657,7 +6350,7 @@ app.post('/twiml/outbound-conference', (req, res) => {
     <Say voice="alice">You have a call from Quran Academy.</Say>
     <Dial>
         <Conference startConferenceOnEnter="true" endConferenceOnExit="true"
-                    beep="false" maxParticipants="2">
+                    beep="false" maxParticipants="3">
             ${safeConf}
         </Conference>
     </Dial>
@@ -2671,6 +6364,505 @@ app.post('/twiml/outbound-conference', (req, res) => {
 // Legacy endpoints removed - outbound calls now use /twiml/outbound-conference
 // Conference calls now use named conferences via /twiml/client-voice
 
+// ---------------------------------------------------------
+// CALL TRANSFER (WARM & COLD)
+// ---------------------------------------------------------
+// Every live call is a named conference: the student's phone leg plus
+// one staff browser leg. A transfer brings the target's browser into
+// the same conference and then drops the original staff leg.
+//   warm → student on hold while both staff talk, originator clicks Complete
+//   cold → student on hold only until the target's Device connects
+// Each staff member's part of the call is saved as its own CallHistory
+// row, all sharing parentCallSid = the student's CallSid.
+
+const TRANSFER_RING_TIMEOUT_MS = 30000;
+
+// Is this user connected to the dashboard right now?
+function isUserOnline(userId) {
+    return findOnlineStaff().some(user => user.id === userId);
+}
+
+// Send a transfer update to both staff members involved
+function broadcastTransferEvent(transfer, status, additionalData = {}) {
+    publishToTopics([`user:${transfer.fromUserId}`, `user:${transfer.toUserId}`], {
+        type: 'CALL_TRANSFER',
+        status,
+        transfer: serializeTransfer(transfer),
+        ...additionalData
+    });
+}
+
+// Public view of a transfer (drops the timer handle)
+function serializeTransfer(transfer) {
+    const { timer, ...rest } = transfer;
+    return rest;
+}
+
+// Find the student's leg of a live call by its conference name
+function findConferenceCall(conferenceName) {
+    if (conferenceName.startsWith('inbound_')) {
+        const callSid = conferenceCallMap.get(conferenceName) || conferenceName.slice('inbound_'.length);
+        const call = inboundCalls.get(callSid);
+        if (!call) return null;
+        return {
+            direction: 'inbound', callSid, call,
+            studentName: call.callerName, studentPhone: call.from,
+            ownerId: call.answeredById || null
+        };
+    }
+    for (const call of activeCalls.values()) {
+        if (call.conferenceName === conferenceName) {
+            return {
+                direction: 'outbound', callSid: call.sid, call,
+                studentName: call.name, studentPhone: call.to,
+                ownerId: call.teacherId || null
+            };
+        }
+    }
+    return null;
+}
+
+async function findConferenceSid(conferenceName) {
+    const conferences = await twilioClient.conferences.list({ friendlyName: conferenceName, status: 'in-progress', limit: 1 });
+    return conferences.length > 0 ? conferences[0].sid : null;
+}
+
+function conferenceParticipant(transfer, callSid) {
+    return twilioClient.conferences(transfer.conferenceSid).participants(callSid);
+}
+
+// Save one staff leg of a transferred call
+async function saveTransferLeg(entry) {
+    try {
+        const { queued } = await durableWrite(`transfer leg ${entry.parentCallSid} (${entry.transferId})`, [{ entity: 'callHistory', op: 'create', data: entry }]);
+        console.log(queued ? '   📥 Transfer leg queued:' : '   💾 Transfer leg saved:', entry.teacherName, '-', entry.status);
+    } catch (err) {
+        console.error('   ❌ Failed to save transfer leg:', err.message);
+    }
+}
+
+// Transfer failed or was abandoned - take the student off hold and tell both sides
+async function settleTransfer(transfer, status, reason) {
+    if (!callTransfers.has(transfer.id)) return;
+    callTransfers.delete(transfer.id);
+    if (transfer.timer) clearTimeout(transfer.timer);
+    transfer.status = status;
+    
+    if (transfer.toCallSid) {
+        try {
+            await conferenceParticipant(transfer, transfer.toCallSid).remove();
+        } catch (e) {
+            // Target already left the conference
+        }
+    }
+    try {
+        await conferenceParticipant(transfer, transfer.studentCallSid).update({ hold: false });
+    } catch (e) {
+        console.log('   ⚠️ Could not take student off hold:', e.message);
+    }
+    
+    console.log(`🔀 Transfer ${transfer.id} ${status}${reason ? ` (${reason})` : ''}`);
+    broadcastTransferEvent(transfer, status, { reason: reason || null });
+}
+
+// Student's call ended - drop any transfer still waiting on it
+function abandonTransfersForCall(callSid) {
+    callTransfers.forEach(transfer => {
+        if (transfer.studentCallSid !== callSid) return;
+        callTransfers.delete(transfer.id);
+        if (transfer.timer) clearTimeout(transfer.timer);
+        transfer.status = 'canceled';
+        broadcastTransferEvent(transfer, 'canceled', { reason: 'Call ended' });
+    });
+}
+
+// Hand the call to the target: they own the conference, the originator drops out
+async function completeTransfer(transfer) {
+    transfer.status = 'completing';
+    callTransfers.save(transfer.id);
+    await conferenceParticipant(transfer, transfer.toCallSid).update({ endConferenceOnExit: true });
+    await conferenceParticipant(transfer, transfer.studentCallSid).update({ hold: false });
+    callTransfers.delete(transfer.id);
+    if (transfer.timer) clearTimeout(transfer.timer);
+    
+    try {
+        await conferenceParticipant(transfer, transfer.fromCallSid).update({ endConferenceOnExit: false });
+        await conferenceParticipant(transfer, transfer.fromCallSid).remove();
+    } catch (e) {
+        // Originator already hung up their browser
+    }
+    
+    transfer.status = 'completed';
+    transfer.completedAt = Date.now();
+    
+    // Ownership moves to the target so the final history row is theirs
+    const found = findConferenceCall(transfer.conferenceName);
+    const call = found ? found.call : null;
+    const legStart = call ? (call.transferredAt || call.answeredTime || transfer.createdAt) : transfer.createdAt;
+    const transferInfo = {
+        transferId: transfer.id,
+        transferType: transfer.type,
+        transferredFrom: transfer.fromUserName
+    };
+    if (call && transfer.direction === 'outbound') {
+        call.teacherId = transfer.toUserId;
+        call.teacherName = transfer.toUserName;
+    } else if (call) {
+        call.answeredBy = transfer.toUserName;
+        call.answeredById = transfer.toUserId;
+    }
+    const fromLegHold = holdSeconds(call);
+    if (call) {
+        call.transfer = transferInfo;
+        call.transferredAt = transfer.completedAt;
+        call.holdMs = 0; // The new owner's leg starts its own hold count
+        saveLiveCall(found.callSid);
+    }
+    
+    await saveTransferLeg({
+        studentName: transfer.studentName,
+        studentPhone: transfer.studentPhone,
+        teacherName: transfer.fromUserName,
+        teacherId: transfer.fromUserId,
+        status: `Transferred to ${transfer.toUserName}`,
+        duration: Math.floor((transfer.completedAt - legStart) / 1000),
+        holdDuration: fromLegHold,
+        direction: transfer.direction,
+        parentCallSid: transfer.studentCallSid,
+        transferId: transfer.id,
+        transferType: transfer.type,
+        transferredTo: transfer.toUserName,
+        timestamp: new Date(legStart)
+    });
+    
+    console.log(`🔀 Transfer ${transfer.id} completed: ${transfer.fromUserName} → ${transfer.toUserName}`);
+    broadcastTransferEvent(transfer, 'completed');
+}
+
+// Staff who can take a transferred call right now (online, allowed to handle live calls)
+app.get('/api/calls/transfer-targets', (req, res) => {
+    const targets = findOnlineStaff()
+        .filter(user => user.id !== req.user.id && roleCan(user.type, 'calls:live'))
+        .map(user => ({ id: user.id, name: user.name || user.id, type: user.type }));
+    res.json({ success: true, targets });
+});
+
+// Start a transfer - puts the student on hold and rings the target
+app.post('/api/calls/transfer', async (req, res) => {
+    const { conferenceName, targetUserId, type } = req.body;
+    
+    if (!conferenceName || !targetUserId) {
+        return res.status(400).json({ success: false, error: 'conferenceName and targetUserId are required' });
+    }
+    if (!['warm', 'cold'].includes(type)) {
+        return res.status(400).json({ success: false, error: "type must be 'warm' or 'cold'" });
+    }
+    if (targetUserId === req.user.id) {
+        return res.status(400).json({ success: false, error: 'You cannot transfer a call to yourself' });
+    }
+    if (!twilioClient) {
+        return res.status(500).json({ success: false, error: 'Twilio not configured' });
+    }
+    
+    const found = findConferenceCall(conferenceName);
+    if (!found) {
+        return res.status(404).json({ success: false, error: 'Call not found or already ended' });
+    }
+    if (found.ownerId && found.ownerId !== req.user.id && req.user.type !== 'admin') {
+        return res.status(403).json({ success: false, error: 'You can only transfer your own calls' });
+    }
+    for (const t of callTransfers.values()) {
+        if (t.conferenceName === conferenceName) {
+            return res.status(409).json({ success: false, error: 'A transfer is already in progress for this call' });
+        }
+    }
+    if (found.call.holdStartedAt) {
+        return res.status(409).json({ success: false, error: 'Resume the call before transferring it' });
+    }
+    
+    try {
+        const target = await findSessionUser(targetUserId);
+        if (!target || !roleCan(target.type, 'calls:live')) {
+            return res.status(400).json({ success: false, error: 'Target cannot take live calls' });
+        }
+        if (!isUserOnline(target.id)) {
+            return res.status(409).json({ success: false, error: `${target.name} is not online` });
+        }
+        
+        const conferenceSid = await findConferenceSid(conferenceName);
+        if (!conferenceSid) {
+            return res.status(404).json({ success: false, error: 'Conference is not in progress' });
+        }
+        
+        // The originator's browser leg is whichever participant isn't the student
+        const participants = await twilioClient.conferences(conferenceSid).participants.list();
+        const staffLegs = participants.filter(p => p.callSid !== found.callSid);
+        if (staffLegs.length !== 1) {
+            return res.status(409).json({ success: false, error: 'Call is not in a transferable state' });
+        }
+        
+        const transfer = {
+            id: `xfer_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            type,
+            status: 'ringing',
+            direction: found.direction,
+            conferenceName,
+            conferenceSid,
+            studentCallSid: found.callSid,
+            studentName: found.studentName,
+            studentPhone: found.studentPhone,
+            fromUserId: req.user.id,
+            fromUserName: req.user.name,
+            fromCallSid: staffLegs[0].callSid,
+            toUserId: target.id,
+            toUserName: target.name,
+            toCallSid: null,
+            createdAt: Date.now()
+        };
+        
+        await conferenceParticipant(transfer, transfer.studentCallSid).update({
+            hold: true,
+            holdUrl: `${config.publicUrl}/twiml/hold-music`,
+            holdMethod: 'POST'
+        });
+        
+        transfer.timer = setTimeout(() => {
+            if (callTransfers.get(transfer.id)?.status === 'ringing') {
+                settleTransfer(transfer, 'failed', `${transfer.toUserName} did not answer`);
+            }
+        }, TRANSFER_RING_TIMEOUT_MS);
+        callTransfers.set(transfer.id, transfer);
+        
+        console.log(`🔀 ${type.toUpperCase()} transfer ${transfer.id}: ${req.user.name} → ${target.name} (${found.studentName})`);
+        broadcastTransferEvent(transfer, 'requested');
+        
+        res.json({ success: true, transfer: serializeTransfer(transfer) });
+    } catch (error) {
+        console.error('❌ Transfer error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Look up a transfer and check the caller is one of its two parties
+function getTransferForUser(req, res, allowed) {
+    const transfer = callTransfers.get(req.params.id);
+    if (!transfer) {
+        res.status(404).json({ success: false, error: 'Transfer not found or already finished' });
+        return null;
+    }
+    const isFrom = transfer.fromUserId === req.user.id;
+    const isTo = transfer.toUserId === req.user.id;
+    if (!((allowed.includes('from') && isFrom) || (allowed.includes('to') && isTo))) {
+        res.status(403).json({ success: false, error: 'You are not part of this transfer' });
+        return null;
+    }
+    return transfer;
+}
+
+// Target accepts - their browser then joins the conference with this transferId
+app.post('/api/calls/transfer/:id/accept', (req, res) => {
+    const transfer = getTransferForUser(req, res, ['to']);
+    if (!transfer) return;
+    if (transfer.status !== 'ringing') {
+        return res.status(409).json({ success: false, error: `Transfer is already ${transfer.status}` });
+    }
+    
+    clearTimeout(transfer.timer);
+    transfer.status = 'accepted';
+    transfer.acceptedAt = Date.now();
+    callTransfers.save(transfer.id);
+    broadcastTransferEvent(transfer, 'accepted');
+    
+    res.json({ success: true, transfer: serializeTransfer(transfer) });
+});
+
+app.post('/api/calls/transfer/:id/decline', async (req, res) => {
+    const transfer = getTransferForUser(req, res, ['to']);
+    if (!transfer) return;
+    
+    await settleTransfer(transfer, 'declined', `${transfer.toUserName} declined`);
+    res.json({ success: true });
+});
+
+// Warm: originator hands over after consulting. Cold: target's browser calls this once connected.
+app.post('/api/calls/transfer/:id/complete', async (req, res) => {
+    const transfer = getTransferForUser(req, res, ['from', 'to']);
+    if (!transfer) return;
+    if (transfer.status !== 'accepted' || !transfer.toCallSid) {
+        return res.status(409).json({ success: false, error: `${transfer.toUserName} has not joined the call yet` });
+    }
+    
+    try {
+        await completeTransfer(transfer);
+        res.json({ success: true, transfer: serializeTransfer(transfer) });
+    } catch (error) {
+        console.error('❌ Transfer completion error:', error.message);
+        await settleTransfer(transfer, 'failed', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/calls/transfer/:id/cancel', async (req, res) => {
+    const transfer = getTransferForUser(req, res, ['from', 'to']);
+    if (!transfer) return;
+    
+    const canceledBy = req.user.id === transfer.fromUserId ? transfer.fromUserName : transfer.toUserName;
+    await settleTransfer(transfer, 'canceled', `Canceled by ${canceledBy}`);
+    res.json({ success: true });
+});
+
+// ---------------------------------------------------------
+// CALL HOLD
+// ---------------------------------------------------------
+// Holding puts the student's conference participant on /twiml/hold-music,
+// so they really stop hearing the teacher. Hold time is tracked on the
+// live call entry and saved as CallHistory.holdDuration.
+
+// Seconds this call has spent on hold so far (including a hold still running)
+function holdSeconds(call) {
+    if (!call) return 0;
+    const running = call.holdStartedAt ? Date.now() - call.holdStartedAt : 0;
+    return Math.floor(((call.holdMs || 0) + running) / 1000);
+}
+
+// Share a live call's changed fields with the other instances (outbound or inbound map)
+function saveLiveCall(callSid) {
+    if (activeCalls.has(callSid)) activeCalls.save(callSid);
+    if (inboundCalls.has(callSid)) inboundCalls.save(callSid);
+}
+
+// Find a live call by the student's CallSid
+function findLiveCall(callSid) {
+    const outbound = activeCalls.get(callSid);
+    if (outbound && outbound.conferenceName) return findConferenceCall(outbound.conferenceName);
+    const inbound = inboundCalls.get(callSid);
+    if (inbound) return findConferenceCall(inbound.conferenceName || `inbound_${callSid}`);
+    return null;
+}
+
+// Hold changes go to the call's owner plus every admin/team lead dashboard
+function broadcastCallHold(callSid, onHold, additionalData = {}) {
+    const topics = ['all-calls'];
+    if (additionalData.ownerId) topics.push(`user:${additionalData.ownerId}`);
+    publishToTopics(topics, {
+        type: 'CALL_HOLD_STATUS',
+        callSid,
+        onHold,
+        ...additionalData
+    });
+}
+
+// Call ended while on hold - close the hold period and clear dashboards
+function endCallHold(callSid, call) {
+    if (!call || !call.holdStartedAt) return;
+    call.holdMs = (call.holdMs || 0) + (Date.now() - call.holdStartedAt);
+    call.holdStartedAt = null;
+    saveLiveCall(callSid);
+    broadcastCallHold(callSid, false, {
+        ownerId: call.teacherId || call.answeredById || null,
+        holdDuration: holdSeconds(call),
+        ended: true
+    });
+}
+
+// Hold time can land after the teacher's browser already saved the history row
+async function recordHoldDuration(callSid, holdDuration) {
+    if (!holdDuration) return;
+    try {
+        await durableWrite(`hold duration ${callSid}`, [{
+            entity: 'callHistory',
+            op: 'updateOne',
+            filter: { callSid },
+            update: { holdDuration }
+        }]);
+    } catch (err) {
+        console.error('   ❌ Failed to save hold duration:', err.message);
+    }
+}
+
+async function setCallHold(req, res, hold) {
+    const { sid } = req.params;
+    
+    if (!twilioClient) {
+        return res.status(500).json({ success: false, error: 'Twilio not configured' });
+    }
+    
+    const found = findLiveCall(sid);
+    if (!found) {
+        return res.status(404).json({ success: false, error: 'Call not found or already ended' });
+    }
+    if (found.ownerId && found.ownerId !== req.user.id && req.user.type !== 'admin') {
+        return res.status(403).json({ success: false, error: 'You can only hold your own calls' });
+    }
+    for (const t of callTransfers.values()) {
+        if (t.studentCallSid === sid) {
+            return res.status(409).json({ success: false, error: 'Call is being transferred' });
+        }
+    }
+    
+    const call = found.call;
+    if (hold === !!call.holdStartedAt) {
+        return res.json({ success: true, onHold: hold, holdDuration: holdSeconds(call) });
+    }
+    
+    try {
+        const conferenceName = call.conferenceName || `inbound_${sid}`;
+        const conferenceSid = await findConferenceSid(conferenceName);
+        if (!conferenceSid) {
+            return res.status(404).json({ success: false, error: 'Conference is not in progress' });
+        }
+        
+        await twilioClient.conferences(conferenceSid).participants(sid).update(hold
+            ? { hold: true, holdUrl: `${config.publicUrl}/twiml/hold-music`, holdMethod: 'POST' }
+            : { hold: false });
+        
+        if (hold) {
+            call.holdStartedAt = Date.now();
+        } else {
+            call.holdMs = (call.holdMs || 0) + (Date.now() - call.holdStartedAt);
+            call.holdStartedAt = null;
+        }
+        saveLiveCall(sid);
+        
+        const holdDuration = holdSeconds(call);
+        console.log(`${hold ? '⏸️ Hold' : '▶️ Resume'}: ${found.studentName} by ${req.user.name} (${holdDuration}s on hold)`);
+        broadcastCallHold(sid, hold, {
+            studentName: found.studentName,
+            heldBy: req.user.name,
+            ownerId: found.ownerId || req.user.id,
+            holdStartedAt: call.holdStartedAt,
+            holdDuration
+        });
+        
+        res.json({ success: true, onHold: hold, holdDuration });
+    } catch (error) {
+        console.error(`❌ ${hold ? 'Hold' : 'Resume'} error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.post('/api/calls/:sid/hold', (req, res) => setCallHold(req, res, true));
+app.post('/api/calls/:sid/resume', (req, res) => setCallHold(req, res, false));
+
+// Calls currently on hold - lets a freshly opened dashboard catch up
+app.get('/api/calls/held', (req, res) => {
+    const held = [];
+    const collect = (callSid, call) => {
+        if (!call.holdStartedAt) return;
+        const found = findLiveCall(callSid);
+        held.push({
+            callSid,
+            studentName: found ? found.studentName : null,
+            ownerId: found ? found.ownerId : null,
+            holdStartedAt: call.holdStartedAt,
+            holdDuration: holdSeconds(call)
+        });
+    };
+    activeCalls.forEach((call, callSid) => collect(callSid, call));
+    inboundCalls.forEach((call, callSid) => collect(callSid, call));
+    res.json({ success: true, calls: held });
+});
+
 // ---------------------------------------------------------
 // RECORDING ENDPOINTS
 // ---------------------------------------------------------
@@ -2686,6 +6878,7 @@ app.post('/webhooks/recording-status', async (req, res) => {
         if (cachedCall) {
             cachedCall.recordingUrl = playableUrl;
             cachedCall.recordingSid = RecordingSid;
+            activeCalls.save(CallSid);
         }
         
         recordingsMap.set(CallSid, {
@@ -2695,16 +6888,16 @@ app.post('/webhooks/recording-status', async (req, res) => {
             timestamp: Date.now()
         });
         
-        // Update database if connected
-        if (dbConnected) {
-            try {
-                await CallHistory.findOneAndUpdate(
-                    { callSid: CallSid },
-                    { recordingUrl: playableUrl }
-                );
-            } catch (err) {
-                console.error('Error updating recording URL:', err);
-            }
+        // Update database
+        try {
+            await durableWrite(`recording ${CallSid}`, [{
+                entity: 'callHistory',
+                op: 'updateOne',
+                filter: { callSid: CallSid },
+                update: { recordingUrl: playableUrl }
+            }]);
+        } catch (err) {
+            console.error('Error updating recording URL:', err);
         }
         
         broadcastCallStatus(CallSid, 'recording-ready', parseInt(RecordingDuration) || 0, playableUrl);
@@ -2734,44 +6927,40 @@ app.post('/webhooks/inbound-recording-status', async (req, res) => {
         const incomingCall = inboundCalls.get(CallSid);
         if (incomingCall) {
             incomingCall.recordingUrl = playableUrl;
+            inboundCalls.save(CallSid);
             console.log('   🎙️ Recording linked to inbound call:', CallSid);
         }
         
         // Update database
-        if (dbConnected) {
-            try {
-                // Try matching by callSid directly
-                const updated = await CallHistory.findOneAndUpdate(
-                    { callSid: CallSid },
-                    { recordingUrl: playableUrl }
-                );
-                if (updated) {
-                    console.log('   💾 Inbound recording saved to database');
-                } else {
-                    console.log('   ⚠️ No history entry found yet for:', CallSid, '- will retry');
-                    // Retry after 5s in case history hasn't been saved yet
-                    setTimeout(async () => {
-                        try {
-                            await CallHistory.findOneAndUpdate(
-                                { callSid: CallSid },
-                                { recordingUrl: playableUrl }
-                            );
-                            console.log('   💾 Inbound recording saved to database (retry)');
-                        } catch (e) {
-                            console.log('   ⚠️ Retry failed:', e.message);
-                        }
-                    }, 5000);
-                }
-            } catch (err) {
-                console.error('   ❌ Error saving inbound recording:', err.message);
+        const saveRecordingUrl = () => durableWrite(`inbound recording ${CallSid}`, [{
+            entity: 'callHistory',
+            op: 'updateOne',
+            filter: { callSid: CallSid },
+            update: { recordingUrl: playableUrl }
+        }]);
+        try {
+            // Try matching by callSid directly
+            const { queued, result: updated } = await saveRecordingUrl();
+            if (queued) {
+                console.log('   📥 Inbound recording queued until MongoDB is back');
+            } else if (updated) {
+                console.log('   💾 Inbound recording saved to database');
+            } else {
+                console.log('   ⚠️ No history entry found yet for:', CallSid, '- will retry');
+                // Retry after 5s in case history hasn't been saved yet
+                setTimeout(async () => {
+                    try {
+                        const { queued: retryQueued } = await saveRecordingUrl();
+                        console.log(retryQueued ? '   📥 Inbound recording queued (retry)' : '   💾 Inbound recording saved to database (retry)');
+                    } catch (e) {
+                        console.log('   ⚠️ Retry failed:', e.message);
+                    }
+                }, 5000);
             }
+        } catch (err) {
+            console.error('   ❌ Error saving inbound recording:', err.message);
         }
         
-        // Also update in-memory history
-        const memEntry = inMemoryCallHistory.find(h => h.callSid === CallSid);
-        if (memEntry) {
-            memEntry.recordingUrl = playableUrl;
-        }
     }
     
     res.status(200).send('OK');
@@ -2782,6 +6971,10 @@ app.get('/recording/:callSid', async (req, res) => {
     
     console.log('🎙️ Recording requested for:', callSid);
     
+    if (req.user.type === 'guardian' && !(await guardianCanHearRecording(req.user, callSid))) {
+        return res.status(403).json({ success: false, error: 'This recording has not been shared with you' });
+    }
+    
     // Check caches
     const cachedRecording = recordingsMap.get(callSid);
     if (cachedRecording?.url) {
@@ -2794,15 +6987,13 @@ app.get('/recording/:callSid', async (req, res) => {
     }
     
     // Check database
-    if (dbConnected) {
-        try {
-            const call = await CallHistory.findOne({ callSid });
-            if (call?.recordingUrl) {
-                return res.json({ success: true, recordingUrl: call.recordingUrl, duration: call.duration });
-            }
-        } catch (err) {
-            console.error('DB recording lookup error:', err);
+    try {
+        const call = await db.callHistory.findOne({ callSid });
+        if (call?.recordingUrl) {
+            return res.json({ success: true, recordingUrl: call.recordingUrl, duration: call.duration });
         }
+    } catch (err) {
+        console.error('DB recording lookup error:', err);
     }
     
     // Try Twilio API
@@ -2834,6 +7025,10 @@ app.get('/recording-audio/:callSid', async (req, res) => {
     const { callSid } = req.params;
     
     try {
+        if (req.user.type === 'guardian' && !(await guardianCanHearRecording(req.user, callSid))) {
+            return res.status(403).json({ error: 'forbidden', message: 'This recording has not been shared with you' });
+        }
+        
         let recordingUrl = null;
         let source = '';
         
@@ -2846,9 +7041,9 @@ app.get('/recording-audio/:callSid', async (req, res) => {
         }
         
         // Also check database
-        if (!recordingUrl && dbConnected) {
+        if (!recordingUrl) {
             try {
-                const call = await CallHistory.findOne({ callSid });
+                const call = await db.callHistory.findOne({ callSid });
                 if (call?.recordingUrl) { recordingUrl = call.recordingUrl; source = 'database'; }
             } catch (e) {}
         }
@@ -2992,12 +7187,10 @@ app.get('/debug/recording/:callSid', async (req, res) => {
     if (ac) result.activeCalls = { recordingUrl: ac.recordingUrl, conferenceName: ac.conferenceName, status: ac.status };
     
     // Check database
-    if (dbConnected) {
-        try {
-            const call = await CallHistory.findOne({ callSid });
-            if (call) result.database = { recordingUrl: call.recordingUrl, status: call.status, duration: call.duration };
-        } catch (e) { result.database = { error: e.message }; }
-    }
+    try {
+        const call = await db.callHistory.findOne({ callSid });
+        if (call) result.database = { recordingUrl: call.recordingUrl, status: call.status, duration: call.duration };
+    } catch (e) { result.database = { error: e.message }; }
     
     // Check Twilio by callSid
     if (twilioClient) {
@@ -3080,6 +7273,267 @@ app.get('/debug/recording/:callSid', async (req, res) => {
     res.json(result);
 });
 
+// ---------------------------------------------------------
+// VIDEO CLASS RECORDING
+// Recorded rooms are created through the REST API with recording
+// rules: the teacher is always recorded, each student only after
+// they agree on the join page. When the room ends, Twilio composes
+// the recorded tracks into one mp4 and calls the webhook below.
+// ---------------------------------------------------------
+
+// Create the Twilio room ahead of the teacher connecting. Returns the room SID, or null if recording isn't possible.
+async function createRecordedRoom(roomName, teacherName) {
+    if (!twilioClient) return null;
+    try {
+        const room = await twilioClient.video.v1.rooms.create({
+            uniqueName: roomName,
+            type: 'group',
+            recordParticipantsOnConnect: false
+        });
+        await twilioClient.video.v1.rooms(room.sid).recordingRules.update({
+            rules: [{ type: 'include', publisher: teacherName }]
+        });
+        console.log('🔴 Recorded video room created:', roomName, room.sid);
+        return room.sid;
+    } catch (err) {
+        console.error('⚠️ Could not create recorded room - continuing without recording:', err.message);
+        return null;
+    }
+}
+
+// Record the teacher plus every student who has consented (background)
+function updateRecordingRules(roomInfo) {
+    if (!twilioClient || !roomInfo.roomSid) return;
+    const rules = [
+        { type: 'include', publisher: roomInfo.teacherName },
+        ...roomInfo.participants
+            .filter(p => p.recordingConsent)
+            .map(p => ({ type: 'include', publisher: p.identity }))
+    ];
+    twilioClient.video.v1.rooms(roomInfo.roomSid).recordingRules.update({ rules })
+        .catch(err => console.error('⚠️ Recording rules update failed:', err.message));
+}
+
+// Consent gate for recorded rooms. Like checkAdmission: null lets the student
+// through, otherwise { status, body } asks the join page to show the consent prompt.
+function checkRecordingConsent(roomInfo, participant, answer) {
+    if (!roomInfo.recording) return null;
+    
+    if (answer === 'yes' || answer === 'no') {
+        const consent = answer === 'yes';
+        if (participant.recordingConsent !== consent) {
+            participant.recordingConsent = consent;
+            saveParticipant(roomInfo.roomName, participant, { recordingConsent: consent });
+            updateRecordingRules(roomInfo);
+            broadcastVideoEvent(roomInfo.roomName, 'RECORDING_CONSENT', { studentId: participant.studentId, name: participant.identity, consent });
+            console.log(`🔴 Recording consent from ${participant.identity}: ${consent ? 'yes' : 'no'}`);
+        }
+    }
+    
+    if (participant.recordingConsent === undefined || participant.recordingConsent === null) {
+        return { status: 200, body: { success: true, consentRequired: true, teacherName: roomInfo.teacherName } };
+    }
+    return null;
+}
+
+// Update a recording everywhere it is tracked: memory, the room, and its call history rows
+async function saveVideoRecording(roomName, fields) {
+    const recording = { ...(videoRecordingsMap.get(roomName) || { roomName }), ...fields, timestamp: Date.now() };
+    videoRecordingsMap.set(roomName, recording);
+    
+    const { recordingStatus, compositionSid, recordingDuration } = recording;
+    await durableWrite(`video recording ${roomName}`, [
+        {
+            entity: 'videoRooms',
+            op: 'updateOne',
+            filter: { roomName },
+            update: {
+                recordingStatus,
+                ...(compositionSid && { compositionSid }),
+                ...(recordingDuration !== undefined && { recordingDuration })
+            }
+        },
+        { entity: 'callHistory', op: 'updateMany', filter: { roomName }, update: { videoRecordingStatus: recordingStatus } }
+    ]);
+    return recording;
+}
+
+async function findVideoRecording(roomName) {
+    const cached = videoRecordingsMap.get(roomName);
+    if (cached) return cached;
+    const room = await db.videoRooms.findOne({ roomName, recording: true });
+    if (!room) return null;
+    return {
+        roomName,
+        roomSid: room.roomSid,
+        isGroup: !!room.isGroup,
+        teacherId: room.teacherId,
+        studentIds: (room.participants || []).map(p => p.studentId),
+        recordingStatus: room.recordingStatus,
+        compositionSid: room.compositionSid,
+        recordingDuration: room.recordingDuration
+    };
+}
+
+// Room ended: close it on Twilio's side (compositions need a completed room) and compose the recording
+async function finishRoomRecording(roomInfo) {
+    const { roomName, roomSid } = roomInfo;
+    await saveVideoRecording(roomName, {
+        roomSid,
+        isGroup: !!roomInfo.isGroup,
+        teacherId: roomInfo.teacherId,
+        studentIds: roomInfo.participants.map(p => p.studentId),
+        recordingStatus: 'processing'
+    });
+    
+    try {
+        await twilioClient.video.v1.rooms(roomSid).update({ status: 'completed' });
+    } catch (err) {
+        console.warn('⚠️ Could not complete Twilio room (may already be closed):', err.message);
+    }
+    
+    try {
+        const composition = await twilioClient.video.v1.compositions.create({
+            roomSid,
+            audioSources: ['*'],
+            videoLayout: { grid: { video_sources: ['*'] } },
+            format: 'mp4',
+            statusCallback: `${config.publicUrl}/webhooks/video-composition-status`,
+            statusCallbackMethod: 'POST'
+        });
+        await saveVideoRecording(roomName, { compositionSid: composition.sid });
+        console.log('🎬 Composing video recording:', roomName, composition.sid);
+    } catch (err) {
+        console.error('❌ Video composition failed to start:', err.message);
+        await saveVideoRecording(roomName, { recordingStatus: 'failed' });
+    }
+}
+
+// Guardians may watch 1:1 classes of students whose recordings are shared with them
+async function guardianCanWatchRecording(user, recording) {
+    if (recording.isGroup) return false; // Would show other families' children
+    const students = await loadGuardianStudents(user);
+    return students.some(s => s.shareRecordingsWithGuardians && recording.studentIds.includes(String(s._id || s.id)));
+}
+
+app.post('/webhooks/video-composition-status', async (req, res) => {
+    const { StatusCallbackEvent, CompositionSid, RoomSid, Duration } = req.body;
+    console.log('🎬 Composition webhook:', StatusCallbackEvent, CompositionSid);
+    
+    const recordingStatus = StatusCallbackEvent === 'composition-available' ? 'available'
+        : StatusCallbackEvent === 'composition-failed' ? 'failed'
+        : null;
+    if (!recordingStatus) return res.status(200).send('OK');
+    
+    try {
+        let roomName = [...videoRecordingsMap.values()].find(r => r.roomSid === RoomSid || r.compositionSid === CompositionSid)?.roomName;
+        if (!roomName) {
+            roomName = (await db.videoRooms.findOne({ roomSid: RoomSid }, { select: 'roomName' }))?.roomName;
+        }
+        if (!roomName) {
+            console.warn('⚠️ Composition for unknown room:', RoomSid);
+            return res.status(200).send('OK');
+        }
+        
+        await saveVideoRecording(roomName, {
+            recordingStatus,
+            compositionSid: CompositionSid,
+            recordingDuration: parseInt(Duration, 10) || 0
+        });
+        console.log(`${recordingStatus === 'available' ? '✅' : '❌'} Video recording ${recordingStatus}: ${roomName}`);
+    } catch (err) {
+        console.error('Composition webhook error:', err.message);
+    }
+    
+    res.status(200).send('OK');
+});
+
+// Load a recording the caller is allowed to watch, or send the error response
+async function loadWatchableRecording(req, res) {
+    const recording = await findVideoRecording(req.params.roomName);
+    if (!recording) {
+        res.status(404).json({ success: false, error: 'This video class was not recorded' });
+        return null;
+    }
+    if (req.user.type === 'guardian' && !(await guardianCanWatchRecording(req.user, recording))) {
+        res.status(403).json({ success: false, error: 'This recording has not been shared with you' });
+        return null;
+    }
+    return recording;
+}
+
+app.get('/video-recording/:roomName/status', async (req, res) => {
+    try {
+        const recording = await loadWatchableRecording(req, res);
+        if (!recording) return;
+        
+        const { recordingStatus, recordingDuration } = recording;
+        res.status(recordingStatus === 'available' ? 200 : 202).json({
+            success: recordingStatus === 'available',
+            status: recordingStatus,
+            duration: recordingDuration || 0
+        });
+    } catch (err) {
+        console.error('Video recording status error:', err.message);
+        res.status(500).json({ success: false, error: 'Failed to check recording' });
+    }
+});
+
+// Stream the composed mp4. Twilio answers the media request with a short-lived
+// S3 link (Location header or { redirect_to }), which must be fetched WITHOUT auth.
+app.get('/video-recording/:roomName', async (req, res) => {
+    try {
+        const recording = await loadWatchableRecording(req, res);
+        if (!recording) return;
+        if (recording.recordingStatus !== 'available' || !recording.compositionSid) {
+            return res.status(202).json({ error: 'processing', message: 'The recording is still being prepared. Try again shortly.' });
+        }
+        
+        const authString = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+        const mediaUrl = `https://video.twilio.com/v1/Compositions/${recording.compositionSid}/Media?Ttl=3600`;
+        
+        const mediaRequest = https.request(mediaUrl, { headers: { 'Authorization': `Basic ${authString}` } }, (mediaResponse) => {
+            let body = '';
+            mediaResponse.on('data', chunk => { body += chunk; });
+            mediaResponse.on('end', () => {
+                let location = mediaResponse.headers.location;
+                if (!location) {
+                    try { location = JSON.parse(body).redirect_to; } catch (e) {}
+                }
+                if (!location) {
+                    console.log(`🎬 Composition media returned ${mediaResponse.statusCode} for ${recording.roomName}`);
+                    return res.status(502).json({ error: 'fetch_failed', message: `Could not fetch recording (${mediaResponse.statusCode})` });
+                }
+                
+                // Pass Range through so the player can seek
+                const s3Request = https.request(location, { headers: req.headers.range ? { Range: req.headers.range } : {} }, (videoResponse) => {
+                    res.status(videoResponse.statusCode);
+                    ['content-type', 'content-length', 'content-range', 'accept-ranges'].forEach(header => {
+                        if (videoResponse.headers[header]) res.set(header, videoResponse.headers[header]);
+                    });
+                    videoResponse.pipe(res);
+                });
+                s3Request.on('error', (err) => {
+                    console.error('Video stream error:', err.message);
+                    if (!res.headersSent) res.status(500).json({ error: 'stream_error', message: 'Failed to stream recording' });
+                });
+                s3Request.end();
+            });
+        });
+        mediaRequest.on('error', (err) => {
+            console.error('Composition media error:', err.message);
+            if (!res.headersSent) res.status(500).json({ error: 'stream_error', message: 'Failed to stream recording' });
+        });
+        mediaRequest.end();
+        
+    } catch (err) {
+        console.error('Video recording stream error:', err.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'server_error', message: 'Failed to stream recording' });
+        }
+    }
+});
+
 // ---------------------------------------------------------
 // TWILIO WEBHOOKS
 // ---------------------------------------------------------
@@ -3112,6 +7566,41 @@ app.post('/webhooks/call-status', (req, res) => {
         if (RecordingUrl) {
             cachedCall.recordingUrl = RecordingUrl;
         }
+        activeCalls.save(CallSid); // Later changes in this handler go out with it
+    }
+    
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+        abandonTransfersForCall(CallSid);
+        // Scheduled reminder calls may have been placed by another instance
+        if (!cachedCall || cachedCall.type === 'reminder') {
+            handleReminderCallOutcome(CallSid, CallStatus).catch(err => console.error('Reminder outcome error:', err.message));
+        }
+        if (cachedCall) {
+            endCallHold(CallSid, cachedCall);
+            if (!cachedCall.transfer) recordHoldDuration(CallSid, holdSeconds(cachedCall));
+            if (cachedCall.type !== 'reminder') recordAgentCallEnded(cachedCall.teacherId);
+        }
+        
+        // The original teacher's browser no longer owns this call, so the
+        // final leg of a transferred call is written here instead
+        if (cachedCall && cachedCall.transfer && !cachedCall.transferLegSaved) {
+            cachedCall.transferLegSaved = true;
+            saveTransferLeg({
+                studentName: cachedCall.name,
+                studentPhone: cachedCall.to,
+                teacherName: cachedCall.teacherName,
+                teacherId: cachedCall.teacherId,
+                status: 'Completed (Transferred Call)',
+                duration: Math.floor((Date.now() - cachedCall.transferredAt) / 1000),
+                holdDuration: holdSeconds(cachedCall),
+                callSid: CallSid,
+                recordingUrl: cachedCall.recordingUrl || RecordingUrl || null,
+                direction: 'outbound',
+                parentCallSid: CallSid,
+                ...cachedCall.transfer,
+                timestamp: new Date(cachedCall.transferredAt)
+            });
+        }
     }
     
     broadcastCallStatus(CallSid, CallStatus, duration, cachedCall?.recordingUrl || RecordingUrl || null);
@@ -3119,14 +7608,222 @@ app.post('/webhooks/call-status', (req, res) => {
     res.status(200).send('OK');
 });
 
+// ---------------------------------------------------------
+// INBOUND CALL QUEUE & ROUTING
+// Every inbound call waits in its conference (hold music) while it is
+// offered to agents tier by tier - by default the student's teacher(s),
+// then their team lead, then the admins online. Only available agents
+// ring: dashboard open, not on a call, not ringing for another call.
+// CALL_DISTRIBUTION picks among a tier's available agents:
+//   ring-all     - all of them at once
+//   round-robin  - one at a time, least recently offered a call first
+//   longest-idle - one at a time, longest since their last call first
+// An offer rings CALL_RING_SECONDS. Once every tier was tried the call goes
+// round again, until CALL_QUEUE_TIMEOUT_SECONDS. Oldest calls route first.
+// ---------------------------------------------------------
+const CALL_ROUTING_TIERS = ['teacher', 'teamlead', 'admin'];
+const CALL_DISTRIBUTIONS = ['ring-all', 'round-robin', 'longest-idle'];
+const CALL_ROUTING_TICK_MS = 5000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Bad settings fall back to something that still answers calls
+const unknownRoutingTiers = config.callRouting.tiers.filter(tier => !CALL_ROUTING_TIERS.includes(tier));
+if (unknownRoutingTiers.length) {
+    console.warn(`⚠️ Unknown CALL_ROUTING_TIERS ignored: ${unknownRoutingTiers.join(', ')} (use ${CALL_ROUTING_TIERS.join(', ')})`);
+    config.callRouting.tiers = config.callRouting.tiers.filter(tier => CALL_ROUTING_TIERS.includes(tier));
+}
+if (!config.callRouting.tiers.length) config.callRouting.tiers = ['admin'];
+if (!CALL_DISTRIBUTIONS.includes(config.callRouting.distribution)) {
+    console.warn(`⚠️ Unknown CALL_DISTRIBUTION "${config.callRouting.distribution}" - ringing all available agents`);
+    config.callRouting.distribution = 'ring-all';
+}
+if (!config.callRouting.openDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    console.warn('⚠️ BUSINESS_DAYS ignored - use day numbers like 1,2,3,4,5 (0 = Sunday)');
+    config.callRouting.openDays = [0, 1, 2, 3, 4, 5, 6];
+}
+if ((config.callRouting.openTime || config.callRouting.closeTime) && !(TIME_PATTERN.test(config.callRouting.openTime)
+    && TIME_PATTERN.test(config.callRouting.closeTime) && isValidTimezone(config.callRouting.timezone))) {
+    console.warn('⚠️ Business hours ignored - BUSINESS_HOURS_OPEN/CLOSE must be HH:mm and BUSINESS_TIMEZONE a valid timezone');
+    config.callRouting.openTime = config.callRouting.closeTime = '';
+}
+
+// Business hours are wall-clock times in BUSINESS_TIMEZONE (may wrap midnight)
+function isWithinBusinessHours(date = new Date()) {
+    const { openTime, closeTime, openDays, timezone } = config.callRouting;
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short' }).format(date);
+    if (!openDays.includes(WEEKDAY_NAMES.indexOf(weekday))) return false;
+    if (!openTime || !closeTime) return true;
+    
+    const open = minutesOfDay(openTime);
+    const close = minutesOfDay(closeTime);
+    const local = localMinutesOfDay(date, timezone);
+    return open < close ? (local >= open && local < close) : (local >= open || local < close);
+}
+
+function describeBusinessHours() {
+    const { openTime, closeTime, openDays, timezone } = config.callRouting;
+    const days = openDays.length === 7 ? 'daily' : openDays.map(day => WEEKDAY_NAMES[day]).join(',');
+    return openTime ? `${openTime}-${closeTime} ${timezone}, ${days}` : `around the clock, ${days}`;
+}
+
+// Who each configured tier rings for this caller. The admin tier (agentIds
+// null) is whoever is online when it is reached.
+async function resolveRoutingTiers(studentId) {
+    let teacherIds = [];
+    let teamLeadIds = [];
+    if (studentId) {
+        const sessions = await db.classSessions.find({ studentId: String(studentId), status: 'active' }, { select: 'teacherId' });
+        teacherIds = [...new Set(sessions.map(session => session.teacherId))].filter(isValidId);
+    }
+    if (teacherIds.length && config.callRouting.tiers.includes('teamlead')) {
+        const teachers = await db.users.find({ _id: { $in: teacherIds }, isActive: true }, { select: 'teamLeadId' });
+        const leadIds = [...new Set(teachers.map(teacher => teacher.teamLeadId))].filter(isValidId);
+        const leads = leadIds.length
+            ? await db.users.find({ _id: { $in: leadIds }, type: 'teamlead', isActive: true }, { select: 'name' })
+            : [];
+        teamLeadIds = leads.map(lead => String(lead._id));
+    }
+    return config.callRouting.tiers.map(name => ({
+        name,
+        agentIds: name === 'teacher' ? teacherIds : name === 'teamlead' ? teamLeadIds : null
+    }));
+}
+
+// Calls still waiting for an agent, oldest first
+function waitingInboundCalls() {
+    return Array.from(inboundCalls.values())
+        .filter(call => call.status === 'ringing')
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+// 1-based place in the queue, 0 when the call isn't waiting
+function queuePosition(callSid) {
+    return waitingInboundCalls().findIndex(call => call.callSid === callSid) + 1;
+}
+
+// Agents on a live call or being offered one right now
+function busyAgentIds(now) {
+    const busy = new Set();
+    inboundCalls.forEach(call => {
+        if (call.status === 'answered' && call.answeredById) busy.add(call.answeredById);
+        if (call.status === 'ringing' && call.routing && call.routing.offerExpiresAt > now) {
+            call.routing.ringing.forEach(id => busy.add(id));
+        }
+    });
+    activeCalls.forEach(call => {
+        const isTerminal = ['completed', 'busy', 'no-answer', 'canceled', 'failed'].includes(call.status);
+        if (call.teacherId && call.type !== 'reminder' && !isTerminal) busy.add(call.teacherId);
+    });
+    return busy;
+}
+
+function pickAgents(candidates) {
+    const { distribution } = config.callRouting;
+    if (distribution === 'ring-all') return candidates;
+    const field = distribution === 'round-robin' ? 'lastOfferedAt' : 'lastCallEndedAt';
+    const since = id => agentActivity.get(id)?.[field] || 0;
+    return [candidates.reduce((best, id) => since(id) < since(best) ? id : best)];
+}
+
+// Walk the tiers from where the call got to; after the last one, start over
+function nextAgentsFor(call, available, onlineAdminIds) {
+    const { routing } = call;
+    for (let round = 0; round < 2; round++) {
+        for (; routing.tier < routing.tiers.length; routing.tier++) {
+            const candidates = (routing.tiers[routing.tier].agentIds || onlineAdminIds)
+                .filter(id => available.has(id) && !routing.tried.includes(id) && !routing.declined.includes(id));
+            if (candidates.length) return pickAgents(candidates);
+        }
+        routing.tier = 0;
+        routing.tried = [];
+    }
+    return [];
+}
+
+// Give every waiting call whose offer ran out its next agents
+function routeInboundCalls() {
+    const now = Date.now();
+    const { ringSeconds, queueTimeoutSeconds } = config.callRouting;
+    const online = findOnlineStaff();
+    const onlineAdminIds = online.filter(user => user.type === 'admin').map(user => user.id);
+    const busy = busyAgentIds(now);
+    const available = new Set(online.map(user => user.id).filter(id => !busy.has(id)));
+    
+    waitingInboundCalls().forEach(call => {
+        const { routing } = call;
+        if (!routing) return; // Still looking up who to ring
+        if (now - call.startTime >= queueTimeoutSeconds * 1000) {
+            missInboundCall(call);
+            return;
+        }
+        if (routing.ringing.length && routing.offerExpiresAt > now) return;
+        
+        const previous = routing.ringing;
+        const agents = nextAgentsFor(call, available, onlineAdminIds);
+        agents.forEach(id => {
+            available.delete(id);
+            if (!routing.tried.includes(id)) routing.tried.push(id);
+        });
+        routing.ringing = agents;
+        routing.offerExpiresAt = agents.length ? now + ringSeconds * 1000 : 0;
+        inboundCalls.save(call.callSid);
+        
+        // Agents still ringing keep their alert; the rest are told it moved on
+        const withdrawn = previous.filter(id => !agents.includes(id));
+        if (withdrawn.length) {
+            publishToTopics(withdrawn.map(id => `user:${id}`), {
+                type: 'INCOMING_CALL_STATUS',
+                callSid: call.callSid,
+                status: 'rerouted',
+                callerName: call.callerName,
+                from: call.from
+            });
+        }
+        const offered = agents.filter(id => !previous.includes(id));
+        if (offered.length) {
+            offered.forEach(id => agentActivity.set(id, { ...agentActivity.get(id), lastOfferedAt: now }));
+            broadcastIncomingCall(call, offered);
+            console.log(`📞 Offering ${call.callSid} to ${offered.length} agent(s) - ${routing.tiers[routing.tier].name} tier`);
+        }
+    });
+}
+
+// Nobody took the call within CALL_QUEUE_TIMEOUT_SECONDS
+async function missInboundCall(call) {
+    console.log('   ⏰ Missed call timeout for:', call.callSid);
+    broadcastIncomingCallStatus(call.callSid, 'missed', { callerName: call.callerName, from: call.from });
+    if (call.conferenceName) conferenceCallMap.delete(call.conferenceName);
+    inboundCalls.delete(call.callSid);
+    
+    try {
+        await twilioClient.calls(call.callSid).update({
+            twiml: '<Response><Say voice="alice">We are sorry, no one is available to take your call right now. Please try again later. Jazak Allahu Khairan.</Say><Hangup/></Response>'
+        });
+    } catch (e) {
+        console.log('   ⚠️ Could not end timed-out call:', e.message);
+    }
+    saveInboundCallHistory(call, 'Missed', 0);
+}
+
+// An agent just came free - longest-idle counts from here, and waiting calls may take them
+function recordAgentCallEnded(agentId) {
+    if (!agentId) return;
+    agentActivity.set(agentId, { ...agentActivity.get(agentId), lastCallEndedAt: Date.now() });
+    routeInboundCalls();
+}
+
+function startCallRouting() {
+    setInterval(() => runOnOneInstance('route:inbound-calls', CALL_ROUTING_TICK_MS, routeInboundCalls), CALL_ROUTING_TICK_MS);
+}
+
 // ---------------------------------------------------------
 // INCOMING VOICE CALL WEBHOOK  
 // ---------------------------------------------------------
 // CONFERENCE-BASED APPROACH (most reliable):
 // 1. Caller dials number → Twilio hits this webhook
-// 2. We put caller in a Conference room with hold music
-// 3. We broadcast via WebSocket to app
-// 4. Admin clicks Answer → browser uses device.connect() to join same Conference
+// 2. We put caller in a Conference room with hold music (the queue)
+// 3. Call routing offers it to agents via WebSocket, tier by tier
+// 4. Agent clicks Answer → browser uses device.connect() to join same Conference
 // 5. Both in Conference → audio connected!
 // device.connect() works WITHOUT device.register() - this is the key!
 
@@ -3135,8 +7832,6 @@ app.post('/webhooks/voice-incoming', async (req, res) => {
     
     console.log('📞 INCOMING CALL:', From, '→', To, 'SID:', CallSid);
     
-    // STEP 1: Store call in Map
-    const confName = `inbound_${CallSid}`;
     const incomingCallData = {
         callSid: CallSid,
         from: From,
@@ -3147,8 +7842,27 @@ app.post('/webhooks/voice-incoming', async (req, res) => {
         startTime: Date.now(),
         answeredBy: null,
         answeredTime: null,
-        conferenceName: confName
+        conferenceName: `inbound_${CallSid}`
     };
+    
+    // Outside business hours nobody is offered the call
+    if (!isWithinBusinessHours()) {
+        console.log('   🌙 Outside business hours -', describeBusinessHours());
+        res.type('text/xml');
+        res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say voice="alice">Assalam Alaikum. The academy is closed right now. Please call again during our opening hours, or send us a text message. Jazak Allahu Khairan.</Say>
+    <Hangup/>
+</Response>`);
+        const callerStudent = await db.students.findOne({ phone: From }).catch(() => null);
+        incomingCallData.callerName = callerStudent?.name || 'Unknown Caller';
+        incomingCallData.studentId = callerStudent ? String(callerStudent._id) : null;
+        saveInboundCallHistory(incomingCallData, 'After Hours', 0);
+        return;
+    }
+    
+    // STEP 1: Store call in Map
+    const confName = incomingCallData.conferenceName;
     inboundCalls.set(CallSid, incomingCallData);
     console.log('   ✅ Call stored in memory map');
     
@@ -3167,7 +7881,7 @@ app.post('/webhooks/voice-incoming', async (req, res) => {
           recordingStatusCallbackEvent="completed">
         <Conference startConferenceOnEnter="false" endConferenceOnExit="true"
                     waitUrl="${config.publicUrl}/twiml/hold-music" waitUrlMethod="POST"
-                    beep="false" maxParticipants="2">
+                    beep="false" maxParticipants="3">
             ${confName}
         </Conference>
     </Dial>
@@ -3177,71 +7891,38 @@ app.post('/webhooks/voice-incoming', async (req, res) => {
     res.type('text/xml');
     res.send(twiml);
     
-    // STEP 3: BACKGROUND - Look up caller name and broadcast
+    // STEP 3: BACKGROUND - Look up the caller and who to ring, then queue the call
+    let callerName = 'Unknown Caller';
+    let callerStudent = null;
+    let tiers = config.callRouting.tiers.map(name => ({ name, agentIds: name === 'admin' ? null : [] }));
+    
     try {
-        let callerName = 'Unknown Caller';
-        let callerStudent = null;
-        
-        if (isDbConnected()) {
-            try {
-                const dbPromise = Student.findOne({ phone: From }).lean();
-                const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('DB timeout')), 3000));
-                callerStudent = await Promise.race([dbPromise, timeoutPromise]);
-            } catch (dbErr) {
-                console.log('   ⚠️ DB lookup skipped:', dbErr.message);
-            }
-        } else {
-            callerStudent = inMemoryStudents.find(s => s.phone === From);
-        }
-        
-        if (callerStudent) {
-            callerName = callerStudent.name;
-            console.log('   ✅ Caller identified:', callerName);
-        } else {
-            console.log('   ⚠️ Caller not in student database');
-        }
-        
-        incomingCallData.callerName = callerName;
-        incomingCallData.studentId = callerStudent?.id || callerStudent?._id || null;
-        
-        broadcastIncomingCall(incomingCallData);
-        console.log('   📢 Incoming call broadcast sent to app');
-        
-    } catch (error) {
-        console.error('❌ Error in incoming call background processing:', error);
-        broadcastIncomingCall(incomingCallData);
+        const lookup = (async () => {
+            callerStudent = await db.students.findOne({ phone: From });
+            tiers = await resolveRoutingTiers(callerStudent?._id);
+        })();
+        const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('DB timeout')), 3000));
+        await Promise.race([lookup, timeoutPromise]);
+    } catch (dbErr) {
+        console.log('   ⚠️ DB lookup skipped - ringing the admins:', dbErr.message);
     }
     
-    // STEP 4: Safety cleanup timer (120 seconds)
-    // If dial-complete hasn't handled the call by then, save and clean up
-    setTimeout(async () => {
-        const call = inboundCalls.get(CallSid);
-        if (!call) return; // Already handled by dial-complete
-        
-        if (call.status === 'ringing') {
-            // Nobody answered in 120 seconds
-            console.log('   ⏰ Missed call timeout for:', CallSid);
-            try {
-                await twilioClient.calls(CallSid).update({
-                    twiml: '<Response><Say voice="alice">We are sorry, no one is available to take your call right now. Please try again later. Jazak Allahu Khairan.</Say><Hangup/></Response>'
-                });
-            } catch (e) {
-                console.log('   ⚠️ Could not end timed-out call:', e.message);
-            }
-            broadcastIncomingCallStatus(CallSid, 'missed', { callerName: call.callerName, from: call.from });
-            saveInboundCallHistory(call, 'Missed', 0);
-        } else if (call.answeredBy) {
-            // Call was answered but dial-complete never fired (stale)
-            console.log('   ⏰ Stale answered call cleanup for:', CallSid);
-            const duration = call.answeredTime ? Math.floor((Date.now() - call.answeredTime) / 1000) : 0;
-            saveInboundCallHistory(call, 'Completed', duration);
-        }
-        
-        // Clean up
-        const confName = call.conferenceName;
-        if (confName) conferenceCallMap.delete(confName);
-        inboundCalls.delete(CallSid);
-    }, 120000);
+    if (callerStudent) {
+        callerName = callerStudent.name;
+        console.log('   ✅ Caller identified:', callerName);
+    } else {
+        console.log('   ⚠️ Caller not in student database');
+    }
+    
+    const call = inboundCalls.get(CallSid);
+    if (!call || call.status !== 'ringing') return; // Caller already hung up
+    call.callerName = callerName;
+    call.studentId = callerStudent ? String(callerStudent._id) : null;
+    call.routing = { tiers, tier: 0, tried: [], declined: [], ringing: [], offerExpiresAt: 0 };
+    inboundCalls.save(CallSid);
+    
+    console.log('   📋 Ring order:', tiers.map(tier => `${tier.name}${tier.agentIds ? ` (${tier.agentIds.length})` : ''}`).join(' → '));
+    routeInboundCalls();
 });
 
 // Webhook for when <Dial> completes (called for ALL outcomes - answered, no-answer, etc.)
@@ -3250,6 +7931,8 @@ app.post('/webhooks/voice-incoming-dial-complete', (req, res) => {
     console.log('📞 Dial completed for:', CallSid, 'Status:', DialCallStatus, 'Duration:', DialCallDuration);
     
     let incomingCall = inboundCalls.get(CallSid);
+    abandonTransfersForCall(CallSid);
+    endCallHold(CallSid, incomingCall);
     
     // If call not in map (server restart or race condition), create minimal entry
     if (!incomingCall) {
@@ -3308,6 +7991,7 @@ app.post('/webhooks/voice-incoming-dial-complete', (req, res) => {
         const confName = incomingCall.conferenceName;
         if (confName) conferenceCallMap.delete(confName);
         inboundCalls.delete(CallSid);
+        recordAgentCallEnded(incomingCall.answeredById);
         
         res.type('text/xml');
         res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
@@ -3360,6 +8044,7 @@ app.post('/webhooks/voice-incoming-status', async (req, res) => {
         // Just update status info - don't save or delete (dial-complete handles that)
         if (duration > 0) {
             incomingCall.duration = duration;
+            inboundCalls.save(CallSid);
         }
         
         // Broadcast status update to UI
@@ -3371,6 +8056,12 @@ app.post('/webhooks/voice-incoming-status', async (req, res) => {
                 callerName: incomingCall.callerName,
                 from: incomingCall.from
             });
+            
+            // Hung up while waiting - take it out of the queue
+            if (incomingCall.status === 'ringing') {
+                incomingCall.status = 'abandoned';
+                inboundCalls.save(CallSid);
+            }
         }
     } else {
         console.log('   ℹ️ Call already handled by dial-complete');
@@ -3381,6 +8072,8 @@ app.post('/webhooks/voice-incoming-status', async (req, res) => {
 
 // Helper function to save inbound call to history
 async function saveInboundCallHistory(callData, status, duration) {
+    recordCallAttendance({ studentId: callData.studentId, studentPhone: callData.from, callSid: callData.callSid, status, duration });
+    
     // Check if recording exists in recordings map
     const recording = recordingsMap.get(callData.callSid);
     const recordingUrl = callData.recordingUrl || (recording ? recording.url : null);
@@ -3391,46 +8084,43 @@ async function saveInboundCallHistory(callData, status, duration) {
         studentId: callData.studentId,
         studentName: callData.callerName,
         teacherName: callData.answeredBy || 'System',
+        teacherId: callData.answeredById || null,
         phone: callData.from,
         duration: duration,
+        holdDuration: holdSeconds(callData),
         status: `Inbound - ${status}`,
         timestamp: new Date(callData.startTime).toISOString(),
         direction: 'inbound',
         recordingUrl: recordingUrl
     };
+    if (callData.transfer) {
+        // Final leg of a transferred call - belongs to the teacher who took it over
+        Object.assign(historyEntry, callData.transfer, {
+            parentCallSid: callData.callSid,
+            duration: Math.floor((Date.now() - callData.transferredAt) / 1000),
+            timestamp: new Date(callData.transferredAt).toISOString()
+        });
+    }
+    
+    // Latest info wins on an entry that was already saved (e.g. recording URL, duration)
+    const latest = { status: historyEntry.status };
+    if (historyEntry.duration) latest.duration = historyEntry.duration;
+    if (historyEntry.holdDuration) latest.holdDuration = historyEntry.holdDuration;
+    if (recordingUrl) latest.recordingUrl = recordingUrl;
+    if (callData.answeredBy) latest.teacherName = callData.answeredBy;
+    if (callData.answeredById) latest.teacherId = callData.answeredById;
+    const firstSave = Object.fromEntries(Object.entries(historyEntry).filter(([key]) => !(key in latest) && key !== 'callSid'));
     
     try {
-        if (isDbConnected()) {
-            // Check for duplicate first
-            const existing = await CallHistory.findOne({ callSid: callData.callSid });
-            if (existing) {
-                // Update existing entry with latest info (e.g. recording URL, duration)
-                await CallHistory.findOneAndUpdate(
-                    { callSid: callData.callSid },
-                    { 
-                        duration: duration || existing.duration,
-                        recordingUrl: recordingUrl || existing.recordingUrl,
-                        status: `Inbound - ${status}`,
-                        teacherName: callData.answeredBy || existing.teacherName
-                    }
-                );
-                console.log('   💾 Inbound call updated in database (was already saved)');
-            } else {
-                await CallHistory.create(historyEntry);
-                console.log('   💾 Inbound call saved to database');
-            }
-        } else {
-            // Check memory for duplicate
-            const existingIdx = inMemoryCallHistory.findIndex(h => h.callSid === callData.callSid);
-            if (existingIdx >= 0) {
-                // Update existing
-                inMemoryCallHistory[existingIdx] = { ...inMemoryCallHistory[existingIdx], ...historyEntry };
-                console.log('   💾 Inbound call updated in memory');
-            } else {
-                inMemoryCallHistory.unshift(historyEntry);
-                console.log('   💾 Inbound call saved to memory');
-            }
-        }
+        // One upsert keyed by callSid, so a replay after an outage can't duplicate it
+        const { queued } = await durableWrite(`inbound call ${callData.callSid}`, [{
+            entity: 'callHistory',
+            op: 'updateOne',
+            filter: { callSid: callData.callSid },
+            update: { $set: latest, $setOnInsert: firstSave },
+            upsert: true
+        }]);
+        console.log(queued ? '   📥 Inbound call history queued' : '   💾 Inbound call saved to database');
     } catch (err) {
         console.error('   ❌ Failed to save inbound call history:', err.message);
     }
@@ -3440,24 +8130,32 @@ async function saveInboundCallHistory(callData, status, duration) {
 // NOTE: The actual voice connection is handled by the browser Twilio Device (call.accept())
 // This endpoint just updates our tracking/status
 app.post('/api/inbound-call/answer', async (req, res) => {
-    const { callSid, answeredBy } = req.body;
+    const { callSid } = req.body;
+    const answeredBy = req.user.name;
     
     console.log('📞 Incoming call answered by:', answeredBy, 'CallSid:', callSid);
     
-    if (!callSid || !answeredBy) {
-        return res.status(400).json({ success: false, error: 'callSid and answeredBy are required' });
+    if (!callSid) {
+        return res.status(400).json({ success: false, error: 'callSid is required' });
     }
     
     let incomingCall = inboundCalls.get(callSid);
     
+    // Teachers only take calls routed to them
+    if (!roleCan(req.user.type, 'calls:live') && !incomingCall?.routing?.ringing.includes(req.user.id)) {
+        return res.status(403).json({ success: false, error: 'This call is not ringing for you' });
+    }
+    
     if (incomingCall) {
         incomingCall.status = 'answered';
         incomingCall.answeredBy = answeredBy;
+        incomingCall.answeredById = req.user.id;
         incomingCall.answeredTime = Date.now();
+        inboundCalls.save(callSid);
     } else {
         incomingCall = {
             callSid, from: 'Unknown', to: '', callerName: 'Caller',
-            status: 'answered', answeredBy, answeredTime: Date.now(),
+            status: 'answered', answeredBy, answeredById: req.user.id, answeredTime: Date.now(),
             startTime: Date.now(), conferenceName: `inbound_${callSid}`
         };
         inboundCalls.set(callSid, incomingCall);
@@ -3470,17 +8168,44 @@ app.post('/api/inbound-call/answer', async (req, res) => {
         from: incomingCall.from
     });
     
+    // From here on only the agent who took it follows the call
+    if (incomingCall.routing) {
+        incomingCall.routing.ringing = [req.user.id];
+        inboundCalls.save(callSid);
+    }
+    
     console.log('   ✅ Call answer tracked - audio connection handled by browser Conference join');
     
+    const { routing, ...call } = incomingCall;
     res.json({ 
         success: true, 
         message: 'Call answered',
         conferenceName: incomingCall.conferenceName || `inbound_${callSid}`,
-        call: incomingCall
+        call
     });
 });
 
-// API endpoint to reject/decline an incoming call
+// Agent passes on a call ringing for them - it moves on to the next agent
+app.post('/api/inbound-call/decline', (req, res) => {
+    const { callSid } = req.body;
+    const incomingCall = inboundCalls.get(callSid);
+    
+    if (!incomingCall || incomingCall.status !== 'ringing' || !incomingCall.routing?.ringing.includes(req.user.id)) {
+        return res.status(409).json({ success: false, error: 'This call is no longer ringing for you' });
+    }
+    
+    console.log('📞 Incoming call passed on by:', req.user.name, 'CallSid:', callSid);
+    const { routing } = incomingCall;
+    routing.ringing = routing.ringing.filter(id => id !== req.user.id);
+    routing.declined.push(req.user.id);
+    if (!routing.ringing.length) routing.offerExpiresAt = 0;
+    inboundCalls.save(callSid);
+    routeInboundCalls();
+    
+    res.json({ success: true });
+});
+
+// API endpoint to reject an incoming call - ends it for the caller
 app.post('/api/inbound-call/reject', async (req, res) => {
     const { callSid, reason } = req.body;
     
@@ -3527,7 +8252,11 @@ app.post('/api/inbound-call/reject', async (req, res) => {
 
 // API endpoint to get current incoming calls
 app.get('/api/inbound-calls', (req, res) => {
-    const calls = Array.from(inboundCalls.values()).filter(c => c.status === 'ringing');
+    const calls = waitingInboundCalls().map(({ routing, ...call }, index) => ({
+        ...call,
+        queuePosition: index + 1,
+        ringingFor: routing ? routing.ringing : []
+    }));
     res.json({ 
         success: true, 
         calls 
@@ -3554,18 +8283,15 @@ app.post('/webhooks/sms-incoming', async (req, res) => {
         let studentId = From;
         let studentName = From;
         
-        if (dbConnected) {
-            student = await Student.findOne({ phone: From });
-            if (student) {
-                studentId = student._id.toString();
-                studentName = student.name;
-            }
-        } else {
-            student = inMemoryStudents.find(s => s.phone === From);
-            if (student) {
-                studentId = student.id;
-                studentName = student.name;
-            }
+        try {
+            student = await db.students.findOne({ phone: From }, { select: 'name' });
+        } catch (err) {
+            // Database unreachable - the message still gets queued, matched from cache if we can
+            student = (getCachedData('students') || []).find(s => s.phone === From) || null;
+        }
+        if (student) {
+            studentId = String(student._id);
+            studentName = student.name;
         }
         
         // Save incoming message
@@ -3581,54 +8307,35 @@ app.post('/webhooks/sms-incoming', async (req, res) => {
             timestamp: new Date()
         };
         
-        let savedMessage;
-        if (dbConnected) {
-            savedMessage = await Message.create(messageData);
-            
-            // Update or create conversation with unread count
-            await Conversation.findOneAndUpdate(
-                { studentId },
-                {
+        const { queued, result: savedMessage } = await durableWrite(`incoming SMS ${MessageSid}`, [
+            // Once per MessageSid: a Twilio retry or a replay finds the row already there
+            { entity: 'messages', op: 'create', data: messageData, once: true },
+            // Update or create conversation with unread count - once per message, even when replayed
+            {
+                entity: 'conversations',
+                op: 'updateOne',
+                filter: { studentId, lastMessageSid: { $ne: MessageSid } },
+                update: {
                     studentId,
                     studentName,
                     studentPhone: From,
                     lastMessage: Body,
                     lastMessageTime: new Date(),
                     lastMessageDirection: 'inbound',
+                    lastMessageSid: MessageSid,
                     $inc: { unreadCount: 1 },
                     updatedAt: new Date()
                 },
-                { upsert: true, new: true }
-            );
-        } else {
-            savedMessage = { ...messageData, _id: Date.now().toString() };
-            inMemoryMessages.push(savedMessage);
-            
-            // Update in-memory conversations
-            const convIndex = inMemoryConversations.findIndex(c => c.studentPhone === From);
-            if (convIndex >= 0) {
-                inMemoryConversations[convIndex].lastMessage = Body;
-                inMemoryConversations[convIndex].lastMessageTime = new Date();
-                inMemoryConversations[convIndex].lastMessageDirection = 'inbound';
-                inMemoryConversations[convIndex].unreadCount = (inMemoryConversations[convIndex].unreadCount || 0) + 1;
-            } else {
-                inMemoryConversations.unshift({
-                    studentId,
-                    studentName,
-                    studentPhone: From,
-                    lastMessage: Body,
-                    lastMessageTime: new Date(),
-                    lastMessageDirection: 'inbound',
-                    unreadCount: 1,
-                    updatedAt: new Date()
-                });
+                upsert: true
             }
-        }
+        ]);
         
-        // Broadcast to all clients
-        broadcastNewMessage(savedMessage);
+        // Broadcast to all clients (unless Twilio is retrying a message we already have)
+        if (queued || savedMessage) {
+            broadcastNewMessage(savedMessage);
+        }
         
-        console.log('✅ Incoming SMS saved');
+        console.log(queued ? '📥 Incoming SMS queued' : savedMessage ? '✅ Incoming SMS saved' : '↩️ Incoming SMS already saved');
         
         // Respond to Twilio (empty TwiML means no auto-reply)
         res.set('Content-Type', 'text/xml');
@@ -3647,15 +8354,12 @@ app.post('/webhooks/sms-status', async (req, res) => {
     console.log('📱 SMS Status Update:', MessageStatus, 'for:', MessageSid);
     
     try {
-        if (dbConnected) {
-            await Message.findOneAndUpdate(
-                { messageSid: MessageSid },
-                { status: MessageStatus }
-            );
-        } else {
-            const msg = inMemoryMessages.find(m => m.messageSid === MessageSid);
-            if (msg) msg.status = MessageStatus;
-        }
+        await durableWrite(`SMS status ${MessageSid}`, [{
+            entity: 'messages',
+            op: 'updateOne',
+            filter: { messageSid: MessageSid },
+            update: { status: MessageStatus }
+        }]);
     } catch (err) {
         console.error('SMS status update error:', err);
     }
@@ -3666,7 +8370,9 @@ app.post('/webhooks/sms-status', async (req, res) => {
 // ---------------------------------------------------------
 // HEALTH CHECK
 // ---------------------------------------------------------
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    // Writes waiting for MongoDB: how many, and how long the oldest has waited
+    const outbox = await outboxStatus().catch(err => ({ error: err.message }));
     res.json({
         status: 'ok',
         version: 'RECORDING-FIX-V4-S3AUTH-2026',  // ← Verify this shows after deploy!
@@ -3674,10 +8380,11 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         twilio: !!twilioClient,
         twilioVideo: hasVideoApiKeys(),
-        database: isDbConnected() ? 'MongoDB Connected' : 'Disconnected',
+        database: db.backend === 'file' ? 'File store' : isDbConnected() ? 'MongoDB Connected' : 'Disconnected',
         mongoState: mongoose.connection.readyState,
         websocket: wsClients.size + ' clients',
-        activeVideoRooms: activeVideoRooms.size
+        activeVideoRooms: activeVideoRooms.size,
+        outbox
     });
 });
 
@@ -3705,18 +8412,34 @@ app.get('/api/debug/video-rooms', (req, res) => {
 // START SERVER
 // ---------------------------------------------------------
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, async () => {
+// Shared state first - an instance that can't see the others must not take traffic
+startSharedState().then(() => server.listen(PORT, async () => {
     console.log('\n' + '='.repeat(50));
     console.log('🚀 QURAN ACADEMY SERVER STARTED');
     console.log('='.repeat(50));
     console.log(`   Port: ${PORT}`);
-    console.log(`   Database: ${isDbConnected() ? 'MongoDB Connected ✓' : 'Connecting... (state: ' + mongoose.connection.readyState + ')'}`);
+    console.log(`   Database: ${db.backend === 'file' ? `File store (${config.dataDir})` : isDbConnected() ? 'MongoDB Connected ✓' : 'Connecting... (state: ' + mongoose.connection.readyState + ')'}`);
     console.log(`   Twilio Voice/SMS: ${twilioClient ? 'Connected ✓' : 'Not configured'}`);
     console.log(`   Twilio Video: ${hasVideoApiKeys() ? 'Configured ✓' : 'Not configured (add TWILIO_API_KEY_SID & TWILIO_API_KEY_SECRET)'}`);
     console.log(`   Twilio Voice Browser: ${hasVideoApiKeys() ? 'Configured ✓ (incoming calls enabled)' : 'Not configured'}`);
     console.log(`   WebSocket: Enabled ✓`);
+    console.log(`   Shared State: ${sharedState.name === 'redis' ? `Redis ✓ (instance ${INSTANCE_ID})` : 'In-process (single instance - set REDIS_URL to scale out)'}`);
+    console.log(`   Call Routing: ${config.callRouting.tiers.join(' → ')} (${config.callRouting.distribution}, ${config.callRouting.ringSeconds}s per offer, open ${describeBusinessHours()})`);
+    if (outbox) {
+        const queued = await outboxStatus();
+        console.log(`   Offline Write Queue: ${config.dataDir} (${queued.pending} pending${queued.failed ? `, ${queued.failed} failed` : ''})`);
+    }
+    if (sharedState.name === 'redis' && db.backend === 'file') {
+        console.warn('   ⚠️ The file store belongs to this instance only - set MONGODB_URI before scaling out');
+    }
+    console.log(`   Reminder Scheduler: ${config.reminders.enabled ? `Enabled ✓ (${config.reminders.minutesBefore} min before class, quiet ${config.reminders.quietHoursStart}-${config.reminders.quietHoursEnd})` : 'Disabled'}`);
     console.log('='.repeat(50));
     
+    startReminderScheduler();
+    startAttendanceTracking();
+    startOutbox();
+    startCallRouting();
+    
     // Warm up Twilio API connection for faster SMS delivery
     if (twilioClient) {
         try {
@@ -3758,4 +8481,7 @@ server.listen(PORT, async () => {
     }
     
     console.log('');
+})).catch(err => {
+    console.error('❌ Shared state unavailable - not starting:', err.message);
+    process.exit(1);
 });
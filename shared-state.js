@@ -0,0 +1,267 @@
+// ==========================================================
+// SHARED STATE ADAPTERS (multi-instance)
+// Live call/room state, rate-limit counters, cache invalidation
+// and WebSocket broadcasts go through one adapter so several
+// instances behind a load balancer see the same thing:
+//   InProcessSharedState - default, one instance, nothing to run
+//   RedisSharedState     - REDIS_URL set (any Redis-protocol server)
+// SharedMap keeps a Map in step across instances on top of either.
+// ==========================================================
+const os = require('os');
+
+// Names this process in locks and replication messages
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+class InProcessSharedState {
+    constructor({ instanceId = INSTANCE_ID } = {}) {
+        this.name = 'in-process';
+        this.instanceId = instanceId;
+        this.maps = [];            // SharedMaps kept in this state
+        this.hashes = new Map();   // namespace → Map(key → string)
+        this.counters = new Map(); // key → { count, expiresAt }
+        this.locks = new Map();    // key → expiresAt
+        this.channels = new Map(); // channel → [handler]
+    }
+    
+    async connect() {}
+    
+    async hashSet(namespace, key, value) {
+        if (!this.hashes.has(namespace)) this.hashes.set(namespace, new Map());
+        this.hashes.get(namespace).set(key, value);
+    }
+    
+    async hashDelete(namespace, key) {
+        this.hashes.get(namespace)?.delete(key);
+    }
+    
+    async hashGet(namespace, key) {
+        return this.hashes.get(namespace)?.get(key);
+    }
+    
+    async hashGetAll(namespace) {
+        return Object.fromEntries(this.hashes.get(namespace) || []);
+    }
+    
+    // Count within a fixed window that starts with the first hit
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+            counter = { count: 0, expiresAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        return ++counter.count;
+    }
+    
+    async acquireLock(key, ttlMs) {
+        const now = Date.now();
+        if ((this.locks.get(key) || 0) > now) return false;
+        this.locks.set(key, now + ttlMs);
+        return true;
+    }
+    
+    async publish(channel, message) {
+        (this.channels.get(channel) || []).forEach(handler => handler(message));
+    }
+    
+    async subscribe(channel, handler) {
+        this.channels.set(channel, [...(this.channels.get(channel) || []), handler]);
+    }
+    
+    // Drop expired counters/locks (Redis does this with key TTLs)
+    sweep() {
+        const now = Date.now();
+        this.counters.forEach((counter, key) => { if (counter.expiresAt <= now) this.counters.delete(key); });
+        this.locks.forEach((expiresAt, key) => { if (expiresAt <= now) this.locks.delete(key); });
+    }
+}
+
+// Redis: the client class, ioredis unless a test passes a stand-in
+class RedisSharedState {
+    constructor(url, keyPrefix, { instanceId = INSTANCE_ID, Redis = require('ioredis') } = {}) {
+        this.name = 'redis';
+        this.instanceId = instanceId;
+        this.maps = [];
+        this.prefix = keyPrefix;
+        // Subscribed connections can't run other commands - keep one for each
+        this.client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+        this.subscriber = new Redis(url, { lazyConnect: true });
+        this.handlers = new Map();
+        
+        this.subscriber.on('message', (channel, message) => {
+            (this.handlers.get(channel) || []).forEach(handler => handler(message));
+        });
+        [this.client, this.subscriber].forEach(connection => {
+            connection.on('error', err => console.error('❌ Redis error:', err.message));
+            connection.on('reconnecting', () => console.log('🔄 Redis reconnecting...'));
+        });
+    }
+    
+    async connect() {
+        await Promise.all([this.client.connect(), this.subscriber.connect()]);
+    }
+    
+    async hashSet(namespace, key, value) {
+        await this.client.hset(this.prefix + namespace, key, value);
+    }
+    
+    async hashDelete(namespace, key) {
+        await this.client.hdel(this.prefix + namespace, key);
+    }
+    
+    async hashGet(namespace, key) {
+        return (await this.client.hget(this.prefix + namespace, key)) ?? undefined;
+    }
+    
+    async hashGetAll(namespace) {
+        return this.client.hgetall(this.prefix + namespace);
+    }
+    
+    async increment(key, windowMs) {
+        const count = await this.client.incr(this.prefix + key);
+        if (count === 1) await this.client.pexpire(this.prefix + key, windowMs);
+        return count;
+    }
+    
+    async acquireLock(key, ttlMs) {
+        return (await this.client.set(this.prefix + key, this.instanceId, 'PX', ttlMs, 'NX')) === 'OK';
+    }
+    
+    async publish(channel, message) {
+        await this.client.publish(this.prefix + channel, message);
+    }
+    
+    async subscribe(channel, handler) {
+        const fullChannel = this.prefix + channel;
+        if (!this.handlers.has(fullChannel)) {
+            this.handlers.set(fullChannel, []);
+            await this.subscriber.subscribe(fullChannel);
+        }
+        this.handlers.get(fullChannel).push(handler);
+    }
+    
+    sweep() {}
+}
+
+// ISO timestamps come back as Dates so replicated values look like local ones
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const reviveDates = (key, value) => (typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value);
+
+// A Map every instance shares. Reads stay synchronous against a local copy;
+// set()/delete() - and save() after changing a stored object in place - write
+// the entry to the shared store and tell the other instances. Last write wins.
+//   localFields: properties never replicated (timers and other handles)
+//   flushDelayMs: batch rapid changes to one entry (whiteboard strokes)
+class SharedMap extends Map {
+    constructor(state, namespace, { localFields = [], flushDelayMs = 0 } = {}) {
+        super();
+        this.state = state;
+        this.namespace = namespace;
+        this.localFields = localFields;
+        this.flushDelayMs = flushDelayMs;
+        this.dirty = new Set();
+        this.flushTimer = null;
+        state.maps.push(this);
+    }
+    
+    set(key, value) {
+        super.set(key, value);
+        if (this.dirty) this.save(key); // Map's constructor calls set() before our fields exist
+        return this;
+    }
+    
+    delete(key) {
+        const existed = super.delete(key);
+        this.save(key);
+        return existed;
+    }
+    
+    // Replicate the entry's current state (or its removal) - changes in the same tick go out once
+    save(key) {
+        this.dirty.add(key);
+        if (!this.flushTimer) {
+            this.flushTimer = this.flushDelayMs
+                ? setTimeout(() => this.flush(), this.flushDelayMs)
+                : setImmediate(() => this.flush());
+        }
+    }
+    
+    flush() {
+        this.flushTimer = null;
+        const keys = [...this.dirty];
+        this.dirty.clear();
+        
+        keys.forEach(key => {
+            const value = super.get(key);
+            const write = value === undefined
+                ? this.state.hashDelete(this.namespace, key)
+                : this.state.hashSet(this.namespace, key, this.serialize(value));
+            write
+                .then(() => this.state.publish('shared-map', JSON.stringify({
+                    origin: this.state.instanceId, namespace: this.namespace, key, deleted: value === undefined
+                })))
+                .catch(err => console.error(`❌ Shared state write failed (${this.namespace}/${key}):`, err.message));
+        });
+    }
+    
+    serialize(value) {
+        if (value === null || typeof value !== 'object' || !this.localFields.length) return JSON.stringify(value);
+        const copy = { ...value };
+        this.localFields.forEach(field => delete copy[field]);
+        return JSON.stringify(copy);
+    }
+    
+    // Another instance changed an entry - re-read it. Objects are updated in place
+    // so references held across an await see the new state.
+    async refresh(key, deleted) {
+        if (deleted) {
+            super.delete(key);
+            return;
+        }
+        const raw = await this.state.hashGet(this.namespace, key);
+        if (raw === undefined) return;
+        this.applyRemote(key, JSON.parse(raw, reviveDates));
+    }
+    
+    applyRemote(key, value) {
+        const current = super.get(key);
+        if (current && typeof current === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(current).forEach(field => {
+                if (!(field in value) && !this.localFields.includes(field)) delete current[field];
+            });
+            Object.assign(current, value);
+        } else {
+            super.set(key, value);
+        }
+    }
+    
+    // Load what other instances already hold (startup)
+    async hydrate() {
+        const entries = await this.state.hashGetAll(this.namespace);
+        Object.entries(entries || {}).forEach(([key, raw]) => super.set(key, JSON.parse(raw, reviveDates)));
+        return Object.keys(entries || {}).length;
+    }
+}
+
+// Follow the other instances' changes to the state's maps, then load what
+// they already hold. Returns the number of entries loaded.
+async function replicateSharedMaps(state) {
+    await state.subscribe('shared-map', (raw) => {
+        const change = JSON.parse(raw);
+        if (change.origin === state.instanceId) return;
+        const map = state.maps.find(m => m.namespace === change.namespace);
+        if (map) map.refresh(change.key, change.deleted).catch(err => console.error('❌ Shared state refresh failed:', err.message));
+    });
+    
+    let loaded = 0;
+    for (const map of state.maps) loaded += await map.hydrate();
+    return loaded;
+}
+
+module.exports = {
+    INSTANCE_ID,
+    InProcessSharedState,
+    RedisSharedState,
+    SharedMap,
+    replicateSharedMaps
+};
@@ -0,0 +1,111 @@
+// Shared helpers for the server tests. Each test file starts its own server
+// on a free port with a throwaway file store, so tests never touch real data.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT_MS = 20000;
+
+const ADMIN = { email: 'admin@quranacademy.com', password: 'Quran@123', type: 'admin' };
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// env overrides the test defaults: no MongoDB, no Redis, no Twilio, no reminder calls
+async function startServer(env = {}) {
+    const port = await freePort();
+    const url = `http://localhost:${port}`;
+    const dataDir = env.DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'quran-academy-test-'));
+
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PUBLIC_URL: url,
+            DATA_DIR: dataDir,
+            MONGODB_URI: '',
+            REDIS_URL: '',
+            JWT_SECRET: 'test-secret',
+            TWILIO_ACCOUNT_SID: '',
+            TWILIO_AUTH_TOKEN: '',
+            TWILIO_PHONE_NUMBER: '',
+            REMINDER_SCHEDULER: 'false',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`Server did not start in time:\n${output}`));
+        }, START_TIMEOUT_MS);
+        const onExit = (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        };
+        const onData = (chunk) => {
+            output += chunk;
+            // A fresh data dir also waits for the default admin to be seeded
+            const seeded = env.DATA_DIR || output.includes('Default admin account created');
+            if (output.includes('SERVER STARTED') && seeded) {
+                clearTimeout(timer);
+                child.off('exit', onExit);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', onExit);
+    });
+
+    // body: JSON, form: urlencoded (what Twilio posts)
+    async function request(method, pathname, { token, body, form, headers = {} } = {}) {
+        const init = { method, headers: { ...headers }, redirect: 'manual' };
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        } else if (form !== undefined) {
+            init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            init.body = new URLSearchParams(form).toString();
+        }
+        const res = await fetch(url + pathname, init);
+        const text = await res.text();
+        let data = text;
+        try { data = JSON.parse(text); } catch (e) { /* TwiML or plain text */ }
+        return { status: res.status, headers: res.headers, body: data };
+    }
+
+    async function login({ email, password, type }) {
+        const res = await request('POST', '/api/auth/login', { body: { email, password, type } });
+        if (!res.body.success) throw new Error(`Login failed for ${email}: ${res.body.error}`);
+        return res.body.accessToken;
+    }
+
+    async function stop() {
+        if (child.exitCode === null) {
+            await new Promise(resolve => {
+                child.once('exit', resolve);
+                child.kill('SIGTERM');
+            });
+        }
+        if (!env.DATA_DIR) fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { url, port, dataDir, request, login, stop, output: () => output };
+}
+
+module.exports = { ADMIN, startServer };
@@ -0,0 +1,66 @@
+// Offline write queue: with MongoDB unreachable, writes are queued in a file
+// under DATA_DIR - which must stay private to the server.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const APP_DIR = path.join(__dirname, '..');
+
+let server;
+let dataDir;
+let outboxFile;
+
+// MongoDB mode with nothing listening, the queue under the app's ./data like a default install
+before(async () => {
+    fs.mkdirSync(path.join(APP_DIR, 'data'), { recursive: true });
+    dataDir = fs.mkdtempSync(path.join(APP_DIR, 'data', 'test-'));
+    outboxFile = path.join(dataDir, 'outboxentries.json');
+    server = await startServer({
+        DATA_DIR: dataDir,
+        MONGODB_URI: 'mongodb://127.0.0.1:9/quran-academy-test',
+        TWILIO_VALIDATE_WEBHOOKS: 'false'
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function waitForFile(file) {
+    const started = Date.now();
+    while (!fs.existsSync(file)) {
+        if (Date.now() - started > 5000) throw new Error(`${file} was never written`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test('an incoming SMS is queued while MongoDB is down', async () => {
+    const res = await server.request('POST', '/webhooks/sms-incoming', {
+        form: { From: '+15550001111', Body: 'Assalamu alaikum', MessageSid: 'SM00000000000000000000000000000001' }
+    });
+    assert.equal(res.status, 200);
+
+    await waitForFile(outboxFile);
+    const [entry] = JSON.parse(fs.readFileSync(outboxFile, 'utf8'));
+    assert.equal(entry.label, 'incoming SMS SM00000000000000000000000000000001');
+
+    const health = await server.request('GET', '/health');
+    assert.equal(health.body.outbox.pending, 1);
+});
+
+test('the queue file is readable by the server only', { skip: process.platform === 'win32' && 'no POSIX modes' }, async () => {
+    await waitForFile(outboxFile);
+    assert.equal(fs.statSync(outboxFile).mode & 0o777, 0o600);
+});
+
+test('the queue file is not served', async () => {
+    await waitForFile(outboxFile);
+    const store = `/${path.relative(APP_DIR, dataDir).split(path.sep).join('/')}`;
+    for (const route of [`${store}/outboxentries.json`, '/data/outboxentries.json']) {
+        const res = await server.request('GET', route);
+        assert.equal(res.status, 404, `${route} answered ${res.status}`);
+    }
+});
@@ -0,0 +1,24 @@
+// The shared Quran viewer reads the bundled mushaf text - no setup needed
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => { server = await startServer(); });
+after(() => server?.stop());
+
+test('every ayah of a surah comes with its text', async () => {
+    for (const [surah, ayahs] of [[1, 7], [2, 286], [114, 6]]) {
+        const res = await server.request('GET', `/api/quran/text/${surah}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.surah.ayahs, ayahs);
+        assert.equal(res.body.verses.length, ayahs);
+        assert.ok(res.body.verses.every(verse => typeof verse === 'string' && verse.length > 0), `surah ${surah} has empty ayahs`);
+    }
+});
+
+test('an unknown surah is a 404', async () => {
+    const res = await server.request('GET', '/api/quran/text/115');
+    assert.equal(res.status, 404);
+});
@@ -0,0 +1,289 @@
+// One contract for both data backends: the file store must answer the same
+// Mongo-style filters, updates and options the way MongoDB does.
+// The MongoDB half runs against MONGODB_TEST_URI, or a mongodb-memory-server
+// instance when its mongod binary can be fetched. Without either it is skipped
+// with a warning - but fails under CI, where both backends must be checked;
+// set SKIP_MONGODB_TESTS=1 to skip it on purpose.
+const { test, describe, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoRepository, FileRepository } = require('../repositories');
+
+const roomSchema = new mongoose.Schema({
+    roomName: { type: String, required: true, unique: true },
+    status: { type: String, default: 'active' },
+    teacherId: { type: String },
+    tags: [{ type: String }],
+    participants: [{
+        _id: false,
+        studentId: String,
+        name: String,
+        joinedAt: Date,
+        leftAt: Date
+    }],
+    messageCount: { type: Number, default: 0 },
+    firstSeenAt: { type: Date },
+    lastSeenAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const ids = (docs) => docs.map(doc => doc.roomName).sort();
+
+async function seed(repo) {
+    await repo.create({
+        roomName: 'room-a', teacherId: 't1', tags: ['hifz', 'group'], messageCount: 3,
+        participants: [{ studentId: 's1', name: 'Aisha' }, { studentId: 's2', name: 'Bilal' }],
+        createdAt: new Date('2026-01-01T10:00:00Z')
+    });
+    await repo.create({
+        roomName: 'room-b', teacherId: 't2', status: 'completed', tags: ['tajweed'], messageCount: 5,
+        participants: [{ studentId: 's3', name: 'Yusuf' }],
+        createdAt: new Date('2026-01-02T10:00:00Z')
+    });
+    await repo.create({ roomName: 'Room-C', status: 'completed', createdAt: new Date('2026-01-03T10:00:00Z') });
+}
+
+function repositoryContract(openRepository) {
+    let repo;
+    beforeEach(async () => {
+        repo = await openRepository();
+        await seed(repo);
+    });
+
+    test('create applies schema defaults and returns a plain object', async () => {
+        const doc = await repo.create({ roomName: 'room-d' });
+        assert.equal(doc.status, 'active');
+        assert.equal(doc.messageCount, 0);
+        assert.ok(doc.createdAt instanceof Date);
+        assert.equal(String((await repo.findById(String(doc._id)))._id), String(doc._id));
+    });
+
+    test('$in, $nin and $ne', async () => {
+        assert.deepEqual(ids(await repo.find({ teacherId: { $in: ['t1', 't2'] } })), ['room-a', 'room-b']);
+        assert.deepEqual(ids(await repo.find({ status: { $nin: ['completed'] } })), ['room-a']);
+        // $ne matches documents without the field too
+        assert.deepEqual(ids(await repo.find({ teacherId: { $ne: 't1' } })), ['Room-C', 'room-b']);
+    });
+
+    test('$exists', async () => {
+        assert.deepEqual(ids(await repo.find({ teacherId: { $exists: true } })), ['room-a', 'room-b']);
+        assert.deepEqual(ids(await repo.find({ teacherId: { $exists: false } })), ['Room-C']);
+    });
+
+    test('$regex with options, and RegExp values', async () => {
+        assert.deepEqual(ids(await repo.find({ roomName: { $regex: '^room-', $options: 'i' } })), ['Room-C', 'room-a', 'room-b']);
+        assert.deepEqual(ids(await repo.find({ roomName: /^room-/ })), ['room-a', 'room-b']);
+    });
+
+    test('comparisons on dates, $or and $and', async () => {
+        const after = await repo.find({ createdAt: { $gt: new Date('2026-01-01T12:00:00Z') } });
+        assert.deepEqual(ids(after), ['Room-C', 'room-b']);
+        const either = await repo.find({ $or: [{ teacherId: 't1' }, { status: 'completed', teacherId: { $exists: false } }] });
+        assert.deepEqual(ids(either), ['Room-C', 'room-a']);
+        const both = await repo.find({ $and: [{ status: 'completed' }, { messageCount: { $gte: 5 } }] });
+        assert.deepEqual(ids(both), ['room-b']);
+    });
+
+    test('array fields match by element', async () => {
+        assert.deepEqual(ids(await repo.find({ tags: 'hifz' })), ['room-a']);
+        assert.deepEqual(ids(await repo.find({ tags: { $in: ['tajweed', 'nothing'] } })), ['room-b']);
+    });
+
+    test('dotted paths reach into arrays of subdocuments', async () => {
+        assert.deepEqual(ids(await repo.find({ 'participants.studentId': 's2' })), ['room-a']);
+        assert.deepEqual(ids(await repo.find({ 'participants.studentId': { $in: ['s1', 's3'] } })), ['room-a', 'room-b']);
+        assert.equal(await repo.countDocuments({ 'participants.name': 'Nobody' }), 0);
+    });
+
+    test('$-positional updates change only the matched element', async () => {
+        const leftAt = new Date('2026-01-01T11:00:00Z');
+        const matched = await repo.updateOne(
+            { roomName: 'room-a', 'participants.studentId': 's2' },
+            { $set: { 'participants.$.leftAt': leftAt } }
+        );
+        assert.equal(matched, 1);
+
+        const room = await repo.findOne({ roomName: 'room-a' });
+        assert.equal(room.participants[0].leftAt, undefined);
+        assert.equal(room.participants[1].leftAt.getTime(), leftAt.getTime());
+        assert.equal(room.participants[1].name, 'Bilal');
+    });
+
+    test('$push with $each, $inc and $unset', async () => {
+        const room = await repo.findOneAndUpdate(
+            { roomName: 'room-b' },
+            { $push: { tags: { $each: ['review', 'exam'] } }, $inc: { messageCount: 2 }, $unset: { teacherId: '' } }
+        );
+        assert.deepEqual(room.tags, ['tajweed', 'review', 'exam']);
+        assert.equal(room.messageCount, 7);
+        assert.equal(room.teacherId, undefined);
+    });
+
+    test('plain fields in an update are a $set', async () => {
+        const room = await repo.findOneAndUpdate({ roomName: 'room-a' }, { status: 'completed' });
+        assert.equal(room.status, 'completed');
+        assert.equal(room.teacherId, 't1');
+    });
+
+    test('no match without upsert changes nothing', async () => {
+        assert.equal(await repo.findOneAndUpdate({ roomName: 'missing' }, { $set: { status: 'x' } }), null);
+        assert.equal(await repo.updateOne({ roomName: 'missing' }, { $set: { status: 'x' } }), 0);
+        assert.equal(await repo.countDocuments(), 3);
+    });
+
+    test('upsert seeds from the filter and applies $setOnInsert only on insert', async () => {
+        const first = new Date('2026-02-01T09:00:00Z');
+        const later = new Date('2026-02-01T09:05:00Z');
+
+        const inserted = await repo.findOneAndUpdate(
+            { roomName: 'room-new' },
+            { $set: { lastSeenAt: first }, $setOnInsert: { firstSeenAt: first, teacherId: 't9' } },
+            { upsert: true }
+        );
+        assert.equal(inserted.roomName, 'room-new');
+        assert.equal(inserted.status, 'active', 'schema defaults on insert');
+        assert.equal(inserted.firstSeenAt.getTime(), first.getTime());
+        assert.equal(inserted.teacherId, 't9');
+
+        const updated = await repo.findOneAndUpdate(
+            { roomName: 'room-new' },
+            { $set: { lastSeenAt: later }, $setOnInsert: { firstSeenAt: later, teacherId: 'other' } },
+            { upsert: true }
+        );
+        assert.equal(String(updated._id), String(inserted._id));
+        assert.equal(updated.firstSeenAt.getTime(), first.getTime());
+        assert.equal(updated.lastSeenAt.getTime(), later.getTime());
+        assert.equal(updated.teacherId, 't9');
+        assert.equal(await repo.countDocuments({ roomName: 'room-new' }), 1);
+
+        assert.equal(await repo.updateOne({ roomName: 'room-other' }, { $setOnInsert: { status: 'waiting' } }, { upsert: true }), 1);
+        assert.equal((await repo.findOne({ roomName: 'room-other' })).status, 'waiting');
+    });
+
+    test('unique indexes reject duplicates with code 11000', async () => {
+        await assert.rejects(repo.create({ roomName: 'room-a' }), err => err.code === 11000);
+        await assert.rejects(
+            repo.updateOne({ roomName: 'room-b' }, { $set: { roomName: 'room-a' } }),
+            err => err.code === 11000
+        );
+        assert.equal(await repo.countDocuments({ roomName: 'room-a' }), 1);
+        assert.equal(await repo.countDocuments({ roomName: 'room-b' }), 1);
+    });
+
+    test('select projections', async () => {
+        const without = await repo.findOne({ roomName: 'room-a' }, { select: '-participants -tags' });
+        assert.equal(without.participants, undefined);
+        assert.equal(without.tags, undefined);
+        assert.equal(without.teacherId, 't1');
+
+        const only = await repo.findOne({ roomName: 'room-a' }, { select: 'roomName status' });
+        assert.deepEqual(Object.keys(only).sort(), ['_id', 'roomName', 'status']);
+
+        const [object] = await repo.find({ roomName: 'room-b' }, { select: { teacherId: 1, _id: 0 } });
+        assert.deepEqual(object, { teacherId: 't2' });
+
+        const updated = await repo.findOneAndUpdate({ roomName: 'room-b' }, { $inc: { messageCount: 1 } }, { select: 'messageCount' });
+        assert.equal(updated.messageCount, 6);
+        assert.equal(updated.roomName, undefined);
+    });
+
+    test('sort, limit, count and sum', async () => {
+        const newest = await repo.find({}, { sort: { createdAt: -1 }, limit: 2 });
+        assert.deepEqual(newest.map(doc => doc.roomName), ['Room-C', 'room-b']);
+        const byStatus = await repo.find({}, { sort: { status: 1, messageCount: -1 } });
+        assert.deepEqual(byStatus.map(doc => doc.roomName), ['room-a', 'room-b', 'Room-C']);
+        assert.equal(await repo.countDocuments({ status: 'completed' }), 2);
+        assert.equal(await repo.sum('messageCount'), 8);
+        assert.equal(await repo.sum('messageCount', { status: 'completed' }), 5);
+    });
+
+    test('updateMany and deletes report how many documents they touched', async () => {
+        assert.equal(await repo.updateMany({ status: 'completed' }, { $set: { status: 'archived' } }), 2);
+        assert.equal(await repo.countDocuments({ status: 'archived' }), 2);
+
+        const room = await repo.findOne({ roomName: 'room-a' });
+        assert.equal((await repo.findByIdAndDelete(String(room._id))).roomName, 'room-a');
+        assert.equal(await repo.findById(String(room._id)), null);
+        assert.equal(await repo.deleteOne({ roomName: 'missing' }), 0);
+        assert.equal(await repo.deleteMany({ status: 'archived' }), 2);
+        assert.equal(await repo.countDocuments(), 0);
+    });
+
+    test('ids that are not ObjectIds find nothing', async () => {
+        assert.equal(await repo.findById('not-an-id'), null);
+        assert.equal(await repo.findByIdAndUpdate('not-an-id', { $set: { status: 'x' } }), null);
+    });
+}
+
+describe('FileRepository', () => {
+    const Room = mongoose.model('RepositoryTestRoom', roomSchema);
+    const dirs = [];
+    const newDir = () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quran-academy-repo-'));
+        dirs.push(dir);
+        return dir;
+    };
+    after(() => {
+        FileRepository.all.forEach(repo => repo.writeTimer && repo.flush()); // Pending saves before the dirs go
+        dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    repositoryContract(async () => new FileRepository(Room, newDir()));
+
+    test('documents, dates and ids survive a reload from disk', async () => {
+        const dir = newDir();
+        const repo = new FileRepository(Room, dir);
+        const created = await repo.create({ roomName: 'kept', participants: [{ studentId: 's1', joinedAt: new Date('2026-03-01T08:00:00Z') }] });
+        repo.flush();
+
+        const reopened = new FileRepository(Room, dir);
+        const doc = await reopened.findById(created._id);
+        assert.equal(doc.roomName, 'kept');
+        assert.ok(doc.createdAt instanceof Date);
+        assert.equal(doc.participants[0].joinedAt.toISOString(), '2026-03-01T08:00:00.000Z');
+    });
+});
+
+describe('MongoRepository', async () => {
+    let memoryServer = null;
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+        try {
+            const { MongoMemoryServer } = require('mongodb-memory-server');
+            memoryServer = await MongoMemoryServer.create();
+            uri = memoryServer.getUri();
+        } catch (err) {
+            const reason = `no MongoDB to test against (${err.message.split('\n')[0]})`;
+            if (process.env.CI && process.env.SKIP_MONGODB_TESTS !== '1') {
+                test('MongoDB backend', () => {
+                    throw new Error(`${reason} - set MONGODB_TEST_URI, or SKIP_MONGODB_TESTS=1 to skip on purpose`);
+                });
+            } else {
+                console.warn(`⚠️ MongoRepository contract tests skipped: ${reason}`);
+                test('MongoDB backend', { skip: reason }, () => {});
+            }
+            return;
+        }
+    }
+
+    let connection;
+    let Room;
+    before(async () => {
+        connection = await mongoose.createConnection(uri, { dbName: 'repository-test' }).asPromise();
+        Room = connection.model('RepositoryTestRoom', roomSchema);
+        await Room.init(); // Unique index in place before the duplicate tests
+    });
+    after(async () => {
+        await connection?.dropDatabase();
+        await connection?.close();
+        await memoryServer?.stop();
+    });
+
+    repositoryContract(async () => {
+        await Room.deleteMany({});
+        return new MongoRepository(Room);
+    });
+});
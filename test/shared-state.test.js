@@ -0,0 +1,160 @@
+// Shared state across instances, run against an in-memory Redis stand-in
+// (ioredis-mock): every "instance" below is its own adapter with its own id,
+// sharing one mock server the way real instances share one Redis.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const { InProcessSharedState, RedisSharedState, SharedMap, replicateSharedMaps } = require('../shared-state');
+
+let nextPort = 16379;
+
+// n instances on a fresh mock server, each with the given maps started
+async function startInstances(n, namespaces = [], options = {}) {
+    const url = `redis://localhost:${nextPort++}`;
+    const instances = [];
+    for (let i = 0; i < n; i++) {
+        const state = new RedisSharedState(url, 'test:', { instanceId: `instance-${i}`, Redis: RedisMock });
+        await state.connect();
+        const maps = Object.fromEntries(namespaces.map(ns => [ns, new SharedMap(state, ns, options[ns])]));
+        await replicateSharedMaps(state);
+        instances.push({ url, state, maps });
+    }
+    return instances;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for replication');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('SharedMap replication', () => {
+    test('a set on one instance shows up on the others', async () => {
+        const [a, b] = await startInstances(2, ['calls']);
+        a.maps.calls.set('CA1', { status: 'ringing', startTime: new Date('2026-01-01T10:00:00Z') });
+
+        await waitFor(() => b.maps.calls.has('CA1'));
+        assert.equal(b.maps.calls.get('CA1').status, 'ringing');
+        assert.ok(b.maps.calls.get('CA1').startTime instanceof Date, 'dates come back as Dates');
+    });
+
+    test('save() after an in-place change updates the object other instances hold', async () => {
+        const [a, b] = await startInstances(2, ['calls']);
+        a.maps.calls.set('CA1', { status: 'ringing', answeredBy: 'x' });
+        await waitFor(() => b.maps.calls.has('CA1'));
+        const heldOnB = b.maps.calls.get('CA1');
+
+        const call = a.maps.calls.get('CA1');
+        call.status = 'in-progress';
+        delete call.answeredBy;
+        a.maps.calls.save('CA1');
+
+        await waitFor(() => heldOnB.status === 'in-progress');
+        assert.equal(b.maps.calls.get('CA1'), heldOnB, 'same object, updated in place');
+        assert.equal('answeredBy' in heldOnB, false);
+    });
+
+    test('a delete on one instance removes the entry everywhere', async () => {
+        const [a, b, c] = await startInstances(3, ['rooms']);
+        a.maps.rooms.set('room-1', { status: 'active' });
+        await waitFor(() => b.maps.rooms.has('room-1') && c.maps.rooms.has('room-1'));
+
+        b.maps.rooms.delete('room-1');
+        await waitFor(() => !a.maps.rooms.has('room-1') && !c.maps.rooms.has('room-1'));
+    });
+
+    test('local fields stay on the instance that set them', async () => {
+        const [a, b] = await startInstances(2, ['transfers'], { transfers: { localFields: ['timer'] } });
+        const timer = setTimeout(() => {}, 0);
+        a.maps.transfers.set('t1', { target: 'lead-1', timer });
+
+        await waitFor(() => b.maps.transfers.has('t1'));
+        assert.equal(b.maps.transfers.get('t1').target, 'lead-1');
+        assert.equal(b.maps.transfers.get('t1').timer, undefined);
+        assert.equal(a.maps.transfers.get('t1').timer, timer);
+    });
+
+    test('a new instance loads the entries already shared', async () => {
+        const [a] = await startInstances(1, ['calls']);
+        a.maps.calls.set('CA1', { status: 'ringing' });
+        a.maps.calls.set('CA2', { status: 'in-progress' });
+        await new Promise(resolve => setTimeout(resolve, 20)); // Let the writes go out
+
+        const late = new RedisSharedState(a.url, 'test:', { instanceId: 'late', Redis: RedisMock });
+        await late.connect();
+        const calls = new SharedMap(late, 'calls');
+        assert.equal(await replicateSharedMaps(late), 2);
+        assert.deepEqual(calls.get('CA2'), { status: 'in-progress' });
+    });
+
+    test('maps are kept apart by namespace and key prefix', async () => {
+        const [a, b] = await startInstances(2, ['calls', 'rooms']);
+        a.maps.calls.set('x', 1);
+        await waitFor(() => b.maps.calls.has('x'));
+        assert.equal(b.maps.rooms.has('x'), false);
+
+        const other = new RedisSharedState(a.url, 'other-app:', { instanceId: 'other', Redis: RedisMock });
+        await other.connect();
+        const calls = new SharedMap(other, 'calls');
+        await replicateSharedMaps(other);
+        assert.equal(calls.has('x'), false);
+    });
+});
+
+describe('locks', () => {
+    test('only one instance takes a lock until it expires', async () => {
+        const [a, b, c] = await startInstances(3);
+        const taken = await Promise.all([a, b, c].map(({ state }) => state.acquireLock('lock:cleanup', 100)));
+        assert.equal(taken.filter(Boolean).length, 1);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(await b.state.acquireLock('lock:cleanup', 100), true);
+    });
+
+    test('the in-process adapter behaves the same', async () => {
+        const state = new InProcessSharedState();
+        assert.equal(await state.acquireLock('lock:cleanup', 50), true);
+        assert.equal(await state.acquireLock('lock:cleanup', 50), false);
+        await new Promise(resolve => setTimeout(resolve, 70));
+        assert.equal(await state.acquireLock('lock:cleanup', 50), true);
+    });
+});
+
+describe('rate-limit counters', () => {
+    test('hits from every instance count toward one window', async () => {
+        const [a, b] = await startInstances(2);
+        assert.equal(await a.state.increment('rate:1.2.3.4', 100), 1);
+        assert.equal(await b.state.increment('rate:1.2.3.4', 100), 2);
+        assert.equal(await a.state.increment('rate:1.2.3.4', 100), 3);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(await b.state.increment('rate:1.2.3.4', 100), 1, 'a new window starts');
+    });
+});
+
+describe('WebSocket broadcasts', () => {
+    // Each instance delivers ws-broadcast messages to its own sockets - including the publisher
+    test('a broadcast reaches every instance, the sender included', async () => {
+        const instances = await startInstances(3);
+        const received = instances.map(() => []);
+        for (const [i, { state }] of instances.entries()) {
+            await state.subscribe('ws-broadcast', raw => received[i].push(JSON.parse(raw)));
+        }
+
+        const message = { topics: ['user:42'], message: { type: 'INCOMING_CALL', call: { callSid: 'CA1' } } };
+        await instances[1].state.publish('ws-broadcast', JSON.stringify(message));
+
+        await waitFor(() => received.every(list => list.length === 1));
+        received.forEach(list => assert.deepEqual(list[0], message));
+    });
+
+    test('the in-process adapter delivers to its own subscribers', async () => {
+        const state = new InProcessSharedState();
+        const received = [];
+        await state.subscribe('ws-broadcast', raw => received.push(raw));
+        await state.publish('ws-broadcast', 'hello');
+        assert.deepEqual(received, ['hello']);
+    });
+});
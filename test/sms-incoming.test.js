@@ -0,0 +1,34 @@
+// Incoming SMS webhook: Twilio retries a webhook it didn't get a quick answer
+// to, with the same MessageSid - each message must be saved and counted once.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer } = require('./helpers');
+
+const FROM = '+15550004444';
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer({ TWILIO_VALIDATE_WEBHOOKS: 'false' });
+    adminToken = await server.login(ADMIN);
+});
+
+after(() => server?.stop());
+
+function receive(MessageSid, Body) {
+    return server.request('POST', '/webhooks/sms-incoming', { form: { From: FROM, Body, MessageSid } });
+}
+
+test('a retried MessageSid is saved and counted once', async () => {
+    assert.equal((await receive('SM00000000000000000000000000000001', 'First')).status, 200);
+    assert.equal((await receive('SM00000000000000000000000000000001', 'First')).status, 200);
+    assert.equal((await receive('SM00000000000000000000000000000002', 'Second')).status, 200);
+
+    const conversations = await server.request('GET', '/api/sms/conversations', { token: adminToken });
+    const conversation = conversations.body.conversations.find(c => c.studentPhone === FROM);
+    assert.equal(conversation.unreadCount, 2);
+
+    const messages = await server.request('GET', `/api/sms/messages/${encodeURIComponent(FROM)}`, { token: adminToken });
+    assert.deepEqual(messages.body.messages.map(m => m.body), ['First', 'Second']);
+});
@@ -0,0 +1,56 @@
+// Only the two pages are served: the file store, server code and config
+// sit in the same directory and must never be reachable over HTTP.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const APP_DIR = path.join(__dirname, '..');
+
+let server;
+let dataDir;
+
+// The file store goes where a default install keeps it: under the app's ./data
+before(async () => {
+    fs.mkdirSync(path.join(APP_DIR, 'data'), { recursive: true });
+    dataDir = fs.mkdtempSync(path.join(APP_DIR, 'data', 'test-'));
+    server = await startServer({ DATA_DIR: dataDir });
+    const started = Date.now();
+    while (!fs.existsSync(path.join(dataDir, 'users.json'))) {
+        if (Date.now() - started > 5000) throw new Error('The default admin was never saved');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+});
+
+after(async () => {
+    await server?.stop();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the pages are served', async () => {
+    for (const route of ['/', '/index.html', '/video-room.html']) {
+        const res = await server.request('GET', route);
+        assert.equal(res.status, 200, `${route} answered ${res.status}`);
+        assert.match(res.headers.get('content-type'), /text\/html/);
+    }
+});
+
+test('the file store is not served', async () => {
+    const store = `/${path.relative(APP_DIR, dataDir).split(path.sep).join('/')}`;
+    for (const file of fs.readdirSync(dataDir)) {
+        const res = await server.request('GET', `${store}/${file}`);
+        assert.equal(res.status, 404, `${store}/${file} answered ${res.status}`);
+    }
+    for (const file of ['users.json', 'students.json', 'messages.json', 'outboxentries.json']) {
+        const res = await server.request('GET', `/data/${file}`);
+        assert.equal(res.status, 404, `/data/${file} answered ${res.status}`);
+    }
+});
+
+test('server code and config are not served', async () => {
+    for (const file of ['server.js', 'repositories.js', 'package.json', '.env', 'quran-uthmani.txt']) {
+        const res = await server.request('GET', `/${file}`);
+        assert.equal(res.status, 404, `/${file} answered ${res.status}`);
+    }
+});
@@ -0,0 +1,78 @@
+// X-Twilio-Signature validation on /webhooks and /twiml: replays recorded
+// webhook fixtures signed the way Twilio signs them, then tampered or unsigned.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const fixtures = require('./fixtures/twilio-webhooks.json');
+const { startServer } = require('./helpers');
+
+const TWILIO_ENV = {
+    TWILIO_ACCOUNT_SID: 'ACaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+    TWILIO_AUTH_TOKEN: 'test-auth-token',
+    TWILIO_PHONE_NUMBER: '+15550002222'
+};
+
+function sign(server, fixture, params = fixture.params) {
+    return twilio.getExpectedTwilioSignature(TWILIO_ENV.TWILIO_AUTH_TOKEN, server.url + fixture.path, params);
+}
+
+describe('with signature validation on', () => {
+    let server;
+    before(async () => { server = await startServer(TWILIO_ENV); });
+    after(() => server?.stop());
+
+    for (const fixture of fixtures) {
+        test(`${fixture.name}: a valid signature is accepted`, async () => {
+            const res = await server.request('POST', fixture.path, {
+                form: fixture.params,
+                headers: { 'X-Twilio-Signature': sign(server, fixture) }
+            });
+            assert.equal(res.status, 200);
+            assert.match(res.body, new RegExp(fixture.expect));
+        });
+
+        test(`${fixture.name}: a tampered body is rejected`, async () => {
+            const signature = sign(server, fixture);
+            const res = await server.request('POST', fixture.path, {
+                form: { ...fixture.params, From: '+15559999999' },
+                headers: { 'X-Twilio-Signature': signature }
+            });
+            assert.equal(res.status, 403);
+            assert.equal(res.body, 'Invalid Twilio signature');
+        });
+
+        test(`${fixture.name}: a missing signature header is rejected`, async () => {
+            const res = await server.request('POST', fixture.path, { form: fixture.params });
+            assert.equal(res.status, 403);
+            assert.equal(res.body, 'Missing Twilio signature');
+        });
+    }
+
+    test('a signature made with another auth token is rejected', async () => {
+        const [fixture] = fixtures;
+        const signature = twilio.getExpectedTwilioSignature('some-other-token', server.url + fixture.path, fixture.params);
+        const res = await server.request('POST', fixture.path, {
+            form: fixture.params,
+            headers: { 'X-Twilio-Signature': signature }
+        });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('with TWILIO_VALIDATE_WEBHOOKS=false', () => {
+    let server;
+    before(async () => { server = await startServer({ ...TWILIO_ENV, TWILIO_VALIDATE_WEBHOOKS: 'false' }); });
+    after(() => server?.stop());
+
+    test('the bypass is announced at startup', () => {
+        assert.match(server.output(), /signature validation DISABLED/);
+    });
+
+    for (const fixture of fixtures) {
+        test(`${fixture.name}: unsigned requests are let through`, async () => {
+            const res = await server.request('POST', fixture.path, { form: fixture.params });
+            assert.equal(res.status, 200);
+            assert.match(res.body, new RegExp(fixture.expect));
+        });
+    }
+});